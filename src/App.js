@@ -1,4 +1,4 @@
-import React, { useState, useCallback, useMemo, useEffect, useReducer } from 'react';
+import React, { useState, useCallback, useMemo, useEffect, useReducer, useRef } from 'react';
 import {
   MapContainer,
   TileLayer,
@@ -9,8 +9,10 @@ import {
   Tooltip,
   Polyline,
   Polygon,
+  Rectangle,
   LayersControl,
   FeatureGroup,
+  useMap,
   useMapEvent
 } from "react-leaflet";
 import { EditControl } from "react-leaflet-draw";
@@ -18,6 +20,11 @@ import "leaflet/dist/leaflet.css";
 import "leaflet-draw/dist/leaflet.draw.css";
 import L from "leaflet";
 import SunCalc from "suncalc";
+import { fromArrayBuffer } from "geotiff";
+import { kml, gpx } from "@tmcw/togeojson";
+import { parseZip } from "shpjs";
+import { isoLines } from "marchingsquares";
+import PF from "pathfinding";
 
 /* ----- Fix default marker icons in CRA ----- */
 delete L.Icon.Default.prototype._getIconUrl;
@@ -152,16 +159,342 @@ const NaturalPatterns = {
 
 // Enhanced Water Management Utilities
 const WaterManagementUtils = {
-  calculateWaterHarvestingPotential: (env, siteInputs) => {
+  // Volumetric runoff coefficients for a monsoon season, by soil
+  RUNOFF_COEFFICIENTS: {
+    lateritic: 0.45,
+    laterite: 0.45,
+    alluvial: 0.3,
+    clay: 0.55,
+    sandy: 0.15,
+    loam: 0.35
+  },
+
+  // Design storm depth for sizing storage (mm in 24 h)
+  DESIGN_STORM_MM: 150,
+
+  getRunoffCoefficient: function(soil = '') {
+    const key = Object.keys(this.RUNOFF_COEFFICIENTS).find(k => soil.includes(k));
+    return key ? this.RUNOFF_COEFFICIENTS[key] : 0.35;
+  },
+
+  // Runoff from a delineated catchment (area in m²)
+  calculateCatchmentRunoff: function(catchmentAreaM2, env) {
+    const coefficient = this.getRunoffCoefficient(env.soil);
+    const monthlyRainfall = env.monthlyRainfall || Array(12).fill((env.avgRainfallMm || 0) / 12);
+    const monthly = monthlyRainfall.map(mm => catchmentAreaM2 * (mm / 1000) * coefficient);
+
+    return {
+      coefficient,
+      annual: Math.round(monthly.reduce((sum, m) => sum + m, 0)),
+      monthly: monthly.map(m => Math.round(m)),
+      designStorm: Math.round(catchmentAreaM2 * (this.DESIGN_STORM_MM / 1000) * coefficient),
+      units: 'm³'
+    };
+  },
+
+  // Pond that holds the design-storm runoff plus 25% freeboard allowance,
+  // dug to a practical depth with 1:2 side slopes
+  calculatePondSizing: function(catchmentAreaM2, env, depth = 2) {
+    const runoff = this.calculateCatchmentRunoff(catchmentAreaM2, env);
+    const volume = runoff.designStorm * 1.25;
+    // Bed side at which the square 1:2-sided frustum holds `volume`; a bed of
+    // sqrt(volume / depth) already holds more than that, so bisect below it
+    let lo = 0;
+    let hi = Math.sqrt(Math.max(volume / depth, 1));
+    for (let k = 0; k < 40; k++) {
+      const mid = (lo + hi) / 2;
+      if (this.pondVolumeAt(mid, depth) < volume) lo = mid;
+      else hi = mid;
+    }
+    const topSide = hi + 4 * depth;
+
+    return {
+      volume: Math.round(volume),
+      depth,
+      surfaceArea: Math.round(topSide * topSide),
+      units: 'm³'
+    };
+  },
+
+  // Seepage through the pond bed in mm/day, by soil type
+  SEEPAGE_MM_PER_DAY: {
+    sandy: 25,
+    lateritic: 12,
+    laterite: 12,
+    alluvial: 6,
+    loam: 5,
+    clay: 1.5
+  },
+
+  DAYS_IN_MONTH: [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
+
+  getSeepageRate: function(soil = '') {
+    const key = Object.keys(this.SEEPAGE_MM_PER_DAY).find(k => soil.includes(k));
+    return key ? this.SEEPAGE_MM_PER_DAY[key] : 6;
+  },
+
+  // Open-water evaporation in mm/month. ~0.55 mm per sun-hour plus a base
+  // rate, cut back in wet months when cloud and humidity suppress it.
+  estimateMonthlyEvaporation: function(env) {
+    const monthlyRainfall = env.monthlyRainfall || Array(12).fill((env.avgRainfallMm || 0) / 12);
+    const dailyMm = 1 + 0.55 * (env.sunHours || 6);
+    return this.DAYS_IN_MONTH.map((days, i) => {
+      const cloudFactor = monthlyRainfall[i] > 300 ? 0.65 : monthlyRainfall[i] > 150 ? 0.8 : 1;
+      return Math.round(dailyMm * cloudFactor * days);
+    });
+  },
+
+  // Stored volume (m³) of a square-equivalent pond with 1:2 side slopes
+  // when the water stands `h` metres above a bed of side `bottomSide`
+  pondVolumeAt: (bottomSide, h) => (Math.pow(bottomSide + 4 * h, 3) - Math.pow(bottomSide, 3)) / 12,
+
+  MIN_BED_SIDE_M: 1,
+
+  // Deepest pond a surface area can be dug to while keeping a minimum bed
+  maxPondDepth: function(surfaceArea) {
+    return (Math.sqrt(surfaceArea) - this.MIN_BED_SIDE_M) / 4;
+  },
+
+  // Month-by-month water balance for a pond. Runs two years from empty and
+  // reports the second, so the result reflects a pond in steady use.
+  // Irrigation is drawn only in months where evaporation exceeds rainfall.
+  // Null when the surface is too small to dig to `depth` (see maxPondDepth).
+  simulatePondBalance: function({ surfaceArea, depth, catchmentArea, soil, dailyDemand }, env) {
+    if (depth > this.maxPondDepth(surfaceArea)) return null;
+    const monthlyRainfall = env.monthlyRainfall || Array(12).fill((env.avgRainfallMm || 0) / 12);
+    const evaporation = this.estimateMonthlyEvaporation(env);
+    const runoff = this.calculateCatchmentRunoff(catchmentArea, env).monthly;
+    const seepage = this.getSeepageRate(soil);
+
+    const topSide = Math.sqrt(surfaceArea);
+    const bottomSide = topSide - 4 * depth;
+    const capacity = this.pondVolumeAt(bottomSide, depth);
+    // Invert volume → stage by bisection
+    const stageOf = (volume) => {
+      let lo = 0;
+      let hi = depth;
+      for (let k = 0; k < 30; k++) {
+        const mid = (lo + hi) / 2;
+        if (this.pondVolumeAt(bottomSide, mid) < volume) lo = mid; else hi = mid;
+      }
+      return lo;
+    };
+
+    let storage = 0;
+    let months = [];
+    for (let year = 0; year < 2; year++) {
+      months = [];
+      for (let m = 0; m < 12; m++) {
+        const days = this.DAYS_IN_MONTH[m];
+        const waterArea = Math.pow(bottomSide + 4 * stageOf(storage), 2);
+        const inflow = runoff[m] + surfaceArea * monthlyRainfall[m] / 1000;
+        const evaporated = waterArea * evaporation[m] / 1000;
+        const seeped = waterArea * seepage * days / 1000;
+        const demand = evaporation[m] > monthlyRainfall[m] ? dailyDemand * days : 0;
+
+        storage += inflow;
+        const overflow = Math.max(0, storage - capacity);
+        storage -= overflow;
+        storage = Math.max(0, storage - evaporated - seeped);
+        const supplied = Math.min(storage, demand);
+        storage -= supplied;
+
+        months.push({
+          month: m,
+          inflow: Math.round(inflow),
+          evaporation: Math.round(evaporated),
+          seepage: Math.round(seeped),
+          demand: Math.round(demand),
+          supplied: Math.round(supplied),
+          overflow: Math.round(overflow),
+          deficit: Math.round(demand - supplied),
+          storage: Math.round(storage),
+          fillPercent: capacity > 0 ? Math.round(storage / capacity * 100) : 0
+        });
+      }
+    }
+
+    const totalDemand = months.reduce((sum, m) => sum + m.demand, 0);
+    const deficit = months.reduce((sum, m) => sum + m.deficit, 0);
+    return {
+      capacity: Math.round(capacity),
+      seepageRate: seepage,
+      months,
+      overflowMonths: months.filter(m => m.overflow > 0).map(m => m.month),
+      deficit,
+      reliability: totalDemand > 0 ? Math.round((1 - deficit / totalDemand) * 100) : 100
+    };
+  },
+
+  // Smallest excavation (surface area × depth) that meets the irrigation
+  // demand with no dry-season deficit. Null if the catchment cannot supply it.
+  // Each depth's search starts at the smallest surface that can be dug to it.
+  recommendPondSize: function({ catchmentArea, soil, dailyDemand }, env) {
+    let best = null;
+    [1.5, 2, 2.5, 3].forEach(depth => {
+      const smallest = Math.max(50, Math.ceil(Math.pow(this.MIN_BED_SIDE_M + 4 * depth, 2)));
+      for (let surfaceArea = smallest; surfaceArea <= 20000; surfaceArea = Math.round(surfaceArea * 1.15)) {
+        const balance = this.simulatePondBalance({ surfaceArea, depth, catchmentArea, soil, dailyDemand }, env);
+        if (balance.deficit === 0) {
+          if (!best || balance.capacity < best.capacity) {
+            best = { surfaceArea, depth, capacity: balance.capacity };
+          }
+          break;
+        }
+      }
+    });
+    return best;
+  },
+
+  // Water balance and sizing for one placed POND_AREA element
+  analyzePond: function(pond, grid, flow, env, siteInputs) {
+    const surfaceArea = calculatePolygonArea(pond.polygon);
+    const center = polygonCentroid(pond.polygon);
+    if (surfaceArea === 0) return null;
+
+    // Cells under the pond drain everything upslope of them
+    const seeds = [];
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        if (pointInPolygon(DEMUtils.getCellLatLng(grid, row, col), pond.polygon)) {
+          seeds.push(row * grid.cols + col);
+        }
+      }
+    }
+    const centerCell = DEMUtils.getGridCell(grid, center[0], center[1]);
+    if (seeds.length === 0 && centerCell) seeds.push(centerCell.index);
+    if (seeds.length === 0) return null;
+
+    const mask = HydrologyUtils.getUpslopeMask(flow, seeds);
+    const upslopeArea = mask.reduce((sum, v) => sum + v, 0) * flow.cellArea;
+    const catchmentArea = Math.max(0, upslopeArea - surfaceArea);
+    const soil = siteInputs.soilType || sampleSoilAt(center[1], center[0]);
+    const dailyDemand = siteInputs.irrigationDemand || 0;
+    // A small drawn pond is modelled at the deepest it can actually be dug
+    const maxDepth = this.maxPondDepth(surfaceArea);
+    if (maxDepth <= 0) return null;
+    const depth = Math.min(pond.depth || 2, Math.floor(maxDepth * 100) / 100);
+
+    const balance = this.simulatePondBalance({ surfaceArea, depth, catchmentArea, soil, dailyDemand }, env);
+    return {
+      id: pond.id,
+      name: pond.name,
+      surfaceArea: Math.round(surfaceArea),
+      depth,
+      depthLimited: depth < (pond.depth || 2),
+      catchmentArea: Math.round(catchmentArea),
+      soil,
+      dailyDemand,
+      ...balance,
+      recommended: balance.deficit > 0
+        ? this.recommendPondSize({ catchmentArea, soil, dailyDemand }, env)
+        : null
+    };
+  },
+
+  TANK_CAPACITIES_L: [1000, 2000, 3000, 5000, 7500, 10000, 15000, 20000, 30000, 50000, 75000, 100000],
+
+  // Split monthly totals into a synthetic daily series. Wetter months get
+  // more rain days; storm sizes are exponentially distributed.
+  generateDailyRainfall: function(monthlyRainfall, random = Math.random) {
+    const daily = [];
+    this.DAYS_IN_MONTH.forEach((days, m) => {
+      const total = monthlyRainfall[m] || 0;
+      const wetDays = total > 0
+        ? Math.max(1, Math.min(days, Math.round(days * total / (total + 150))))
+        : 0;
+      const dayIndices = Array.from({ length: days }, (_, d) => d);
+      for (let i = days - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [dayIndices[i], dayIndices[j]] = [dayIndices[j], dayIndices[i]];
+      }
+      const weights = dayIndices.slice(0, wetDays).map(() => -Math.log(1 - random()));
+      const weightSum = weights.reduce((sum, w) => sum + w, 0) || 1;
+      const month = Array(days).fill(0);
+      dayIndices.slice(0, wetDays).forEach((d, k) => {
+        month[d] = total * weights[k] / weightSum;
+      });
+      daily.push(...month);
+    });
+    return daily;
+  },
+
+  // Yield-after-spillage tank model over one year of daily rainfall.
+  // Garden irrigation is only drawn on days with less than 2 mm of rain.
+  simulateTank: function({ roofArea, capacityL, householdLpd, irrigationLpd }, dailyRainfall) {
+    const efficiency = 0.8; // first-flush and gutter losses
+    let storage = capacityL / 2;
+    let daysMet = 0;
+    let supplied = 0;
+    let demanded = 0;
+    let overflow = 0;
+    const levels = [];
+
+    for (let year = 0; year < 2; year++) {
+      daysMet = 0;
+      supplied = 0;
+      demanded = 0;
+      overflow = 0;
+      levels.length = 0;
+      for (const mm of dailyRainfall) {
+        storage += roofArea * mm * efficiency;
+        overflow += Math.max(0, storage - capacityL);
+        storage = Math.min(storage, capacityL);
+
+        const demand = householdLpd + (mm < 2 ? irrigationLpd : 0);
+        const draw = Math.min(storage, demand);
+        storage -= draw;
+        supplied += draw;
+        demanded += demand;
+        if (draw >= demand) daysMet++;
+        levels.push(storage);
+      }
+    }
+
+    return {
+      capacityL,
+      reliability: Math.round(daysMet / dailyRainfall.length * 100),
+      volumetricReliability: demanded > 0 ? Math.round(supplied / demanded * 100) : 100,
+      overflowL: Math.round(overflow),
+      minLevelL: Math.round(Math.min(...levels))
+    };
+  },
+
+  // Reliability-vs-capacity curve and the smallest tank that reaches the
+  // target, or the point where another size step adds under 1%.
+  sizeRainwaterTank: function({ roofArea, householdLpd, irrigationLpd, target = 90 }, dailyRainfall) {
+    const curve = this.TANK_CAPACITIES_L.map(capacityL =>
+      this.simulateTank({ roofArea, capacityL, householdLpd, irrigationLpd }, dailyRainfall));
+
+    let recommended = curve.find(point => point.reliability >= target);
+    if (!recommended) {
+      // Target out of reach: stop where a bigger tank no longer helps
+      const plateau = curve.findIndex((point, i) => i > 0 && point.reliability - curve[i - 1].reliability < 1);
+      recommended = plateau > 0 ? curve[plateau - 1] : curve[curve.length - 1];
+    }
+
+    return {
+      curve,
+      recommended,
+      target,
+      reachesTarget: recommended.reliability >= target,
+      annualHarvestL: Math.round(dailyRainfall.reduce((sum, mm) => sum + mm, 0) * roofArea * 0.8)
+    };
+  },
+
+  calculateWaterHarvestingPotential: (env, siteInputs, catchment = null) => {
     const roofArea = siteInputs.roofArea || 100; // m²
     const catchmentEfficiency = 0.8; // 80% efficiency
     const annualRainfall = env.avgRainfallMm / 1000; // Convert to meters
     
     const roofHarvest = roofArea * annualRainfall * catchmentEfficiency;
     
-    // Calculate land water harvesting potential based on slope and soil
+    // Land harvest from the delineated catchment when we have one,
+    // otherwise a rough capture fraction based on slope
     let landHarvest = 0;
-    if (env.slopePercent < 5) {
+    if (catchment) {
+      landHarvest = WaterManagementUtils.calculateCatchmentRunoff(catchment.properties.areaM2, env).annual;
+    } else if (env.slopePercent < 5) {
       landHarvest = annualRainfall * 0.3; // 30% capture on flat land
     } else if (env.slopePercent < 15) {
       landHarvest = annualRainfall * 0.5; // 50% capture on moderate slopes
@@ -185,8 +518,77 @@ const WaterManagementUtils = {
     const depth = slopePercent < 5 ? 0.3 : // meters deep
                   slopePercent < 10 ? 0.4 :
                   slopePercent < 20 ? 0.5 : 0.6;
+
+    // Trapezoidal trench, 1:1 side slopes, spoil berm on the downhill side
+    const bottomWidth = 0.5; // meters
+    const sideSlope = 1;
+    const bermHeight = depth * 0.8;
                   
-    return { spacing, depth };
+    return { spacing, depth, bottomWidth, sideSlope, bermHeight };
+  },
+
+  // Hydraulics of one placed SWALE element on the DEM. Water pools level in
+  // the trench up to the lowest point of the berm crest, where it spills.
+  analyzeSwale: function(swale, grid, flow, env) {
+    const specs = WaterManagementUtils.calculateSwaleSpecifications(env.slopePercent, env.avgRainfallMm);
+    const { depth, bottomWidth, sideSlope, bermHeight } = specs;
+    const samples = densifyPath(swale.points, 1);
+    const length = calculatePathLength(swale.points);
+    if (length === 0) return null;
+
+    // Only the stretch over the terrain model is analysed; samples off the
+    // DEM (or on NoData cells) are dropped and reported through `coverage`.
+    const covered = samples
+      .map(p => ({ point: p, z: DEMUtils.sampleGrid(grid, p[0], p[1]) }))
+      .filter(s => s.z !== null);
+    const coverage = covered.length / samples.length;
+    if (covered.length === 0) {
+      return { id: swale.id, name: swale.name, length: Math.round(length), coverage: 0, partlyOutside: true };
+    }
+    const ground = covered.map(s => s.z);
+
+    // Spill level: lowest berm crest along the swale
+    let spillIndex = 0;
+    ground.forEach((z, i) => { if (z < ground[spillIndex]) spillIndex = i; });
+    const spillLevel = ground[spillIndex] + bermHeight;
+    const fullHeight = depth + bermHeight;
+    const areaAt = (h) => (bottomWidth + sideSlope * h) * h;
+
+    const step = length / Math.max(1, samples.length - 1);
+    let volume = 0;
+    ground.forEach(z => {
+      const water = Math.min(fullHeight, Math.max(0, spillLevel - (z - depth)));
+      volume += areaAt(water) * step;
+    });
+
+    // Upslope area draining into the swale's cells
+    const seeds = [...new Set(covered
+      .map(s => DEMUtils.getGridCell(grid, s.point[0], s.point[1]))
+      .filter(Boolean)
+      .map(cell => cell.index))];
+    const mask = HydrologyUtils.getUpslopeMask(flow, seeds);
+    const catchmentArea = mask.reduce((sum, v) => sum + v, 0) * flow.cellArea;
+
+    const coefficient = WaterManagementUtils.getRunoffCoefficient(env.soil);
+    const stormRunoff = catchmentArea * (WaterManagementUtils.DESIGN_STORM_MM / 1000) * coefficient;
+    const holdsMm = catchmentArea > 0 ? (volume / (catchmentArea * coefficient)) * 1000 : Infinity;
+
+    return {
+      id: swale.id,
+      name: swale.name,
+      length: Math.round(length),
+      crossSection: parseFloat(areaAt(fullHeight).toFixed(2)),
+      volume: Math.round(volume),
+      catchmentArea: Math.round(catchmentArea),
+      stormRunoff: Math.round(stormRunoff),
+      holdsMm: Math.round(holdsMm),
+      overtops: stormRunoff > volume,
+      // Level-sill spillway where the berm is lowest
+      spillway: covered[spillIndex].point,
+      levelDrop: parseFloat((Math.max(...ground) - ground[spillIndex]).toFixed(2)),
+      coverage: parseFloat(coverage.toFixed(2)),
+      partlyOutside: coverage < 1
+    };
   }
 };
 
@@ -490,6 +892,26 @@ const ELEMENT_TYPES = {
     geometry: "line",
     priority: 11
   },
+  KEYLINE: {
+    name: "Keyline",
+    icon: "〰️",
+    description: "Line through the keypoint, falling gently from valley to ridge",
+    optimalZone: "contour",
+    keralaName: "കീലൈൻ",
+    color: "#6d4c41",
+    geometry: "line",
+    priority: 16
+  },
+  RIPPING_LINE: {
+    name: "Ripping Line",
+    icon: "⛏️",
+    description: "Keyline-parallel subsoil ripping to spread water onto ridges",
+    optimalZone: "contour",
+    keralaName: "ഉഴവുചാൽ",
+    color: "#a1887f",
+    geometry: "line",
+    priority: 17
+  },
   POND_AREA: { 
     name: "Pond Area", 
     icon: "🐟", 
@@ -529,26 +951,41 @@ const ELEMENT_TYPES = {
     color: "#a1887f",
     geometry: "polygon",
     priority: 15
+  },
+  PATH: {
+    name: "Path",
+    icon: "🚶",
+    description: "Access path or farm track from the house",
+    optimalZone: "all",
+    keralaName: "നടപ്പാത",
+    color: "#795548",
+    geometry: "line",
+    priority: 18
+  },
+  EXISTING_TREE: {
+    name: "Existing Tree",
+    icon: "🌳",
+    description: "Mature tree already on site - design around it",
+    optimalZone: "all",
+    keralaName: "നിലവിലുള്ള മരം",
+    color: "#2e7d32",
+    geometry: "point",
+    priority: 19
   }
 };
 
 // Enhanced DEM Utilities with more realistic Kerala terrain
 const DEMUtils = {
-  generateDEM: function(lat, lng, radius = 0.05, boundary = null) {
+  // `random` lets callers pass a seeded generator (see createSeededRandom) for reproducible terrain
+  generateDEM: function(lat, lng, radius = 0.05, boundary = null, random = Math.random) {
     const demData = [];
     let points = 15; // Increased resolution
     
     // If we have a boundary, adjust to cover the boundary area
-    if (boundary && boundary.geometry && boundary.geometry.coordinates) {
-      const coords = boundary.geometry.coordinates[0];
-      let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
-      
-      coords.forEach(([lng, lat]) => {
-        minLat = Math.min(minLat, lat);
-        maxLat = Math.max(maxLat, lat);
-        minLng = Math.min(minLng, lng);
-        maxLng = Math.max(maxLng, lng);
-      });
+    const bounds = BoundaryUtils.getBounds(boundary);
+    if (bounds) {
+      // Covers every part of a MultiPolygon, holes included
+      const { minLat, maxLat, minLng, maxLng } = bounds;
       
       // Generate points within the boundary area
       const latRange = maxLat - minLat;
@@ -578,7 +1015,7 @@ const DEMUtils = {
           elevation += (pointLng - minLng) / lngRange * 8;
           
           // Add some randomness for natural variation
-          elevation += (Math.random() - 0.5) * 2;
+          elevation += (random() - 0.5) * 2;
           
           // Ensure minimum elevation
           elevation = Math.max(2, elevation);
@@ -590,6 +1027,8 @@ const DEMUtils = {
           });
         }
       }
+      // Cells off the site (other parts and holes respected) become NoData
+      return this.clipToBoundary(demData, boundary);
     } else {
       // Original implementation for when no boundary exists
       const step = radius / points;
@@ -600,7 +1039,7 @@ const DEMUtils = {
           const pointLng = lng + j * step;
           
           // Enhanced elevation model
-          const elevation = 10 + (i * 0.3) + (Math.sin(pointLat * 50) * 2) + (Math.random() * 0.5);
+          const elevation = 10 + (i * 0.3) + (Math.sin(pointLat * 50) * 2) + (random() * 0.5);
           
           demData.push({
             lat: pointLat,
@@ -614,49 +1053,154 @@ const DEMUtils = {
     return demData;
   },
 
-  // Calculate slope and aspect from DEM data
-  calculateTopography: function(demData) {
+  // Index the flat DEM point list as a regular 2D grid (row 0 = south edge,
+  // col 0 = west edge) with cell sizes in metres. Missing cells are NaN.
+  buildGrid: function(demData) {
+    const key = (v) => Math.round(v * 1e9);
+    const lats = [...new Set(demData.map(p => key(p.lat)))].sort((a, b) => a - b);
+    const lngs = [...new Set(demData.map(p => key(p.lng)))].sort((a, b) => a - b);
+    const rowOf = new Map(lats.map((k, i) => [k, i]));
+    const colOf = new Map(lngs.map((k, i) => [k, i]));
+
+    const rows = lats.length;
+    const cols = lngs.length;
+    const elevations = new Float64Array(rows * cols).fill(NaN);
+    demData.forEach(p => {
+      elevations[rowOf.get(key(p.lat)) * cols + colOf.get(key(p.lng))] = p.elevation;
+    });
+
+    const minLat = lats.length ? lats[0] / 1e9 : 0;
+    const minLng = lngs.length ? lngs[0] / 1e9 : 0;
+    const latStep = rows > 1 ? (lats[rows - 1] - lats[0]) / 1e9 / (rows - 1) : 0;
+    const lngStep = cols > 1 ? (lngs[cols - 1] - lngs[0]) / 1e9 / (cols - 1) : 0;
+    const midLat = minLat + latStep * (rows - 1) / 2;
+
+    return {
+      rows,
+      cols,
+      minLat,
+      minLng,
+      latStep,
+      lngStep,
+      cellSizeX: lngStep * 111320 * Math.cos(midLat * Math.PI / 180), // metres east-west
+      cellSizeY: latStep * 110574, // metres north-south
+      elevations
+    };
+  },
+
+  // Set cells outside the boundary (parts and holes respected) to NoData.
+  // Cells touching the site keep their value so bilinear samples resolve
+  // right up to the boundary line.
+  clipToBoundary: function(demData, boundary) {
+    if (BoundaryUtils.getPolygons(boundary).length === 0) return demData;
+    const grid = this.buildGrid(demData);
+    const { rows, cols } = grid;
+    const inside = new Uint8Array(rows * cols);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const [lat, lng] = this.getCellLatLng(grid, row, col);
+        inside[row * cols + col] = BoundaryUtils.containsLngLat([lng, lat], boundary) ? 1 : 0;
+      }
+    }
+
+    const touchesSite = ({ row, col }) => {
+      for (let dr = -1; dr <= 1; dr++) {
+        for (let dc = -1; dc <= 1; dc++) {
+          const r = row + dr;
+          const c = col + dc;
+          if (r >= 0 && c >= 0 && r < rows && c < cols && inside[r * cols + c]) return true;
+        }
+      }
+      return false;
+    };
+
+    return demData.map(p => {
+      const cell = this.getGridCell(grid, p.lat, p.lng);
+      return cell && touchesSite(cell) ? p : { ...p, elevation: NaN };
+    });
+  },
+
+  // Grid cell nearest to a lat/lng, or null when outside the grid
+  getGridCell: function(grid, lat, lng) {
+    if (!grid || grid.rows < 2 || grid.cols < 2) return null;
+    const row = Math.round((lat - grid.minLat) / grid.latStep);
+    const col = Math.round((lng - grid.minLng) / grid.lngStep);
+    if (row < 0 || col < 0 || row >= grid.rows || col >= grid.cols) return null;
+    return { row, col, index: row * grid.cols + col };
+  },
+
+  getCellLatLng: function(grid, row, col) {
+    return [grid.minLat + row * grid.latStep, grid.minLng + col * grid.lngStep];
+  },
+
+  // Bilinear elevation at any lat/lng inside the grid; null outside or on NoData
+  sampleGrid: function(grid, lat, lng) {
+    if (!grid || grid.rows < 2 || grid.cols < 2) return null;
+    const y = (lat - grid.minLat) / grid.latStep;
+    const x = (lng - grid.minLng) / grid.lngStep;
+    if (x < 0 || y < 0 || x > grid.cols - 1 || y > grid.rows - 1) return null;
+
+    const x0 = Math.min(grid.cols - 2, Math.floor(x));
+    const y0 = Math.min(grid.rows - 2, Math.floor(y));
+    const fx = x - x0;
+    const fy = y - y0;
+    const z = (r, c) => grid.elevations[r * grid.cols + c];
+    const value =
+      z(y0, x0) * (1 - fx) * (1 - fy) + z(y0, x0 + 1) * fx * (1 - fy) +
+      z(y0 + 1, x0) * (1 - fx) * fy + z(y0 + 1, x0 + 1) * fx * fy;
+    return isNaN(value) ? null : value;
+  },
+
+  // Slope (%) and aspect (degrees clockwise from north, facing downslope) with
+  // Horn's 3x3 kernel. Edge and NoData neighbours reuse the centre cell, so
+  // every cell gets a value. Flat cells get aspect -1.
+  calculateTopography: function(demData, grid = this.buildGrid(demData)) {
     const topography = [];
-    
-    // Sort data for easier neighbor finding
-    const sortedData = [...demData].sort((a, b) => a.lat - b.lat || a.lng - b.lng);
-    
-    for (let i = 0; i < sortedData.length; i++) {
-      const point = sortedData[i];
-      
-      // Find neighboring points within a small radius
-      const neighbors = sortedData.filter(p => 
-        p !== point &&
-        Math.abs(p.lat - point.lat) < 0.003 && 
-        Math.abs(p.lng - point.lng) < 0.003
-      );
-      
-      if (neighbors.length >= 3) {
-        // Calculate slope using plane fitting
-        const elevations = neighbors.map(p => p.elevation);
-        const avgElevation = elevations.reduce((sum, e) => sum + e, 0) / elevations.length;
-        const slope = Math.abs(point.elevation - avgElevation) * 100; // Percentage slope
-        
-        // Calculate aspect (direction of steepest slope)
-        const eastNeighbor = neighbors.find(p => p.lng > point.lng && Math.abs(p.lat - point.lat) < 0.001);
-        const northNeighbor = neighbors.find(p => p.lat > point.lat && Math.abs(p.lng - point.lng) < 0.001);
-        
-        let aspect = 0;
-        if (eastNeighbor && northNeighbor) {
-          const dz_dx = eastNeighbor.elevation - point.elevation;
-          const dz_dy = northNeighbor.elevation - point.elevation;
-          aspect = Math.atan2(dz_dy, dz_dx) * 180 / Math.PI;
+    const { rows, cols, elevations, cellSizeX, cellSizeY } = grid;
+    if (rows < 2 || cols < 2) return topography;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const z = elevations[row * cols + col];
+        if (isNaN(z)) continue;
+
+        const at = (dr, dc) => {
+          const r = Math.max(0, Math.min(rows - 1, row + dr));
+          const c = Math.max(0, Math.min(cols - 1, col + dc));
+          const v = elevations[r * cols + c];
+          return isNaN(v) ? z : v;
+        };
+
+        // a b c      (north row on top)
+        // d z f
+        // g h i
+        const a = at(1, -1), b = at(1, 0), c = at(1, 1);
+        const d = at(0, -1), f = at(0, 1);
+        const g = at(-1, -1), h = at(-1, 0), i = at(-1, 1);
+
+        const dzdx = ((c + 2 * f + i) - (a + 2 * d + g)) / (8 * cellSizeX);
+        const dzdy = ((a + 2 * b + c) - (g + 2 * h + i)) / (8 * cellSizeY);
+
+        const slope = Math.sqrt(dzdx * dzdx + dzdy * dzdy) * 100;
+        let aspect = -1;
+        if (dzdx !== 0 || dzdy !== 0) {
+          aspect = Math.atan2(-dzdx, -dzdy) * 180 / Math.PI;
           if (aspect < 0) aspect += 360;
         }
-        
+
+        const [lat, lng] = this.getCellLatLng(grid, row, col);
         topography.push({
-          ...point,
+          lat,
+          lng,
+          elevation: z,
+          row,
+          col,
           slope: parseFloat(slope.toFixed(1)),
           aspect: parseFloat(aspect.toFixed(1))
         });
       }
     }
-    
+
     return topography;
   },
   
@@ -674,1047 +1218,4592 @@ const DEMUtils = {
       .slice(0, count);
   },
   
-  // Calculate water flow paths with improved algorithm
-  calculateWaterFlow: function(topography) {
-    const flowPaths = [];
-    const processedPoints = new Set();
-    
-    // Start from high points and simulate flow
-    const highPoints = this.findHighPoints(topography, 10);
-    
-    highPoints.forEach(startPoint => {
-      if (processedPoints.has(`${startPoint.lat},${startPoint.lng}`)) return;
-      
-      const path = [startPoint];
-      let currentPoint = startPoint;
-      processedPoints.add(`${currentPoint.lat},${currentPoint.lng}`);
-      
-      // Simulate water flow downhill (max 20 steps)
-      for (let step = 0; step < 20; step++) {
-        const neighbors = topography.filter(p => 
-          !processedPoints.has(`${p.lat},${p.lng}`) &&
-          Math.abs(p.lat - currentPoint.lat) < 0.002 && 
-          Math.abs(p.lng - currentPoint.lng) < 0.002 &&
-          p.elevation < currentPoint.elevation
-        );
-        
-        if (neighbors.length > 0) {
-          // Move to the steepest downhill neighbor
-          const nextPoint = neighbors.reduce((steepest, p) => {
-            const currentDrop = currentPoint.elevation - p.elevation;
-            const steepestDrop = currentPoint.elevation - steepest.elevation;
-            return currentDrop > steepestDrop ? p : steepest;
-          }, neighbors[0]);
-          
-          path.push(nextPoint);
-          currentPoint = nextPoint;
-          processedPoints.add(`${currentPoint.lat},${currentPoint.lng}`);
-        } else {
-          break;
-        }
+  // Contour lines via marching squares on the DEM grid. Returns one entry per
+  // level, each with ordered, smoothed lines ([[lat, lng], ...]); closed rings
+  // (hilltops, hollows) have closed: true. Segments that marching squares runs
+  // along the grid frame, or through a cell touching NoData, are dropped so
+  // lines end at the DEM edge and at NoData holes.
+  generateContours: function(demData, interval = 2, grid = this.buildGrid(demData)) {
+    const contours = [];
+    const { rows, cols, elevations } = grid;
+    if (rows < 2 || cols < 2) return contours;
+
+    let minElevation = Infinity, maxElevation = -Infinity;
+    elevations.forEach(z => {
+      if (isNaN(z)) return;
+      minElevation = Math.min(minElevation, z);
+      maxElevation = Math.max(maxElevation, z);
+    });
+    if (!isFinite(minElevation)) return contours;
+
+    // marchingsquares wants rows of plain numbers; NoData gets a placeholder
+    // and the segments it produces are cut out below
+    const data = [];
+    for (let row = 0; row < rows; row++) {
+      const line = [];
+      for (let col = 0; col < cols; col++) {
+        const z = elevations[row * cols + col];
+        line.push(isNaN(z) ? minElevation : z);
       }
-      
-      if (path.length > 3) {
-        flowPaths.push(path);
+      data.push(line);
+    }
+
+    const levels = [];
+    for (let level = Math.ceil(minElevation / interval) * interval; level <= maxElevation; level += interval) {
+      levels.push(level);
+    }
+    if (levels.length === 0) return contours;
+
+    const paths = isoLines(data, levels);
+    const onFrame = ([x, y]) => x <= 0 || y <= 0 || x >= cols - 1 || y >= rows - 1;
+    const sameEdge = ([x1, y1], [x2, y2]) =>
+      (x1 <= 0 && x2 <= 0) || (x1 >= cols - 1 && x2 >= cols - 1) ||
+      (y1 <= 0 && y2 <= 0) || (y1 >= rows - 1 && y2 >= rows - 1);
+    // Each segment lies in one grid cell; find it from the midpoint
+    const touchesNoData = ([x1, y1], [x2, y2]) => {
+      const col = Math.max(0, Math.min(cols - 2, Math.floor((x1 + x2) / 2)));
+      const row = Math.max(0, Math.min(rows - 2, Math.floor((y1 + y2) / 2)));
+      return [[0, 0], [0, 1], [1, 0], [1, 1]].some(([dr, dc]) => isNaN(elevations[(row + dr) * cols + col + dc]));
+    };
+
+    levels.forEach((level, levelIndex) => {
+      const lines = [];
+
+      paths[levelIndex].forEach(path => {
+        // Split wherever the path runs along the grid frame or through NoData
+        let run = [];
+        const pieces = [];
+        for (let i = 0; i < path.length; i++) {
+          if (i > 0 && ((onFrame(path[i]) && onFrame(path[i - 1]) && sameEdge(path[i], path[i - 1])) ||
+              touchesNoData(path[i - 1], path[i]))) {
+            if (run.length > 1) pieces.push(run);
+            run = [];
+          }
+          run.push(path[i]);
+        }
+        if (run.length > 1) pieces.push(run);
+
+        const first = path[0];
+        const last = path[path.length - 1];
+        const isRing = first[0] === last[0] && first[1] === last[1];
+        const closed = isRing && pieces.length === 1 && pieces[0].length === path.length;
+
+        // A ring cut by the frame may start mid-line: rejoin its two ends
+        if (isRing && pieces.length > 1 && pieces[0][0] === first && pieces[pieces.length - 1].slice(-1)[0] === last) {
+          pieces[0] = pieces.pop().concat(pieces[0].slice(1));
+        }
+
+        pieces.forEach(piece => {
+          const latLngs = piece.map(([x, y]) => [grid.minLat + y * grid.latStep, grid.minLng + x * grid.lngStep]);
+          const points = this.smoothLine(latLngs, 2, closed);
+          if (points.length < 2) return;
+          lines.push({ points, closed, length: calculatePathLength(points) });
+        });
+      });
+
+      if (lines.length > 0) {
+        contours.push({ level, lines });
       }
     });
-    
-    return flowPaths;
+
+    return contours;
   },
 
-  // Generate contour lines
-  generateContours: function(demData, interval = 2) {
-    const contours = [];
-    const minElevation = Math.min(...demData.map(p => p.elevation));
-    const maxElevation = Math.max(...demData.map(p => p.elevation));
-    
-    for (let level = Math.ceil(minElevation); level <= maxElevation; level += interval) {
-      const contourPoints = demData.filter(p => 
-        Math.abs(p.elevation - level) < 0.5
-      );
-      
-      if (contourPoints.length > 10) {
-        contours.push({
-          level,
-          points: contourPoints
-        });
+  // Chaikin corner cutting; keeps the end points of open lines fixed
+  smoothLine: function(points, iterations = 2, closed = false) {
+    let result = points;
+    for (let n = 0; n < iterations; n++) {
+      if (result.length < 3) return result;
+      const next = closed ? [] : [result[0]];
+      for (let i = 0; i < result.length - 1; i++) {
+        const [lat1, lng1] = result[i];
+        const [lat2, lng2] = result[i + 1];
+        next.push([0.75 * lat1 + 0.25 * lat2, 0.75 * lng1 + 0.25 * lng2]);
+        next.push([0.25 * lat1 + 0.75 * lat2, 0.25 * lng1 + 0.75 * lng2]);
       }
+      if (closed) {
+        next.push(next[0]);
+      } else {
+        next.push(result[result.length - 1]);
+      }
+      result = next;
     }
-    
-    return contours;
+    return result;
   }
 };
 
-// Enhanced Boundary Utilities
-const BoundaryUtils = {
-  // Check if a point is inside the boundary
-  isPointInBoundary: (point, boundary) => {
-    if (!boundary || !boundary.geometry || !boundary.geometry.coordinates) return true;
-    
-    const [lng, lat] = Array.isArray(point) ? [point[1], point[0]] : [point.lng, point.lat];
-    const coordinates = boundary.geometry.coordinates[0];
-    return pointInPolygon([lng, lat], coordinates);
+/* ----------------- DEM import (GeoTIFF / ESRI ASCII grid) ------------------
+   Real elevation rasters (SRTM / Cartosat tiles) in geographic WGS84
+   coordinates. Both parsers return the same raster object:
+   { width, height, originLng, originLat, cellSizeLng, cellSizeLat, noData, values }
+   where originLat is the TOP edge and rows run north -> south.
+   resampleToBounds() then emits the same [{ lat, lng, elevation }] grid
+   that generateDEM produces, with NaN for NoData and cells off the site,
+   so topography, flow and contours work unchanged.
+-----------------------------------------------------------------------------*/
+const DEMImportUtils = {
+  // Read a user-selected File and dispatch on its extension
+  readFile: async function(file) {
+    const name = file.name.toLowerCase();
+    if (name.endsWith('.tif') || name.endsWith('.tiff')) {
+      return this.parseGeoTIFF(await file.arrayBuffer());
+    }
+    if (name.endsWith('.asc') || name.endsWith('.txt')) {
+      return this.parseAsciiGrid(await file.text());
+    }
+    throw new Error("Unsupported elevation file. Use a GeoTIFF (.tif) or ESRI ASCII grid (.asc).");
   },
-  
-  // Filter points to only those inside the boundary
-  filterPointsInBoundary: (points, boundary) => {
-    if (!boundary || !boundary.geometry || !boundary.geometry.coordinates) return points;
-    
-    return points.filter(point => {
-      const lng = point.lng !== undefined ? point.lng : point[1];
-      const lat = point.lat !== undefined ? point.lat : point[0];
-      return pointInPolygon([lng, lat], boundary.geometry.coordinates[0]);
+
+  // ESRI ASCII grid: 5-6 header lines followed by nrows rows of values, north row first
+  parseAsciiGrid: function(text) {
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const header = {};
+    let index = 0;
+    while (index < tokens.length - 1 && isNaN(parseFloat(tokens[index]))) {
+      header[tokens[index].toLowerCase()] = parseFloat(tokens[index + 1]);
+      index += 2;
+    }
+
+    const width = header.ncols;
+    const height = header.nrows;
+    const cellSizeLng = header.cellsize || header.dx;
+    const cellSizeLat = header.cellsize || header.dy;
+    if (!width || !height || !cellSizeLng || !cellSizeLat) {
+      throw new Error("ASCII grid header is missing ncols, nrows or cellsize");
+    }
+
+    // Corner vs centre registration
+    const xll = header.xllcorner !== undefined ? header.xllcorner : header.xllcenter - cellSizeLng / 2;
+    const yll = header.yllcorner !== undefined ? header.yllcorner : header.yllcenter - cellSizeLat / 2;
+    if (isNaN(xll) || isNaN(yll)) {
+      throw new Error("ASCII grid header is missing xllcorner/yllcorner");
+    }
+
+    const values = new Float32Array(width * height);
+    for (let i = 0; i < values.length; i++) {
+      const v = parseFloat(tokens[index + i]);
+      if (isNaN(v)) throw new Error(`ASCII grid has only ${i} of ${values.length} values`);
+      values[i] = v;
+    }
+
+    return this.validateRaster({
+      width,
+      height,
+      originLng: xll,
+      originLat: yll + height * cellSizeLat,
+      cellSizeLng,
+      cellSizeLat,
+      noData: header.nodata_value !== undefined ? header.nodata_value : null,
+      values
     });
   },
-  
-  // Generate a random point inside the boundary
-  generateRandomPointInBoundary: (boundary) => {
-    if (!boundary || !boundary.geometry || !boundary.geometry.coordinates) return [10.85, 76.27];
-    
-    const coordinates = boundary.geometry.coordinates[0];
-    
-    // Find bounding box
-    let minLng = Infinity, maxLng = -Infinity, minLat = Infinity, maxLat = -Infinity;
-    coordinates.forEach(([lng, lat]) => {
-      minLng = Math.min(minLng, lng);
-      maxLng = Math.max(maxLng, lng);
-      minLat = Math.min(minLat, lat);
-      maxLat = Math.max(maxLat, lat);
+
+  parseGeoTIFF: async function(arrayBuffer) {
+    const tiff = await fromArrayBuffer(arrayBuffer);
+    const image = await tiff.getImage();
+
+    const geoKeys = image.getGeoKeys() || {};
+    if (geoKeys.ProjectedCSTypeGeoKey) {
+      throw new Error("Projected GeoTIFFs are not supported yet. Reproject the tile to WGS84 (EPSG:4326) first.");
+    }
+
+    const [originLng, originLat] = image.getOrigin();
+    const [resX, resY] = image.getResolution();
+    const [values] = await image.readRasters({ samples: [0] });
+    const noData = image.getGDALNoData();
+
+    return this.validateRaster({
+      width: image.getWidth(),
+      height: image.getHeight(),
+      originLng,
+      originLat,
+      cellSizeLng: Math.abs(resX),
+      cellSizeLat: Math.abs(resY),
+      noData: noData !== null && noData !== undefined ? noData : null,
+      values
     });
-    
-    // Generate random points until one is inside the boundary
-    let point;
-    let attempts = 0;
-    do {
-      const lng = minLng + Math.random() * (maxLng - minLng);
-      const lat = minLat + Math.random() * (maxLat - minLat);
-      point = [lat, lng];
-      attempts++;
-      
-      if (attempts > 1000) {
-        console.warn("Could not find point inside boundary after 1000 attempts");
-        return [minLat + (maxLat-minLat)/2, minLng + (maxLng-minLng)/2];
-      }
-    } while (!pointInPolygon([point[1], point[0]], coordinates));
-    
-    return point;
   },
 
-  // Generate multiple random points inside boundary
-  generateMultiplePointsInBoundary: (boundary, count = 5) => {
-    const points = [];
-    for (let i = 0; i < count; i++) {
-      points.push(this.generateRandomPointInBoundary(boundary));
+  validateRaster: function(raster) {
+    const east = raster.originLng + raster.width * raster.cellSizeLng;
+    const south = raster.originLat - raster.height * raster.cellSizeLat;
+    if (raster.originLng < -180 || east > 180 || south < -90 || raster.originLat > 90) {
+      throw new Error("Raster coordinates are not geographic (lat/lng). Reproject the tile to WGS84 (EPSG:4326) first.");
     }
-    return points;
+    return raster;
   },
 
-  // Calculate centroid of boundary
-  calculateCentroid: (boundary) => {
-    if (!boundary || !boundary.geometry || !boundary.geometry.coordinates) return [10.85, 76.27];
-    
-    const coordinates = boundary.geometry.coordinates[0];
-    let sumLat = 0, sumLng = 0;
-    
-    coordinates.forEach(([lng, lat]) => {
-      sumLng += lng;
-      sumLat += lat;
-    });
-    
-    return [sumLat / coordinates.length, sumLng / coordinates.length];
+  getRasterBounds: function(raster) {
+    return {
+      minLng: raster.originLng,
+      maxLng: raster.originLng + raster.width * raster.cellSizeLng,
+      minLat: raster.originLat - raster.height * raster.cellSizeLat,
+      maxLat: raster.originLat
+    };
   },
-  findClosestPointOnBoundary: (point, boundary) => {
-    if (!boundary || !boundary.geometry || !boundary.geometry.coordinates) return point;
-    
-    const [lng, lat] = Array.isArray(point) ? [point[1], point[0]] : [point.lng, point.lat];
-    const coordinates = boundary.geometry.coordinates[0];
-    
-    let minDistance = Infinity;
-    let closestPoint = [lat, lng]; // Return in [lat, lng] format
-    
-    // Check each segment of the boundary polygon
-    for (let i = 0; i < coordinates.length - 1; i++) {
-      const [x1, y1] = coordinates[i];     // [lng, lat]
-      const [x2, y2] = coordinates[i + 1]; // [lng, lat]
-      
-      // Find closest point on this segment
-      const closest = BoundaryUtils.findClosestPointOnSegment(lng, lat, x1, y1, x2, y2);
-      const distance = BoundaryUtils.calculateDistanceBetweenPoints(lng, lat, closest[0], closest[1]);
-      
-      if (distance < minDistance) {
-        minDistance = distance;
-        closestPoint = [closest[1], closest[0]]; // Convert back to [lat, lng]
-      }
-    }
-    
-    return closestPoint;
+
+  // Bilinear sample at a lat/lng; null when outside the raster or touching NoData
+  sampleElevation: function(raster, lat, lng) {
+    // Pixel-centre coordinates
+    const x = (lng - raster.originLng) / raster.cellSizeLng - 0.5;
+    const y = (raster.originLat - lat) / raster.cellSizeLat - 0.5;
+    if (x < -0.5 || y < -0.5 || x > raster.width - 0.5 || y > raster.height - 0.5) return null;
+
+    const x0 = Math.max(0, Math.min(raster.width - 1, Math.floor(x)));
+    const y0 = Math.max(0, Math.min(raster.height - 1, Math.floor(y)));
+    const x1 = Math.min(raster.width - 1, x0 + 1);
+    const y1 = Math.min(raster.height - 1, y0 + 1);
+    const fx = Math.max(0, Math.min(1, x - x0));
+    const fy = Math.max(0, Math.min(1, y - y0));
+
+    const corners = [
+      raster.values[y0 * raster.width + x0],
+      raster.values[y0 * raster.width + x1],
+      raster.values[y1 * raster.width + x0],
+      raster.values[y1 * raster.width + x1]
+    ];
+    if (corners.some(v => !isFinite(v) || (raster.noData !== null && v === raster.noData))) return null;
+
+    const top = corners[0] * (1 - fx) + corners[1] * fx;
+    const bottom = corners[2] * (1 - fx) + corners[3] * fx;
+    return top * (1 - fy) + bottom * fy;
   },
 
-  // Helper function to find closest point on a line segment
-  findClosestPointOnSegment: (px, py, x1, y1, x2, y2) => {
-    const A = px - x1;
-    const B = py - y1;
-    const C = x2 - x1;
-    const D = y2 - y1;
+  // Area to sample: the drawn boundary's extent, or a square around the farm centre
+  getSampleBounds: function(lat, lng, radius = 0.05, boundary = null) {
+    const bounds = BoundaryUtils.getBounds(boundary);
+    if (bounds) return bounds;
+    return { minLat: lat - radius, maxLat: lat + radius, minLng: lng - radius, maxLng: lng + radius };
+  },
 
-    const dot = A * C + B * D;
-    const lenSq = C * C + D * D;
-    let param = -1;
-    
-    if (lenSq !== 0) {
-      param = dot / lenSq;
+  // Resample the raster onto a regular lat/lng grid over `bounds`, clipped to
+  // the boundary polygon. Every cell is emitted; NoData and off-site cells are NaN.
+  resampleToBounds: function(raster, bounds, maxPoints = 200, boundary = null) {
+    const rasterBounds = this.getRasterBounds(raster);
+    if (bounds.minLat < rasterBounds.minLat || bounds.maxLat > rasterBounds.maxLat ||
+        bounds.minLng < rasterBounds.minLng || bounds.maxLng > rasterBounds.maxLng) {
+      throw new Error("The elevation raster does not cover the whole site");
     }
 
-    let xx, yy;
+    const latRange = bounds.maxLat - bounds.minLat;
+    const lngRange = bounds.maxLng - bounds.minLng;
 
-    if (param < 0) {
-      xx = x1;
-      yy = y1;
-    } else if (param > 1) {
-      xx = x2;
-      yy = y2;
+    // Don't go finer than the source raster, but keep at least the synthetic DEM's 15 steps
+    const latSteps = Math.max(15, Math.min(maxPoints, Math.round(latRange / raster.cellSizeLat)));
+    const lngSteps = Math.max(15, Math.min(maxPoints, Math.round(lngRange / raster.cellSizeLng)));
+
+    const demData = [];
+    for (let i = 0; i <= latSteps; i++) {
+      for (let j = 0; j <= lngSteps; j++) {
+        const pointLat = bounds.minLat + (i / latSteps) * latRange;
+        const pointLng = bounds.minLng + (j / lngSteps) * lngRange;
+        const elevation = this.sampleElevation(raster, pointLat, pointLng);
+
+        demData.push({
+          lat: pointLat,
+          lng: pointLng,
+          elevation: elevation === null ? NaN : parseFloat(elevation.toFixed(1))
+        });
+      }
+    }
+
+    return DEMUtils.clipToBoundary(demData, boundary);
+  }
+};
+
+/* ----------------- Site import (KML / GPX / Shapefile / GeoJSON) ------------------
+   Survey files are parsed in the browser into WGS84 GeoJSON features. classify()
+   reads each feature's name (its description and attributes only when the name
+   says nothing) to decide what it is: named boundary polygons (or, failing
+   that, the largest unnamed polygon or a closed GPX walk) become the site
+   boundary; ponds, trees, buildings, swales and paths become design elements;
+   anything recognised inside the site also ticks the matching
+   siteInputs.existingElements entry.
+-----------------------------------------------------------------------------*/
+const SITE_IMPORT_KINDS = [
+  { key: 'boundary', pattern: /boundar|border|property|parcel|survey|fence|അതിര്/i, line: 'BOUNDARY', polygon: 'BOUNDARY' },
+  { key: 'water', existing: 'water bodies', pattern: /pond|kulam|lake|pool|tank|well|water|stream|canal|കുളം|കിണർ|തോട്/i, polygon: 'POND' },
+  { key: 'tree', existing: 'mature trees', pattern: /tree|coconut|mango|jack|teak|palm|banyan|orchard|മരം|തെങ്ങ്|മാവ്|പ്ലാവ്/i, point: 'EXISTING_TREE', line: 'WINDBREAK', polygon: 'FRUIT_ORCHARD' },
+  { key: 'house', existing: 'structures', pattern: /house|home|dwelling|residence|veedu|വീട്/i, point: 'HOUSE', polygon: 'HOUSE' },
+  { key: 'structure', existing: 'structures', pattern: /building|shed|barn|store|garage|cowshed|structure|തൊഴുത്ത്/i, point: 'SHED', polygon: 'SHED' },
+  { key: 'terrace', existing: 'terracing', pattern: /terrace|bund|swale|contour|trench|കയ്യാല|വരമ്പ്/i, line: 'SWALE' },
+  { key: 'path', pattern: /path|track|road|lane|drive|walkway|വഴി/i, line: 'PATH' }
+];
+
+const SiteImportUtils = {
+  CLOSED_TRACK_M: 25, // a GPX walk ending this close to its start encloses the site
+
+  // Read a user-selected File and dispatch on its extension
+  readFile: async function(file) {
+    const name = file.name.toLowerCase();
+    let collection;
+    if (name.endsWith('.zip')) {
+      collection = await this.parseShapefile(await file.arrayBuffer());
+    } else if (name.endsWith('.kml') || name.endsWith('.gpx')) {
+      const doc = new DOMParser().parseFromString(await file.text(), 'text/xml');
+      if (doc.getElementsByTagName('parsererror').length) {
+        throw new Error("The file is not valid XML.");
+      }
+      collection = name.endsWith('.kml') ? kml(doc) : gpx(doc);
+    } else if (name.endsWith('.geojson') || name.endsWith('.json')) {
+      collection = this.parseGeoJSON(await file.text());
+    } else if (name.endsWith('.kmz')) {
+      throw new Error("KMZ is not supported. In Google Earth, save the place as KML instead.");
     } else {
-      xx = x1 + param * C;
-      yy = y1 + param * D;
+      throw new Error("Unsupported site file. Use KML, GPX, a zipped shapefile (.zip) or GeoJSON.");
     }
+    return this.validate(collection);
+  },
 
-    return [xx, yy];
+  // Zipped shapefile; shpjs reprojects using the .prj when one is included
+  parseShapefile: async function(arrayBuffer) {
+    const parsed = await parseZip(arrayBuffer);
+    const layers = Array.isArray(parsed) ? parsed : [parsed];
+    return {
+      type: 'FeatureCollection',
+      // The layer's file name ("ponds", "buildings") helps classification
+      features: layers.flatMap(layer => (layer.features || []).map(f => ({
+        ...f,
+        properties: { layer: layer.fileName, ...f.properties }
+      })))
+    };
   },
 
-  // Helper function to calculate distance between two points
-  calculateDistanceBetweenPoints: (x1, y1, x2, y2) => {
-    const dx = x2 - x1;
-    const dy = y2 - y1;
-    return Math.sqrt(dx * dx + dy * dy);
+  parseGeoJSON: function(text) {
+    const data = JSON.parse(text);
+    if (data.type === 'FeatureCollection') return data;
+    if (data.type === 'Feature') return { type: 'FeatureCollection', features: [data] };
+    if (data.type && data.coordinates) {
+      return { type: 'FeatureCollection', features: [{ type: 'Feature', properties: {}, geometry: data }] };
+    }
+    throw new Error("The file is not GeoJSON.");
+  },
+
+  // Reject empty files and projected coordinates (a shapefile without its .prj)
+  validate: function(collection) {
+    const features = ((collection && collection.features) || []).filter(f => f && f.geometry);
+    if (features.length === 0) throw new Error("The file contains no features.");
+
+    const outOfRange = (coords) => typeof coords[0] === 'number'
+      ? Math.abs(coords[0]) > 180 || Math.abs(coords[1]) > 90
+      : coords.some(outOfRange);
+    const geometries = features.flatMap(f => f.geometry.type === 'GeometryCollection' ? f.geometry.geometries : [f.geometry]);
+    if (geometries.some(g => g.coordinates && outOfRange(g.coordinates))) {
+      throw new Error("Coordinates are not longitude/latitude. Include the .prj file in the zip or reproject to WGS84 (EPSG:4326).");
+    }
+    return { type: 'FeatureCollection', features };
+  },
+
+  // Searchable text of a feature, skipping style attributes
+  describe: function(properties) {
+    return Object.entries(properties || {})
+      .filter(([key, value]) => typeof value === 'string' && !/^(style|stroke|fill|marker|icon|_)/i.test(key))
+      .map(([, value]) => value)
+      .join(' ');
+  },
+
+  getLabel: function(properties) {
+    const p = properties || {};
+    const label = p.name || p.Name || p.NAME || p.title;
+    return typeof label === 'string' && label.trim() ? label.trim() : null;
+  },
+
+  // Split a geometry into 'point' / 'line' / 'polygon' parts with [lng, lat] coordinates
+  getParts: function(geometry) {
+    const flat = (c) => [c[0], c[1]];
+    switch (geometry && geometry.type) {
+      case 'Point': return [{ kind: 'point', coordinates: flat(geometry.coordinates) }];
+      case 'MultiPoint': return geometry.coordinates.map(c => ({ kind: 'point', coordinates: flat(c) }));
+      case 'LineString': return [{ kind: 'line', coordinates: geometry.coordinates.map(flat) }];
+      case 'MultiLineString': return geometry.coordinates.map(line => ({ kind: 'line', coordinates: line.map(flat) }));
+      case 'Polygon': return [{ kind: 'polygon', coordinates: geometry.coordinates.map(ring => ring.map(flat)) }];
+      case 'MultiPolygon': return geometry.coordinates.map(rings => ({ kind: 'polygon', coordinates: rings.map(ring => ring.map(flat)) }));
+      case 'GeometryCollection': return geometry.geometries.flatMap(g => this.getParts(g));
+      default: return [];
+    }
+  },
+
+  // A walked line that returns to its start, as polygon rings; null otherwise
+  closeTrack: function(line) {
+    if (line.length < 4) return null;
+    const [startLng, startLat] = line[0];
+    const [endLng, endLat] = line[line.length - 1];
+    if (calculateDistance([startLat, startLng], [endLat, endLng]) > this.CLOSED_TRACK_M) return null;
+    return [[...line, line[0]]];
+  },
+
+  toBoundary: function(polygons) {
+    return {
+      type: 'Feature',
+      properties: {},
+      geometry: polygons.length === 1
+        ? { type: 'Polygon', coordinates: polygons[0] }
+        : { type: 'MultiPolygon', coordinates: polygons }
+    };
+  },
+
+  toElement: function(type, part, label, id) {
+    const base = { type, name: label || ELEMENT_TYPES[type].name, id, imported: true };
+    const toLatLng = ([lng, lat]) => [lat, lng];
+    if (part.kind === 'line') return { ...base, points: part.coordinates.map(toLatLng) };
+    if (part.kind === 'polygon' && ELEMENT_TYPES[type].geometry === 'polygon') {
+      return { ...base, polygon: part.coordinates[0].map(toLatLng) };
+    }
+    // Point elements take a building footprint's centre
+    const position = part.kind === 'point'
+      ? toLatLng(part.coordinates)
+      : polygonCentroid(part.coordinates[0].map(toLatLng));
+    return { ...base, position };
+  },
+
+  // Kinds matched by the feature's name, or by its other text when the name
+  // matches nothing; a specific kind wins over 'boundary' ("Pond near fence")
+  matchKinds: function(properties) {
+    const match = (text) => SITE_IMPORT_KINDS
+      .filter(k => k.pattern.test(text))
+      .sort((a, b) => (a.key === 'boundary') - (b.key === 'boundary'));
+    const label = this.getLabel(properties);
+    const byName = label ? match(label) : [];
+    return byName.length ? byName : match(this.describe(properties));
+  },
+
+  /**
+   * Sort features into the boundary, design elements and existing-element tags.
+   * `boundary` is the current site boundary, used when the file has none;
+   * `hasHouse` demotes further houses to sheds; `nextId` numbers the elements.
+   * Returns { boundary, elements, existing, outside, skipped }.
+   */
+  classify: function(collection, { boundary = null, hasHouse = false, nextId = createIdGenerator(Date.now()) } = {}) {
+    const named = [];
+    const unnamed = [];
+    const candidates = [];
+    const tagged = [];
+    let skipped = 0;
+
+    collection.features.forEach(feature => {
+      const label = this.getLabel(feature.properties);
+      const parts = this.getParts(feature.geometry);
+      const kinds = this.matchKinds(feature.properties);
+
+      const unmatched = [];
+      parts.forEach(part => {
+        const kind = kinds.find(k => k[part.kind]);
+        if (!kind) {
+          // Recognised features without an element (a well, a stream) are only tagged
+          if (kinds.length === 0) unmatched.push(part);
+          else kinds.forEach(k => k.existing && tagged.push({ existing: k.existing, part }));
+        } else if (kind[part.kind] === 'BOUNDARY') {
+          const rings = part.kind === 'line' ? this.closeTrack(part.coordinates) : part.coordinates;
+          if (rings) named.push(rings);
+          else skipped++;
+        } else {
+          candidates.push({ type: kind[part.kind], part, label, existing: kind.existing });
+        }
+      });
+
+      // Unrecognised polygons and closed walks may be the property itself
+      const rings = unmatched
+        .map(part => part.kind === 'polygon' ? part.coordinates : part.kind === 'line' ? this.closeTrack(part.coordinates) : null)
+        .filter(Boolean);
+      if (rings.length) unnamed.push(rings);
+      skipped += unmatched.length - rings.length;
+    });
+
+    let imported = null;
+    if (named.length) {
+      imported = this.toBoundary(named);
+    } else if (unnamed.length) {
+      const byArea = unnamed
+        .map(polygons => this.toBoundary(polygons))
+        .sort((a, b) => BoundaryUtils.calculateArea(b) - BoundaryUtils.calculateArea(a));
+      imported = byArea[0];
+      skipped += unnamed.length - 1;
+    }
+
+    // Only features kept on the site tick their existingElements entry
+    const site = imported || boundary;
+    const existing = new Set();
+    const elements = [];
+    let outside = 0;
+    let houses = hasHouse ? 1 : 0;
+    candidates.forEach(({ type, part, label, existing: tag }) => {
+      let elementType = type;
+      if (type === 'HOUSE' && houses++ > 0) elementType = 'SHED';
+      const element = this.toElement(elementType, part, label, nextId());
+      if (site && !BoundaryUtils.isPointInBoundary(PlacementRuleUtils.getCenter(element), site)) {
+        outside++;
+        return;
+      }
+      elements.push(element);
+      if (tag) existing.add(tag);
+    });
+    tagged.forEach(({ existing: tag, part }) => {
+      const anchor = part.kind === 'point' ? part.coordinates : part.kind === 'line' ? part.coordinates[0] : part.coordinates[0][0];
+      if (!site || BoundaryUtils.containsLngLat(anchor, site)) existing.add(tag);
+      else outside++;
+    });
+
+    return { boundary: imported, elements, existing: [...existing], outside, skipped };
   }
 };
 
-/* ----------------- Helpers ------------------ */
-// simple point-in-polygon (ray-casting)
-function pointInPolygon(point, vs) {
-  const [x, y] = point;
-  let inside = false;
-  for (let i = 0, j = vs.length - 1; i < vs.length; j = i++) {
-    const [xi, yi] = vs[i];
-    const [xj, yj] = vs[j];
-    const intersect =
-      yi > y !== yj > y &&
-      x < ((xj - xi) * (y - yi)) / (yj - yi + Number.EPSILON) + xi;
-    if (intersect) inside = !inside;
-  }
-  return inside;
-}
+/* ----------------- Design export (GeoJSON / KML / DXF) ------------------
+   toFeatureCollection() turns the design into WGS84 GeoJSON for QGIS: travel-
+   time zones, the site boundary and one feature per element, with properties
+   { type, name, zone, areaM2 | lengthM, plants }. KML for Google Earth and
+   DXF for CAD are written from that collection; the DXF is in metres east /
+   north of the site centre with one layer per element type.
+-----------------------------------------------------------------------------*/
+const DesignExportUtils = {
+  M_PER_DEG: 111320,
+  DXF_TEXT_HEIGHT_M: 1.5,
+  // AutoCAD Color Index entries used to approximate element colours
+  DXF_COLORS: {
+    1: [255, 0, 0], 2: [255, 255, 0], 3: [0, 255, 0], 4: [0, 255, 255], 5: [0, 0, 255],
+    6: [255, 0, 255], 7: [255, 255, 255], 8: [128, 128, 128], 30: [255, 127, 0], 34: [153, 76, 0]
+  },
 
-// sample mock soil/watershed if within demo polygons
-function sampleSoilAt(lng, lat) {
-  const pt = [lng, lat];
-  for (const f of soilPolygons) {
-    const vs = f.geometry.coordinates[0];
-    if (pointInPolygon(pt, vs)) return f.properties.soil;
-  }
-  return "mixed-loam";
-}
+  // Zone of a [lat, lng] point: travel-time isochrones when available,
+  // otherwise straight-line distance from the zone origin
+  getZone: function(center, zoneIsochrones, origin, zones) {
+    if (zoneIsochrones) {
+      const zone = zoneIsochrones.features.find(f => BoundaryUtils.isPointInBoundary(center, f));
+      return zone ? zone.properties.zone : null;
+    }
+    const distance = calculateDistance(origin, center);
+    const zone = zones.find(z => distance <= z.r);
+    return zone ? zone.z : null;
+  },
 
-function sampleWatershedAt(lng, lat) {
-  const pt = [lng, lat];
-  for (const f of watershedPolygons) {
-    const vs = f.geometry.coordinates[0];
-    if (pointInPolygon(pt, vs)) return f.properties;
-  }
-  return null;
-}
+  getGeometry: function(element) {
+    const toLngLat = ([lat, lng]) => [lng, lat];
+    if (element.position) return { type: 'Point', coordinates: toLngLat(element.position) };
+    if (element.polygon) {
+      const ring = element.polygon.map(toLngLat);
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first);
+      return { type: 'Polygon', coordinates: [ring] };
+    }
+    if (element.points) return { type: 'LineString', coordinates: element.points.map(toLngLat) };
+    return null;
+  },
 
-// fallbacks used if NASA API fails
-function fallbackRain(lat, lng) {
-  if (lat >= 9.2 && lng >= 75.5 && lng <= 76.9) return 2500 + Math.round((11.5 - lat) * 100);
-  return 1500 + Math.round((10.5 - lat) * 50);
-}
+  // Element types whose export lists what to plant in them
+  PLANTED_TYPES: ['VEGETABLE_GARDEN', 'FRUIT_ORCHARD', 'MANDALA_GARDEN', 'HERB_SPIRAL', 'GRAIN_FIELD', 'WINDBREAK'],
 
-function fallbackSunHours(lat) {
-  return 6.5 + (10 - Math.abs(lat - 10.5)) * 0.1;
-}
+  // A cropped element exports its crop and that crop's companions (its guild);
+  // other planted elements the zone planting guide's picks for their zone
+  getPlants: function(element, zone, recommendations) {
+    if (element.crop) {
+      const plant = PLANTS.find(p => p.name === element.crop);
+      return [element.crop, ...(plant?.companions || [])];
+    }
+    if (!zone || !this.PLANTED_TYPES.includes(element.type)) return [];
+    return plantsForZone(recommendations, zone).slice(0, 5).map(p => p.name);
+  },
 
-function fallbackSlope(lat) {
-  if (lat > 10.5) return 8 + Math.round(Math.abs(lat - 11) * 2);
-  return 3 + Math.round(Math.abs(lat - 9.5) * 1.5);
-}
+  toFeatureCollection: function(elements, { boundary, zoneIsochrones, origin, zones, seed, recommendations = [] }) {
+    const features = [];
+
+    (zoneIsochrones ? zoneIsochrones.features : []).forEach(zone => {
+      features.push({
+        type: 'Feature',
+        properties: {
+          type: 'ZONE',
+          name: zone.properties.description,
+          zone: zone.properties.zone,
+          areaM2: zone.properties.areaM2,
+          plants: plantsForZone(recommendations, zone.properties.zone).slice(0, 5).map(p => p.name)
+        },
+        geometry: zone.geometry
+      });
+    });
 
-/* ----------------- Flood Risk Mapping ----------------- */
-function generateFloodRiskMap(lat, lng, slope, rainfall) {
-  const riskLevel = 
-    slope < 5 && rainfall > 2200 ? "high" :
-    slope < 10 && rainfall > 1800 ? "medium" : "low";
-    
-  return {
-    type: "Feature",
-    properties: { risk: riskLevel },
-    geometry: {
-      type: "Polygon",
-      coordinates: [[
-        [lng-0.05, lat-0.05],
-        [lng+0.05, lat-0.05],
-        [lng+0.05, lat+0.05],
-        [lng-0.05, lat+0.05],
-        [lng-0.05, lat-0.05]
-      ]]
+    if (boundary) {
+      features.push({
+        type: 'Feature',
+        properties: { type: 'BOUNDARY', name: 'Site boundary', zone: null, areaM2: Math.round(BoundaryUtils.calculateArea(boundary)), plants: [] },
+        geometry: boundary.type === 'Feature' ? boundary.geometry : boundary
+      });
     }
-  };
-}
 
-/* ----------------- NASA POWER fetch ------------------
-   We'll fetch:
-   - PRECTOTCORR (precipitation)   -> mm/day climatology -> annual
-   - ALLSKY_SFC_SW_DWN (solar)     -> kWh/m2/day -> convert to sun-hours
-   If the request fails (offline/CORS), we use fallbacks above.
--------------------------------------------------------*/
-async function getClimateFromNASA(lat, lng) {
-  try {
-    const url =
-      `https://power.larc.nasa.gov/api/temporal/climatology/point?parameters=PRECTOTCORR,ALLSKY_SFC_SW_DWN&community=AG&longitude=${lng}&latitude=${lat}&start=1991&end=2020&format=JSON`;
-    const res = await fetch(url);
-    if (!res.ok) throw new Error("NASA API error");
-    const data = await res.json();
+    elements.filter(Boolean).forEach(element => {
+      const geometry = this.getGeometry(element);
+      if (!geometry) return;
+      const zone = this.getZone(PlacementRuleUtils.getCenter(element), zoneIsochrones, origin, zones);
+      const properties = {
+        id: element.id,
+        type: element.type,
+        name: element.name || ELEMENT_TYPES[element.type]?.name,
+        zone,
+        plants: this.getPlants(element, zone, recommendations)
+      };
+      if (element.polygon) properties.areaM2 = Math.round(calculatePolygonArea(element.polygon));
+      if (element.points) properties.lengthM = Math.round(calculatePathLength(element.points));
+      features.push({ type: 'Feature', properties, geometry });
+    });
 
-    // monthly climatologies (12 values). Sum precip, average solar.
-    const p = Object.values(data.properties.parameter.PRECTOTCORR); // mm/day
-    const s = Object.values(data.properties.parameter.ALLSKY_SFC_SW_DWN); // kWh/m2/day
+    return { type: 'FeatureCollection', name: `kerala-perma-design-${seed}`, features };
+  },
 
-    // total annual rainfall (approx): sum(mm/day * days in month)
-    const days = [31,28,31,30,31,30,31,31,30,31,30,31];
-    const annualMm = Math.round(p.reduce((sum, mmPerDay, i) => sum + mmPerDay * days[i], 0));
+  getColor: function(properties) {
+    if (properties.type === 'BOUNDARY') return '#3388ff';
+    if (properties.type === 'ZONE') return (ZONES.find(z => z.z === properties.zone) || {}).color || '#66bb6a';
+    return ELEMENT_TYPES[properties.type]?.color || '#888888';
+  },
 
-    // average daily solar (kWh/m2/day). Convert to "sun-hours" (divide by ~1 kW/m2).
-    const avgKwhPerDay = s.reduce((a, b) => a + b, 0) / s.length;
-    const sunHours = Math.max(3, Math.min(10, avgKwhPerDay)); // clamp to 3-10
+  getLayerName: function(properties) {
+    return properties.type === 'ZONE' ? 'ZONES' : properties.type;
+  },
 
-    return {
-      source: "NASA POWER",
-      avgRainfallMm: annualMm,
-      sunHours,
-      monthlyRainfall: days.map((days, i) => Math.round(p[i] * days))
+  // Human-readable summary used by KML descriptions
+  describe: function(properties) {
+    return [
+      ELEMENT_TYPES[properties.type]?.name || properties.type,
+      properties.zone,
+      properties.areaM2 !== undefined && `${properties.areaM2} m²`,
+      properties.lengthM !== undefined && `${properties.lengthM} m`,
+      properties.plants.length > 0 && `Plants: ${properties.plants.join(', ')}`
+    ].filter(Boolean).join(' · ');
+  },
+
+  escapeXML: (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;'),
+
+  // KML colours are aabbggrr
+  toKMLColor: (hex, alpha) => `${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`,
+
+  toKMLGeometry: function(geometry) {
+    const coords = (points) => points.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+    const polygon = (rings) => `<Polygon><outerBoundaryIs><LinearRing><coordinates>${coords(rings[0])}</coordinates></LinearRing></outerBoundaryIs>` +
+      rings.slice(1).map(ring => `<innerBoundaryIs><LinearRing><coordinates>${coords(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('') +
+      '</Polygon>';
+    switch (geometry.type) {
+      case 'Point': return `<Point><coordinates>${coords([geometry.coordinates])}</coordinates></Point>`;
+      case 'LineString': return `<LineString><tessellate>1</tessellate><coordinates>${coords(geometry.coordinates)}</coordinates></LineString>`;
+      case 'Polygon': return polygon(geometry.coordinates);
+      case 'MultiPolygon': return `<MultiGeometry>${geometry.coordinates.map(polygon).join('')}</MultiGeometry>`;
+      default: return '';
+    }
+  },
+
+  // One styled folder per layer so Google Earth can toggle element types
+  toKML: function(collection) {
+    const layers = {};
+    collection.features.forEach(f => {
+      const layer = this.getLayerName(f.properties);
+      (layers[layer] = layers[layer] || []).push(f);
+    });
+
+    const folders = Object.entries(layers).map(([layer, features]) => {
+      const color = this.getColor(features[0].properties);
+      const style = `<Style id="${layer}"><LineStyle><color>${this.toKMLColor(color, 'ff')}</color><width>2</width></LineStyle>` +
+        `<PolyStyle><color>${this.toKMLColor(color, layer === 'BOUNDARY' ? '00' : '66')}</color></PolyStyle></Style>`;
+      const placemarks = features.map(f => {
+        const data = Object.entries(f.properties)
+          .filter(([, value]) => value !== null && value !== undefined)
+          .map(([key, value]) => `<Data name="${key}"><value>${this.escapeXML(Array.isArray(value) ? value.join(', ') : value)}</value></Data>`)
+          .join('');
+        return `<Placemark><name>${this.escapeXML(f.properties.name || layer)}</name>` +
+          `<description>${this.escapeXML(this.describe(f.properties))}</description>` +
+          `<styleUrl>#${layer}</styleUrl><ExtendedData>${data}</ExtendedData>${this.toKMLGeometry(f.geometry)}</Placemark>`;
+      }).join('\n');
+      return { style, folder: `<Folder><name>${this.escapeXML(ELEMENT_TYPES[layer]?.name || layer)}</name>\n${placemarks}\n</Folder>` };
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+      `<name>${this.escapeXML(collection.name)}</name>\n` +
+      folders.map(f => f.style).join('\n') + '\n' +
+      folders.map(f => f.folder).join('\n') +
+      '\n</Document></kml>\n';
+  },
+
+  getDXFColor: function(hex) {
+    const rgb = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    let best = 7, bestDistance = Infinity;
+    Object.entries(this.DXF_COLORS).forEach(([index, color]) => {
+      const distance = color.reduce((sum, c, i) => sum + (c - rgb[i]) ** 2, 0);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = Number(index);
+      }
+    });
+    return best;
+  },
+
+  // [lng, lat] for an element's label: the point, a line's middle vertex or a polygon's centre
+  getLabelPoint: (geometry) => {
+    const { type, coordinates } = geometry;
+    if (type === 'Point') return coordinates;
+    if (type === 'LineString') return coordinates[Math.floor(coordinates.length / 2)];
+    const [lat, lng] = polygonCentroid(coordinates[0].map(([x, y]) => [y, x]));
+    return [lng, lat];
+  },
+
+  // ASCII DXF (R12): POLYLINE / POINT / TEXT entities in local metres
+  toDXF: function(collection, origin) {
+    const [lat0, lng0] = origin;
+    const mPerDegLng = this.M_PER_DEG * Math.cos(lat0 * Math.PI / 180);
+    const project = ([lng, lat]) => [
+      ((lng - lng0) * mPerDegLng).toFixed(3),
+      ((lat - lat0) * this.M_PER_DEG).toFixed(3)
+    ];
+    const out = [];
+    const add = (...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) out.push(String(pairs[i]), String(pairs[i + 1]));
     };
-  } catch (e) {
-    const fallbackRainfall = fallbackRain(lat, lng);
-    return {
-      source: "fallback",
-      avgRainfallMm: fallbackRainfall,
-      sunHours: fallbackSunHours(lat),
-      monthlyRainfall: Array(12).fill(Math.round(fallbackRainfall/12))
+
+    const layers = {};
+    collection.features.forEach(f => {
+      const layer = this.getLayerName(f.properties);
+      if (!layers[layer]) layers[layer] = this.getDXFColor(this.getColor(f.properties));
+    });
+
+    add(999, `Kerala permaculture design. Metres east/north of lat ${lat0.toFixed(6)}, lng ${lng0.toFixed(6)}`);
+    add(0, 'SECTION', 2, 'HEADER', 9, '$ACADVER', 1, 'AC1009', 9, '$INSUNITS', 70, 6, 0, 'ENDSEC');
+    add(0, 'SECTION', 2, 'TABLES', 0, 'TABLE', 2, 'LAYER', 70, Object.keys(layers).length);
+    Object.entries(layers).forEach(([name, color]) => add(0, 'LAYER', 2, name, 70, 0, 62, color, 6, 'CONTINUOUS'));
+    add(0, 'ENDTAB', 0, 'ENDSEC', 0, 'SECTION', 2, 'ENTITIES');
+
+    const polyline = (layer, points, closed) => {
+      add(0, 'POLYLINE', 8, layer, 66, 1, 70, closed ? 1 : 0, 10, 0, 20, 0, 30, 0);
+      // Closed polylines repeat no vertex
+      (closed ? points.slice(0, -1) : points).forEach(p => {
+        const [x, y] = project(p);
+        add(0, 'VERTEX', 8, layer, 10, x, 20, y, 30, 0);
+      });
+      add(0, 'SEQEND', 8, layer);
     };
+
+    collection.features.forEach(f => {
+      const layer = this.getLayerName(f.properties);
+      const { type, coordinates } = f.geometry;
+      if (type === 'Point') {
+        const [x, y] = project(coordinates);
+        add(0, 'POINT', 8, layer, 10, x, 20, y, 30, 0);
+      } else if (type === 'LineString') {
+        polyline(layer, coordinates, false);
+      } else if (type === 'Polygon' || type === 'MultiPolygon') {
+        (type === 'Polygon' ? [coordinates] : coordinates).forEach(rings => rings.forEach(ring => polyline(layer, ring, true)));
+      }
+
+      if (f.properties.type !== 'ZONE' && f.properties.type !== 'BOUNDARY') {
+        const [x, y] = project(this.getLabelPoint(f.geometry));
+        add(0, 'TEXT', 8, layer, 10, x, 20, y, 30, 0, 40, this.DXF_TEXT_HEIGHT_M, 1, String(f.properties.name).replace(/[\r\n]+/g, ' '));
+      }
+    });
+
+    add(0, 'ENDSEC', 0, 'EOF');
+    return out.join('\n') + '\n';
+  },
+
+  download: (text, filename, mimeType) => {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
   }
-}
+};
 
-/* ----------------- Rainfall Chart ----------------- */
-const RainfallChart = React.memo(({ monthlyRainfall }) => {
-  if (!monthlyRainfall || monthlyRainfall.length === 0) return null;
-  
-  const maxRain = Math.max(...monthlyRainfall);
-  const months = ['J','F','M','A','M','J','J','A','S','O','N','D'];
-  
-  return (
-    <div style={{ marginTop: 10 }}>
-      <div style={{ fontWeight: 600, marginBottom: 5 }}>Monthly Rainfall (mm)</div>
-      <div style={{ display: 'flex', height: 60, alignItems: 'flex-end' }}>
-        {monthlyRainfall.map((rain, i) => (
-          <div key={i} style={{ flex: 1, textAlign: 'center' }}>
-            <div style={{ 
-              height: `${(rain/(maxRain+1))*50}px`,
-              background: '#29b6f6',
-              margin: '0 2px',
-              position: 'relative'
-            }}>
-              <span style={{
-                position: 'absolute',
-                bottom: '100%',
-                left: 0,
-                right: 0,
-                fontSize: 10
-              }}>{rain}</span>
-            </div>
-            <div style={{ fontSize: 10 }}>{months[i]}</div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-});
+/* ----------------- Hydrology (flow routing on the DEM grid) ------------------
+   1. fillSinks: priority-flood with a tiny epsilon gradient so flats drain
+   2. flow directions: D8 (single steepest neighbour) or D-infinity
+      (Tarboton 1997 - flow split between the two cells bounding the
+      steepest facet)
+   3. flow accumulation: upslope contributing area in m² per cell
+   4. extractStreams: drainage lines where accumulation >= threshold
+-----------------------------------------------------------------------------*/
+const FLOW_METHODS = {
+  D8: { name: "D8", description: "Single steepest downhill neighbour" },
+  DINF: { name: "D-infinity", description: "Flow split across the steepest facet" }
+};
 
-/* ----------------- Monsoon Advisory ----------------- */
-function getMonsoonAdvisory(monthlyRainfall) {
-  if (!monthlyRainfall || monthlyRainfall.length === 0) return null;
-  
-  const maxMonth = monthlyRainfall.indexOf(Math.max(...monthlyRainfall));
-  const monsoonMonths = [6,7,8,9]; // Jun-Sep
-  
-  return {
-    status: monsoonMonths.includes(maxMonth) ? "active" : "dormant",
-    advice: monsoonMonths.includes(maxMonth) 
-      ? "🌧️ Monsoon Active: Focus on water diversion and soil protection" 
-      : "☀️ Dry Season: Focus on water conservation and irrigation"
-  };
-}
+// 8 neighbours as [dRow, dCol]; rows increase northwards
+const NEIGHBOR_OFFSETS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
 
-/* ----------------- Plant database ------------------
-   Kerala-friendly list + companions + spacing/pattern hints
------------------------------------------------------*/
-const PLANTS = [
-  {
-    name: "Coconut",
-    scientific: "Cocos nucifera",
-    functions: ["food", "shade", "windbreak"],
-    water: "moderate–high",
-    sunlight: "full sun",
-    spacing: "7–8 m",
-    pattern: "grid or triangle",
-    companions: ["Banana", "Black Pepper", "Pineapple", "Ginger", "Turmeric"],
-    suitability: (e) => e.avgRainfallMm >= 1200 && e.sunHours >= 5,
-    type: "TREE"
+const HydrologyUtils = {
+  // Binary min-heap of [priority, value] pairs
+  createMinHeap: function() {
+    const items = [];
+    return {
+      size: () => items.length,
+      push: (priority, value) => {
+        items.push([priority, value]);
+        let i = items.length - 1;
+        while (i > 0) {
+          const parent = (i - 1) >> 1;
+          if (items[parent][0] <= items[i][0]) break;
+          [items[parent], items[i]] = [items[i], items[parent]];
+          i = parent;
+        }
+      },
+      pop: () => {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+          items[0] = last;
+          let i = 0;
+          for (;;) {
+            const left = 2 * i + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+            if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+            if (smallest === i) break;
+            [items[smallest], items[i]] = [items[i], items[smallest]];
+            i = smallest;
+          }
+        }
+        return top[1];
+      }
+    };
   },
-  {
-    name: "Banana",
-    scientific: "Musa spp.",
-    functions: ["food", "mulch biomass"],
-    water: "high",
-    sunlight: "full/partial",
-    spacing: "2–3 m clumps",
-    pattern: "clumps along contours",
-    companions: ["Taro", "Sweet Potato", "Turmeric", "Ginger"],
-    suitability: (e) => e.avgRainfallMm >= 1400 && e.soil.includes("loam"),
-    type: "SHRUB"
+
+  // Depression filling (Barnes et al. 2014, priority-flood + epsilon).
+  // Cells on the grid edge or next to NoData are outlets.
+  fillSinks: function(grid, epsilon = 1e-4) {
+    const { rows, cols, elevations } = grid;
+    const filled = Float64Array.from(elevations);
+    const closed = new Uint8Array(rows * cols);
+    const heap = this.createMinHeap();
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const index = row * cols + col;
+        if (isNaN(filled[index])) continue;
+        const isOutlet = row === 0 || col === 0 || row === rows - 1 || col === cols - 1 ||
+          NEIGHBOR_OFFSETS.some(([dr, dc]) => isNaN(elevations[(row + dr) * cols + col + dc]));
+        if (isOutlet) {
+          closed[index] = 1;
+          heap.push(filled[index], index);
+        }
+      }
+    }
+
+    while (heap.size() > 0) {
+      const index = heap.pop();
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+        const r = row + dr;
+        const c = col + dc;
+        if (r < 0 || c < 0 || r >= rows || c >= cols) return;
+        const n = r * cols + c;
+        if (closed[n] || isNaN(filled[n])) return;
+        closed[n] = 1;
+        filled[n] = Math.max(filled[n], filled[index] + epsilon);
+        heap.push(filled[n], n);
+      });
+    }
+
+    return filled;
   },
-  {
-    name: "Black Pepper",
-    scientific: "Piper nigrum",
-    functions: ["cash crop", "climber"],
-    water: "moderate",
-    sunlight: "partial shade",
-    spacing: "3 m",
-    pattern: "on live standards (Coconut/Areca)",
-    companions: ["Coconut", "Areca"],
-    suitability: (e) => e.avgRainfallMm >= 1800 && (e.soil.includes("loam") || e.soil.includes("lateritic")),
-    type: "CLIMBER"
+
+  // Receivers per cell: receiverA gets fractionA of the flow, receiverB the rest.
+  // -1 means the flow leaves the grid.
+  calculateFlowDirections: function(grid, filled, method = 'D8') {
+    const { rows, cols, cellSizeX, cellSizeY } = grid;
+    const count = rows * cols;
+    const receiverA = new Int32Array(count).fill(-1);
+    const receiverB = new Int32Array(count).fill(-1);
+    const fractionA = new Float32Array(count).fill(1);
+
+    const valid = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && !isNaN(filled[r * cols + c]);
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const index = row * cols + col;
+        const z = filled[index];
+        if (isNaN(z)) continue;
+
+        if (method === 'DINF') {
+          const result = this.dInfinityDirection(filled, rows, cols, row, col, cellSizeX, cellSizeY, valid);
+          if (result) {
+            receiverA[index] = result.receiverA;
+            receiverB[index] = result.receiverB;
+            fractionA[index] = result.fractionA;
+            continue;
+          }
+        }
+
+        // D8 (also the fallback when no D-inf facet slopes downhill)
+        let best = -1;
+        let bestSlope = 0;
+        NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+          const r = row + dr;
+          const c = col + dc;
+          if (!valid(r, c)) return;
+          const distance = Math.hypot(dr * cellSizeY, dc * cellSizeX);
+          const slope = (z - filled[r * cols + c]) / distance;
+          if (slope > bestSlope) {
+            bestSlope = slope;
+            best = r * cols + c;
+          }
+        });
+        receiverA[index] = best;
+      }
+    }
+
+    return { receiverA, receiverB, fractionA };
   },
-  {
-    name: "Arecanut",
-    scientific: "Areca catechu",
-    functions: ["cash crop", "canopy"],
-    water: "moderate–high",
-    sunlight: "full sun",
-    spacing: "2.7 x 2.7 m",
-    pattern: "grid",
-    companions: ["Black Pepper", "Pineapple"],
-    suitability: (e) => e.avgRainfallMm >= 1500,
-    type: "TREE"
+
+  // Tarboton's D-infinity: steepest of the 8 triangular facets around a cell
+  dInfinityDirection: function(filled, rows, cols, row, col, cellSizeX, cellSizeY, valid) {
+    const z = filled[row * cols + col];
+    // [cardinal offset, diagonal offset, distance along cardinal, distance across]
+    const facets = [
+      [[0, 1], [1, 1], cellSizeX, cellSizeY],
+      [[0, 1], [-1, 1], cellSizeX, cellSizeY],
+      [[1, 0], [1, 1], cellSizeY, cellSizeX],
+      [[1, 0], [1, -1], cellSizeY, cellSizeX],
+      [[0, -1], [1, -1], cellSizeX, cellSizeY],
+      [[0, -1], [-1, -1], cellSizeX, cellSizeY],
+      [[-1, 0], [-1, 1], cellSizeY, cellSizeX],
+      [[-1, 0], [-1, -1], cellSizeY, cellSizeX]
+    ];
+
+    let best = null;
+    facets.forEach(([[r1, c1], [r2, c2], d1, d2]) => {
+      if (!valid(row + r1, col + c1) || !valid(row + r2, col + c2)) return;
+      const e1 = filled[(row + r1) * cols + col + c1];
+      const e2 = filled[(row + r2) * cols + col + c2];
+      const maxAngle = Math.atan2(d2, d1);
+
+      const s1 = (z - e1) / d1;
+      const s2 = (e1 - e2) / d2;
+      let angle = Math.atan2(s2, s1);
+      let slope = Math.hypot(s1, s2);
+      if (angle < 0) {
+        angle = 0;
+        slope = s1;
+      } else if (angle > maxAngle) {
+        angle = maxAngle;
+        slope = (z - e2) / Math.hypot(d1, d2);
+      }
+
+      if (slope > 0 && (!best || slope > best.slope)) {
+        best = {
+          slope,
+          receiverA: (row + r1) * cols + col + c1,
+          receiverB: (row + r2) * cols + col + c2,
+          fractionA: 1 - angle / maxAngle
+        };
+      }
+    });
+
+    return best;
   },
-  {
-    name: "Moringa",
-    scientific: "Moringa oleifera",
-    functions: ["food", "fast biomass", "soil improver"],
-    water: "low–moderate",
-    sunlight: "full sun",
-    spacing: "2–4 m",
-    pattern: "hedgerows along paths",
-    companions: ["Pigeon Pea", "Cowpea"],
-    suitability: (e) => e.sunHours >= 5 && e.avgRainfallMm >= 800,
-    type: "TREE"
+
+  // Contributing area (m²) flowing through each cell
+  calculateFlowAccumulation: function(grid, filled, directions) {
+    const { rows, cols, cellSizeX, cellSizeY } = grid;
+    const cellArea = cellSizeX * cellSizeY;
+    const accumulation = new Float64Array(rows * cols);
+    const order = [];
+    for (let i = 0; i < filled.length; i++) {
+      if (!isNaN(filled[i])) {
+        accumulation[i] = cellArea;
+        order.push(i);
+      }
+    }
+
+    // Highest cells first so every cell is complete before it is passed on
+    order.sort((a, b) => filled[b] - filled[a]);
+    const { receiverA, receiverB, fractionA } = directions;
+    order.forEach(i => {
+      if (receiverA[i] >= 0) accumulation[receiverA[i]] += accumulation[i] * fractionA[i];
+      if (receiverB[i] >= 0) accumulation[receiverB[i]] += accumulation[i] * (1 - fractionA[i]);
+    });
+
+    return accumulation;
   },
-  {
-    name: "Pigeon Pea",
-    scientific: "Cajanus cajan",
-    functions: ["nitrogen fixer", "mulch"],
-    water: "low–moderate",
-    sunlight: "full sun",
-    spacing: "1–1.5 m",
-    pattern: "alley cropping",
-    companions: ["Moringa", "Cassava"],
-    suitability: () => true,
-    type: "LEGUME"
+
+  // Full flow model for a DEM grid
+  analyze: function(grid, method = 'D8') {
+    if (!grid || grid.rows < 3 || grid.cols < 3) return null;
+    const filled = this.fillSinks(grid);
+    const directions = this.calculateFlowDirections(grid, filled, method);
+    const accumulation = this.calculateFlowAccumulation(grid, filled, directions);
+    const cellArea = grid.cellSizeX * grid.cellSizeY;
+    let maxAccumulation = 0;
+    accumulation.forEach(a => { maxAccumulation = Math.max(maxAccumulation, a); });
+
+    return { grid, method, filled, directions, accumulation, cellArea, maxAccumulation };
   },
-  {
-    name: "Turmeric",
-    scientific: "Curcuma longa",
-    functions: ["cash crop", "mulch"],
-    water: "moderate–high",
-    sunlight: "partial shade",
-    spacing: "30–45 cm",
-    pattern: "beds under banana",
-    companions: ["Banana", "Ginger"],
-    suitability: (e) => e.avgRainfallMm >= 1500 && e.soil.includes("loam"),
-    type: "ROOT"
+
+  // Dominant downstream cell (D-inf flow is traced along its larger share)
+  getDownstream: function(flow, index) {
+    const { receiverA, receiverB, fractionA } = flow.directions;
+    return fractionA[index] >= 0.5 || receiverB[index] < 0 ? receiverA[index] : receiverB[index];
   },
-  {
-    name: "Ginger",
-    scientific: "Zingiber officinale",
-    functions: ["cash crop", "mulch"],
-    water: "moderate–high",
-    sunlight: "partial shade",
-    spacing: "20–30 cm",
-    pattern: "raised beds",
-    companions: ["Turmeric", "Banana"],
-    suitability: (e) => e.avgRainfallMm >= 1500,
-    type: "ROOT"
+
+  // Upslope contributing area of a pour point as a GeoJSON polygon. The pour
+  // point snaps to the highest-accumulation cell within `snapRadius` cells so
+  // a click next to a drainage line lands on it. Under D-infinity a cell may
+  // send only part of its flow; the catchment holds the cells sending at least
+  // half of it, and its area is counted from those same cells, so the polygon
+  // on the map and the area in the water budget agree.
+  delineateCatchment: function(flow, lat, lng, snapRadius = 2) {
+    if (!flow) return null;
+    const { grid, accumulation } = flow;
+    const { rows, cols } = grid;
+    const start = DEMUtils.getGridCell(grid, lat, lng);
+    if (!start) return null;
+
+    let pour = start.index;
+    for (let dr = -snapRadius; dr <= snapRadius; dr++) {
+      for (let dc = -snapRadius; dc <= snapRadius; dc++) {
+        const r = start.row + dr;
+        const c = start.col + dc;
+        if (r < 0 || c < 0 || r >= rows || c >= cols) continue;
+        if (accumulation[r * cols + c] > accumulation[pour]) pour = r * cols + c;
+      }
+    }
+
+    const share = this.getFlowShare(flow, this.getUpslopeMask(flow, [pour]), pour);
+    const mask = Array.from(share, v => (v >= 0.5 ? 1 : 0));
+    const geometry = ZoneUtils.maskToGeometry(grid, mask);
+    if (!geometry) return null;
+    const cellCount = mask.reduce((sum, v) => sum + v, 0);
+
+    return {
+      type: "Feature",
+      properties: {
+        areaM2: Math.round(cellCount * flow.cellArea),
+        cellCount,
+        pourPoint: DEMUtils.getCellLatLng(grid, Math.floor(pour / cols), pour % cols),
+        method: flow.method
+      },
+      geometry
+    };
   },
-  {
-    name: "Cassava (Tapioca)",
-    scientific: "Manihot esculenta",
-    functions: ["food", "erosion control"],
-    water: "moderate",
-    sunlight: "full sun",
-    spacing: "1–1.5 m",
-    pattern: "on contour bunds",
-    companions: ["Pigeon Pea"],
-    suitability: (e) => e.slopePercent >= 3,
-    type: "ROOT"
+
+  // Fraction of each masked cell's flow that reaches `outlet`; receivers sit
+  // lower on the filled surface, so cells are resolved from the outlet upward
+  getFlowShare: function(flow, mask, outlet) {
+    const { filled, directions: { receiverA, receiverB, fractionA } } = flow;
+    const share = new Float64Array(mask.length);
+    const order = [];
+    mask.forEach((v, i) => { if (v) order.push(i); });
+    order.sort((a, b) => filled[a] - filled[b]);
+    order.forEach(i => {
+      if (i === outlet) {
+        share[i] = 1;
+        return;
+      }
+      const a = receiverA[i] >= 0 ? share[receiverA[i]] : 0;
+      const b = receiverB[i] >= 0 ? share[receiverB[i]] : 0;
+      share[i] = a * fractionA[i] + b * (1 - fractionA[i]);
+    });
+    return share;
   },
-  {
-    name: "Jackfruit",
-    scientific: "Artocarpus heterophyllus",
-    functions: ["food", "shade", "habitat"],
-    water: "moderate–high",
-    sunlight: "full sun",
-    spacing: "8–10 m",
-    pattern: "scattered canopy",
-    companions: ["Turmeric", "Ginger"],
-    suitability: (e) => e.avgRainfallMm >= 1200,
-    type: "TREE"
+
+  // Cells whose flow (any share of it) reaches one of the seed cells
+  getUpslopeMask: function(flow, seeds) {
+    const { grid, directions } = flow;
+    const { rows, cols } = grid;
+    const mask = new Uint8Array(rows * cols);
+    const queue = [...seeds];
+    seeds.forEach(i => { mask[i] = 1; });
+
+    while (queue.length > 0) {
+      const index = queue.pop();
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      NEIGHBOR_OFFSETS.forEach(([dr, dc]) => {
+        const r = row + dr;
+        const c = col + dc;
+        if (r < 0 || c < 0 || r >= rows || c >= cols) return;
+        const n = r * cols + c;
+        if (mask[n]) return;
+        const drains = directions.receiverA[n] === index ||
+          (directions.receiverB[n] === index && directions.fractionA[n] < 1);
+        if (drains) {
+          mask[n] = 1;
+          queue.push(n);
+        }
+      });
+    }
+
+    return mask;
   },
-  {
-    name: "Nutmeg",
-    scientific: "Myristica fragrans",
-    functions: ["spice", "understory"],
-    water: "high",
-    sunlight: "partial shade",
-    spacing: "8 m",
-    pattern: "under coconut canopy",
-    companions: ["Banana"],
-    suitability: (e) => e.avgRainfallMm >= 2000,
-    type: "TREE"
+
+  // Drainage lines: cells whose contributing area is at least `threshold` m².
+  // Lines break at confluences; each carries the accumulation at its lower end.
+  extractStreams: function(flow, threshold) {
+    if (!flow) return [];
+    const { grid, accumulation } = flow;
+    const count = grid.rows * grid.cols;
+    const isStream = (i) => i >= 0 && accumulation[i] >= threshold;
+
+    const inflows = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+      if (!isStream(i)) continue;
+      const down = this.getDownstream(flow, i);
+      if (isStream(down)) inflows[down]++;
+    }
+
+    const toLatLng = (i) => DEMUtils.getCellLatLng(grid, Math.floor(i / grid.cols), i % grid.cols);
+    const streams = [];
+    for (let i = 0; i < count; i++) {
+      // Segments start at stream heads and at confluences
+      if (!isStream(i) || inflows[i] === 1) continue;
+
+      const cells = [i];
+      let current = this.getDownstream(flow, i);
+      while (isStream(current) && cells.length < count) {
+        cells.push(current);
+        if (inflows[current] !== 1) break;
+        current = this.getDownstream(flow, current);
+      }
+      if (cells.length < 2) continue;
+
+      streams.push({
+        points: cells.map(toLatLng),
+        accumulation: accumulation[cells[cells.length - 1]]
+      });
+    }
+
+    return streams;
+  }
+};
+
+/* ----------------- Keyline design ------------------
+   Yeomans' keyline pattern from the site DEM:
+   - keypoints: where a valley profile changes from convex (steepening) to
+     concave (flattening), i.e. the steepest point of the valley floor
+   - keyline: traced from the keypoint across the slope, falling gently
+     (default 0.5%) away from the valley so cultivation drifts water to ridges
+   - ripping lines: parallel offsets of the keyline at a set spacing
+-----------------------------------------------------*/
+const KeylineUtils = {
+  // Full valley profiles: drainage segments chained from each stream head
+  // through the confluences down to where the flow leaves the grid
+  chainValleys: function(streams) {
+    const key = (p) => `${p[0].toFixed(9)},${p[1].toFixed(9)}`;
+    const startingAt = new Map(streams.map(s => [key(s.points[0]), s]));
+    const ends = new Set(streams.map(s => key(s.points[s.points.length - 1])));
+
+    return streams
+      .filter(s => !ends.has(key(s.points[0])))
+      .map(head => {
+        const points = [...head.points];
+        let accumulation = head.accumulation;
+        let next = startingAt.get(key(points[points.length - 1]));
+        while (next && points.length < 100000) {
+          points.push(...next.points.slice(1));
+          accumulation = next.accumulation;
+          next = startingAt.get(key(points[points.length - 1]));
+        }
+        return { points, accumulation };
+      });
   },
-  {
-    name: "Cardamom",
-    scientific: "Elettaria cardamomum",
-    functions: ["spice", "understory"],
-    water: "high",
-    sunlight: "shade",
-    spacing: "2 m",
-    pattern: "under silver oak/areca",
-    companions: ["Silver Oak"],
-    suitability: (e) => e.avgRainfallMm >= 2000 && e.sunHours <= 6,
-    type: "HERB"
+
+  // Keypoints on valley floors (streams from HydrologyUtils.extractStreams)
+  findKeypoints: function(grid, streams, minPoints = 6) {
+    const keypoints = [];
+    const nearEdge = ([lat, lng]) => {
+      const cell = DEMUtils.getGridCell(grid, lat, lng);
+      return !cell || cell.row < 2 || cell.col < 2 || cell.row > grid.rows - 3 || cell.col > grid.cols - 3;
+    };
+
+    this.chainValleys(streams).forEach((stream, streamIndex) => {
+      if (stream.points.length < minPoints) return;
+
+      const profile = stream.points.map(p => DEMUtils.sampleGrid(grid, p[0], p[1]));
+      if (profile.some(z => z === null)) return;
+
+      // Downstream gradient per segment, smoothed over 3 segments
+      const gradients = [];
+      for (let i = 1; i < profile.length; i++) {
+        const run = calculateDistance(stream.points[i - 1], stream.points[i]);
+        gradients.push(run > 0 ? (profile[i - 1] - profile[i]) / run : 0);
+      }
+      const smoothed = gradients.map((_, i) => {
+        const window = gradients.slice(Math.max(0, i - 1), i + 2);
+        return window.reduce((sum, g) => sum + g, 0) / window.length;
+      });
+
+      // Steepest interior segment with steepening above and flattening below
+      let best = -1;
+      for (let i = 1; i < smoothed.length - 1; i++) {
+        if (nearEdge(stream.points[i + 1])) continue;
+        const convexAbove = smoothed[i] > smoothed[i - 1];
+        const concaveBelow = smoothed[i + 1] < smoothed[i];
+        if (convexAbove && concaveBelow && (best < 0 || smoothed[i] > smoothed[best])) best = i;
+      }
+      if (best < 0) return;
+
+      // Segment i joins points i and i+1; the inflection sits at its lower end
+      const [lat, lng] = stream.points[best + 1];
+      keypoints.push({
+        lat,
+        lng,
+        elevation: profile[best + 1],
+        gradient: smoothed[best],
+        valleyLength: stream.points.length,
+        streamIndex
+      });
+    });
+
+    // Longest valleys first; valleys sharing an outlet can find the same keypoint
+    const seen = new Set();
+    return keypoints
+      .sort((a, b) => b.valleyLength - a.valleyLength)
+      .filter(k => {
+        const id = `${k.lat},${k.lng}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
   },
-  {
-    name: "Pokkali Rice",
-    scientific: "Oryza sativa",
-    functions: ["food", "salt-tolerant", "traditional crop"],
-    water: "very high",
-    sunlight: "full sun",
-    spacing: "20-25 cm",
-    pattern: "transplanted in flooded fields",
-    plantingTime: "Jun-Jul (With monsoon onset)",
-    plantingLocation: "Low-lying waterlogged areas",
-    waterRequirement: "very high",
-    sunlightRequirement: "full",
-    soilRequirement: "clayey, water-retentive",
-    companions: [
-      { name: "Fish", benefit: "Integrated farming provides natural fertilization" },
-      { name: "Prawns", benefit: "Integrated farming ecosystem" }
-    ],
-    suitability: (e) => e.soil.includes("alluvial") && e.avgRainfallMm >= 2200,
-    specialNotes: "Traditional saline-tolerant rice variety of Kerala, grown in coastal regions",
-    type: "GRAIN"
+
+  // Elevation gradient (m/m, east and north) at a point, by central differences
+  sampleGradient: function(grid, lat, lng) {
+    const dLat = grid.latStep / 2;
+    const dLng = grid.lngStep / 2;
+    const east = DEMUtils.sampleGrid(grid, lat, lng + dLng);
+    const west = DEMUtils.sampleGrid(grid, lat, lng - dLng);
+    const north = DEMUtils.sampleGrid(grid, lat + dLat, lng);
+    const south = DEMUtils.sampleGrid(grid, lat - dLat, lng);
+    if ([east, west, north, south].some(z => z === null)) return null;
+    return [(east - west) / grid.cellSizeX, (north - south) / grid.cellSizeY];
+  },
+
+  // Follow the slope from `start` in one direction (side = +1 / -1) at a
+  // constant fall, stopping at the grid edge, flat ground or outside `boundary`
+  traceFromKeypoint: function(grid, start, side, fall, boundary, maxLength) {
+    const stepM = Math.min(grid.cellSizeX, grid.cellSizeY) / 2;
+    const metresPerLat = grid.cellSizeY / grid.latStep;
+    const metresPerLng = grid.cellSizeX / grid.lngStep;
+    const points = [];
+    let [lat, lng] = start;
+    let previous = null;
+
+    for (let travelled = 0; travelled < maxLength; travelled += stepM) {
+      const gradient = this.sampleGradient(grid, lat, lng);
+      if (!gradient) break;
+      const [gx, gy] = gradient;
+      const magnitude = Math.hypot(gx, gy);
+      if (magnitude <= fall) break; // too flat to hold the fall
+
+      // Unit vectors along the contour and straight downhill
+      let tx = -gy / magnitude;
+      let ty = gx / magnitude;
+      if (previous ? tx * previous[0] + ty * previous[1] < 0 : side < 0) {
+        tx = -tx;
+        ty = -ty;
+      }
+      const b = fall / magnitude;
+      const a = Math.sqrt(1 - b * b);
+      const ux = a * tx - b * gx / magnitude;
+      const uy = a * ty - b * gy / magnitude;
+
+      lat += (uy * stepM) / metresPerLat;
+      lng += (ux * stepM) / metresPerLng;
+      if (boundary && !BoundaryUtils.isPointInBoundary([lat, lng], boundary)) break;
+      points.push([lat, lng]);
+      previous = [ux, uy];
+    }
+
+    return points;
+  },
+
+  // Keyline through a keypoint, ordered end to end across the valley
+  traceKeyline: function(grid, keypoint, fallPercent = 0.5, boundary = null, maxLength = 2000) {
+    const start = [keypoint.lat, keypoint.lng];
+    const fall = fallPercent / 100;
+    const left = this.traceFromKeypoint(grid, start, -1, fall, boundary, maxLength);
+    const right = this.traceFromKeypoint(grid, start, 1, fall, boundary, maxLength);
+    return [...left.reverse(), start, ...right];
+  },
+
+  // Offset a polyline sideways by `offsetM` metres (positive = left of travel)
+  offsetLine: function(points, offsetM) {
+    const toMetres = (lat) => [110574, 111320 * Math.cos(lat * Math.PI / 180)];
+    return points.map((point, i) => {
+      const prev = points[Math.max(0, i - 1)];
+      const next = points[Math.min(points.length - 1, i + 1)];
+      const [mLat, mLng] = toMetres(point[0]);
+      const dx = (next[1] - prev[1]) * mLng;
+      const dy = (next[0] - prev[0]) * mLat;
+      const length = Math.hypot(dx, dy) || 1;
+      // Left normal of the travel direction
+      return [point[0] + (dx / length) * offsetM / mLat, point[1] - (dy / length) * offsetM / mLng];
+    });
+  },
+
+  // Ripping lines parallel to the keyline, `count` each side, clipped to the boundary
+  generateRippingLines: function(keyline, spacingM = 5, count = 6, boundary = null) {
+    const lines = [];
+    for (let k = -count; k <= count; k++) {
+      if (k === 0) continue;
+      const offset = this.offsetLine(keyline, k * spacingM);
+
+      let run = [];
+      const flush = () => {
+        if (run.length > 1) lines.push({ points: run, offsetM: k * spacingM });
+        run = [];
+      };
+      offset.forEach(point => {
+        if (!boundary || BoundaryUtils.isPointInBoundary(point, boundary)) {
+          run.push(point);
+        } else {
+          flush();
+        }
+      });
+      flush();
+    }
+    return lines;
+  },
+
+  // Keyline + ripping-line elements for the main valley
+  // options.nextId (see createIdGenerator) makes the ids reproducible
+  generateDesign: function(grid, streams, boundary, options = {}) {
+    const { spacingM = 5, count = 6, fallPercent = 0.5, nextId = createIdGenerator(Date.now()) } = options;
+    const keypoints = this.findKeypoints(grid, streams);
+    if (keypoints.length === 0) return { keypoints, elements: [] };
+
+    const keypoint = keypoints[0];
+    const keyline = this.traceKeyline(grid, keypoint, fallPercent, boundary);
+    if (keyline.length < 3) return { keypoints, elements: [] };
+
+    const elements = [{
+      type: 'KEYLINE',
+      points: keyline,
+      keypoint: [keypoint.lat, keypoint.lng],
+      name: `Keyline (keypoint ${keypoint.elevation.toFixed(1)}m)`,
+      id: nextId()
+    }];
+    this.generateRippingLines(keyline, spacingM, count, boundary).forEach((line, i) => {
+      elements.push({
+        type: 'RIPPING_LINE',
+        points: line.points,
+        name: `Ripping line ${line.offsetM > 0 ? '+' : ''}${line.offsetM}m`,
+        id: nextId()
+      });
+    });
+
+    return { keypoints, elements };
+  }
+};
+
+/* ----------------- Gravity irrigation ------------------
+   One pipe run to the centre of every VEGETABLE_GARDEN / FRUIT_ORCHARD
+   from the WATER_TANK that leaves it the most outlet head (a star
+   network, no tees). Runs follow a least-cost route over the DEM with
+   the access-path A*: ground above the tank's water level is avoided and
+   every metre of climb costs extra, since summits need air valves.
+   Head is the drop from the tank outlet to the garden on the DEM;
+   friction uses Hazen-Williams for PE pipe.
+-----------------------------------------------------*/
+const IrrigationUtils = {
+  // Common PE irrigation pipe; inner diameters for PN4/PN6 rolls
+  PIPE_SIZES: [
+    { id: '16', label: '16 mm LDPE', innerDiameterMm: 13.0 },
+    { id: '20', label: '20 mm HDPE', innerDiameterMm: 16.4 },
+    { id: '25', label: '25 mm HDPE', innerDiameterMm: 20.4 },
+    { id: '32', label: '32 mm HDPE', innerDiameterMm: 26.2 },
+    { id: '40', label: '40 mm HDPE', innerDiameterMm: 32.6 },
+    { id: '50', label: '50 mm HDPE', innerDiameterMm: 40.8 }
+  ],
+  HAZEN_WILLIAMS_C: 140,
+  MIN_OUTLET_HEAD_M: 5, // ~0.5 bar for drip emitters and micro-sprinklers
+  ROLL_LENGTH_M: 100,
+  APPLICATION_MM: 5, // daily watering depth
+  WATERING_HOURS: 2,
+
+  getPipe: function(id) {
+    return this.PIPE_SIZES.find(p => p.id === id) || this.PIPE_SIZES[1];
+  },
+
+  // Friction head loss (m) for a flow in L/min through `lengthM` of pipe
+  frictionLoss: function(flowLpm, lengthM, innerDiameterMm) {
+    const q = flowLpm / 60000; // m³/s
+    const d = innerDiameterMm / 1000;
+    return 10.67 * lengthM * Math.pow(q, 1.852) / (Math.pow(this.HAZEN_WILLIAMS_C, 1.852) * Math.pow(d, 4.87));
+  },
+
+  // Largest flow (L/min) that still leaves `residualM` of head at the outlet
+  flowAtHead: function(availableHeadM, residualM, lengthM, innerDiameterMm) {
+    const head = availableHeadM - residualM;
+    if (head <= 0 || lengthM <= 0) return 0;
+    const d = innerDiameterMm / 1000;
+    const q = Math.pow(head * Math.pow(this.HAZEN_WILLIAMS_C, 1.852) * Math.pow(d, 4.87) / (10.67 * lengthM), 1 / 1.852);
+    return q * 60000;
+  },
+
+  CLIMB_COST_M: 5, // extra route metres per metre of climb
+  ABOVE_SUPPLY_FACTOR: 20,
+
+  // Pipe profile along a route; summits above the start need air valves
+  profilePipe: function(grid, route) {
+    const points = densifyPath(route, 2);
+    const ground = points.map(p => DEMUtils.sampleGrid(grid, p[0], p[1]));
+    if (ground.some(z => z === null)) return null;
+
+    const summits = [];
+    for (let i = 1; i < ground.length - 1; i++) {
+      if (ground[i] > ground[i - 1] && ground[i] >= ground[i + 1]) summits.push(i);
+    }
+    return { points, ground, summits, length: calculatePathLength(route) };
+  },
+
+  // Least-cost pipe route from the tank to the outlet over the DEM grid
+  routePipe: function(grid, pfGrid, from, to, supplyLevel) {
+    const startCell = DEMUtils.getGridCell(grid, from[0], from[1]);
+    const endCell = DEMUtils.getGridCell(grid, to[0], to[1]);
+    if (!startCell || !endCell) return null;
+    if (startCell.index === endCell.index) return [from, to];
+
+    const elevation = (node) => grid.elevations[node.y * grid.cols + node.x];
+    const distance = (a, b) => Math.hypot((a.x - b.x) * grid.cellSizeX, (a.y - b.y) * grid.cellSizeY);
+    const moveCost = {
+      distance,
+      cost: (a, b) => {
+        const climb = Math.max(0, elevation(b) - elevation(a));
+        const above = elevation(b) > supplyLevel ? this.ABOVE_SUPPLY_FACTOR : 1;
+        return (distance(a, b) + climb * this.CLIMB_COST_M) * above;
+      }
+    };
+    const cells = AccessUtils.findPath(pfGrid, startCell, endCell, moveCost);
+    if (cells.length < 2) return null;
+
+    const points = DEMUtils.smoothLine(cells.map(([x, y]) => DEMUtils.getCellLatLng(grid, y, x)), 1);
+    points[0] = from;
+    points[points.length - 1] = to;
+    return points;
+  },
+
+  designRun: function(grid, pfGrid, tank, garden, pipe, standHeightM) {
+    const outlet = polygonCentroid(garden.polygon);
+    const tankGround = DEMUtils.sampleGrid(grid, tank.position[0], tank.position[1]);
+    if (tankGround === null) return null;
+    const route = this.routePipe(grid, pfGrid, tank.position, outlet, tankGround + standHeightM);
+    const profile = route && this.profilePipe(grid, route);
+    if (!profile) return null;
+
+    const { ground, length } = profile;
+    const supplyLevel = ground[0] + standHeightM;
+    const staticHead = supplyLevel - ground[ground.length - 1];
+    const area = calculatePolygonArea(garden.polygon);
+    const designFlow = area * this.APPLICATION_MM / (this.WATERING_HOURS * 60); // L/min
+    const friction = this.frictionLoss(designFlow, length, pipe.innerDiameterMm);
+    const residualHead = staticHead - friction;
+    // Terrain above the tank's water level stops flow entirely
+    const blocked = profile.summits.some(i => ground[i] > supplyLevel);
+    const suggested = this.PIPE_SIZES.find(p =>
+      staticHead - this.frictionLoss(designFlow, length, p.innerDiameterMm) >= this.MIN_OUTLET_HEAD_M);
+
+    return {
+      id: `${tank.id}-${garden.id}`,
+      tankId: tank.id,
+      tank: tank.name,
+      garden: garden.name,
+      points: route,
+      length: Math.round(length),
+      staticHead: parseFloat(staticHead.toFixed(1)),
+      designFlow: parseFloat(designFlow.toFixed(1)),
+      friction: parseFloat(friction.toFixed(2)),
+      residualHead: parseFloat(residualHead.toFixed(1)),
+      maxFlow: parseFloat(this.flowAtHead(staticHead, this.MIN_OUTLET_HEAD_M, length, pipe.innerDiameterMm).toFixed(1)),
+      airValves: profile.summits.length,
+      blocked,
+      adequate: !blocked && residualHead >= this.MIN_OUTLET_HEAD_M,
+      suggestedPipe: suggested ? suggested.label : null
+    };
+  },
+
+  designNetwork: function(elements, grid, { pipeId, standHeightM }) {
+    const tanks = elements.filter(e => e && e.type === 'WATER_TANK' && e.position);
+    const gardens = elements.filter(e => e && (e.type === 'VEGETABLE_GARDEN' || e.type === 'FRUIT_ORCHARD') && e.polygon);
+    const pipe = this.getPipe(pipeId);
+    if (tanks.length === 0 || gardens.length === 0) return { pipe, runs: [], billOfMaterials: [] };
+    const pfGrid = AccessUtils.buildWalkableGrid(grid, elements, null);
+
+    // Each garden is fed by one tank: the unblocked run with the most outlet head
+    const runs = gardens
+      .map(garden => tanks
+        .map(tank => this.designRun(grid, pfGrid, tank, garden, pipe, standHeightM))
+        .filter(Boolean)
+        .reduce((best, run) => !best ||
+          (best.blocked && !run.blocked) ||
+          (best.blocked === run.blocked && run.residualHead > best.residualHead) ? run : best, null))
+      .filter(Boolean);
+
+    const tankCount = new Set(runs.map(r => r.tankId)).size;
+    return { pipe, runs, billOfMaterials: this.billOfMaterials(runs, pipe, tankCount) };
+  },
+
+  billOfMaterials: function(runs, pipe, tankCount) {
+    if (runs.length === 0) return [];
+    // 5% allowance for sag and joins
+    const pipeLength = Math.ceil(runs.reduce((sum, r) => sum + r.length, 0) * 1.05);
+    const couplers = runs.reduce((sum, r) => sum + Math.max(0, Math.ceil(r.length * 1.05 / this.ROLL_LENGTH_M) - 1), 0);
+    const airValves = runs.reduce((sum, r) => sum + r.airValves, 0);
+
+    return [
+      { item: `${pipe.label} pipe`, quantity: pipeLength, unit: 'm' },
+      { item: `${pipe.label} rolls (${this.ROLL_LENGTH_M} m)`, quantity: Math.ceil(pipeLength / this.ROLL_LENGTH_M), unit: 'no.' },
+      { item: 'Tank outlet connector', quantity: tankCount, unit: 'no.' },
+      { item: 'Screen filter (120 mesh)', quantity: tankCount, unit: 'no.' },
+      { item: `${pipe.id} mm ball valve`, quantity: runs.length * 2, unit: 'no.' },
+      { item: `${pipe.id} mm coupler`, quantity: couplers, unit: 'no.' },
+      { item: 'Air release valve', quantity: airValves, unit: 'no.' },
+      { item: `${pipe.id} mm end cap`, quantity: runs.length, unit: 'no.' }
+    ].filter(row => row.quantity > 0);
+  }
+};
+
+/* ----------------- Drip irrigation ------------------
+   Laterals run along the contour across a garden/orchard polygon at the
+   crop's row spacing, with emitters at the plant spacing. Water need is
+   FAO-style: ETc = Kc × ET0, less effective rainfall, over the wetted
+   fraction of the bed, grossed up for emission uniformity.
+-----------------------------------------------------*/
+const DripUtils = {
+  CROP_COEFFICIENTS: {
+    'very high': 1.2,
+    'high': 1.05,
+    'moderate–high': 0.95,
+    'moderate': 0.85,
+    'low–moderate': 0.7,
+    'low': 0.55
+  },
+  EFFICIENCY: 0.9,
+  MAX_DRAWN_EMITTERS: 1500,
+
+  // "7–8 m", "2.7 x 2.7 m", "30-45 cm", "2–3 m clumps" → metres between
+  // rows and between plants (ranges use their midpoint)
+  parseSpacing: function(text) {
+    if (typeof text !== 'string') return null;
+    const scale = /\bcm\b/.test(text) ? 0.01 : 1;
+    const values = (text.match(/\d+(\.\d+)?/g) || []).map(Number);
+    if (values.length === 0) return null;
+    if (/x/.test(text) && values.length >= 2) {
+      return { row: values[0] * scale, plant: values[1] * scale };
+    }
+    const mid = (values[0] + (values[1] || values[0])) / 2 * scale;
+    return { row: mid, plant: mid };
+  },
+
+  getCropCoefficient: function(water) {
+    const key = typeof water === 'string' ? water.replace('-', '–') : 'moderate';
+    return this.CROP_COEFFICIENTS[key] || 0.85;
+  },
+
+  // Wide-spaced trees get a ring of emitters and only part of the ground wetted
+  getEmitterSetup: function(spacing) {
+    if (spacing.plant >= 4) return { perPlant: 4, flowLph: 4, wettedFraction: 0.5 };
+    if (spacing.plant >= 1.5) return { perPlant: 2, flowLph: 4, wettedFraction: 0.7 };
+    return { perPlant: 1, flowLph: 2, wettedFraction: 1 };
+  },
+
+  // Direction (radians from east) of the contour through the polygon centre
+  getContourAngle: function(grid, center) {
+    if (!grid) return 0;
+    const dLat = 5 / 111320;
+    const dLng = dLat / Math.cos(center[0] * Math.PI / 180);
+    const n = DEMUtils.sampleGrid(grid, center[0] + dLat, center[1]);
+    const s = DEMUtils.sampleGrid(grid, center[0] - dLat, center[1]);
+    const e = DEMUtils.sampleGrid(grid, center[0], center[1] + dLng);
+    const w = DEMUtils.sampleGrid(grid, center[0], center[1] - dLng);
+    if ([n, s, e, w].some(z => z === null)) return 0;
+    const gx = e - w;
+    const gy = n - s;
+    if (Math.abs(gx) + Math.abs(gy) < 1e-6) return 0;
+    return Math.atan2(gx, -gy);
+  },
+
+  layoutZone: function(zone, plant, grid) {
+    const spacing = this.parseSpacing(plant.spacing) || { row: 1, plant: 1 };
+    // Drip tape for close-planted crops: one lateral per bed, 30 cm emitters
+    const lateralSpacing = Math.max(spacing.row, 0.6);
+    const emitterSpacing = Math.max(spacing.plant, 0.3);
+    const setup = this.getEmitterSetup(spacing);
+
+    const center = polygonCentroid(zone.polygon);
+    const mPerDegLat = 111320;
+    const mPerDegLng = 111320 * Math.cos(center[0] * Math.PI / 180);
+    const angle = this.getContourAngle(grid, center);
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // Local frame rotated so laterals run along x
+    const toLocal = ([lat, lng]) => {
+      const x = (lng - center[1]) * mPerDegLng;
+      const y = (lat - center[0]) * mPerDegLat;
+      return [x * cos + y * sin, -x * sin + y * cos];
+    };
+    const toLatLng = ([x, y]) => [
+      center[0] + (x * sin + y * cos) / mPerDegLat,
+      center[1] + (x * cos - y * sin) / mPerDegLng
+    ];
+
+    const ring = zone.polygon.map(toLocal);
+    const ys = ring.map(p => p[1]);
+    const laterals = [];
+    const emitters = [];
+    let lateralLength = 0;
+    let plantCount = 0;
+
+    for (let y = Math.min(...ys) + lateralSpacing / 2; y < Math.max(...ys); y += lateralSpacing) {
+      const crossings = [];
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y)) crossings.push(xi + (y - yi) * (xj - xi) / (yj - yi));
+      }
+      crossings.sort((a, b) => a - b);
+      for (let k = 0; k + 1 < crossings.length; k += 2) {
+        const [x0, x1] = [crossings[k], crossings[k + 1]];
+        if (x1 - x0 < emitterSpacing) continue;
+        laterals.push([toLatLng([x0, y]), toLatLng([x1, y])]);
+        lateralLength += x1 - x0;
+        for (let x = x0 + emitterSpacing / 2; x < x1; x += emitterSpacing) {
+          plantCount++;
+          if (emitters.length < this.MAX_DRAWN_EMITTERS) emitters.push(toLatLng([x, y]));
+        }
+      }
+    }
+
+    return {
+      spacing,
+      lateralSpacing,
+      emitterSpacing,
+      laterals,
+      emitters: plantCount <= this.MAX_DRAWN_EMITTERS ? emitters : [],
+      lateralLength: Math.round(lateralLength),
+      emitterCount: plantCount * setup.perPlant,
+      ...setup
+    };
+  },
+
+  // Monthly gross irrigation in L/day for one zone
+  scheduleZone: function(area, plant, wettedFraction, env) {
+    const monthlyRainfall = env.monthlyRainfall || Array(12).fill((env.avgRainfallMm || 0) / 12);
+    // Reference ET from pan evaporation (pan coefficient 0.75)
+    const referenceEt = WaterManagementUtils.estimateMonthlyEvaporation(env).map(mm => mm * 0.75);
+    const kc = this.getCropCoefficient(plant.water);
+
+    return WaterManagementUtils.DAYS_IN_MONTH.map((days, m) => {
+      const rain = monthlyRainfall[m];
+      const effectiveRain = rain > 75 ? 0.8 * rain - 25 : Math.max(0, 0.6 * rain - 10);
+      const netMm = Math.max(0, kc * referenceEt[m] - effectiveRain);
+      const grossMm = netMm * wettedFraction / this.EFFICIENCY;
+      return Math.round(grossMm * area / days);
+    });
+  },
+
+  // Daily tank run with the drip schedule on top of household use.
+  // Returns the share of each month's drip demand the tanks can cover.
+  reconcileWithTank: function(dailyDemand, { capacityL, roofArea, householdLpd }, dailyRainfall) {
+    const monthOfDay = [];
+    WaterManagementUtils.DAYS_IN_MONTH.forEach((days, m) => {
+      for (let d = 0; d < days; d++) monthOfDay.push(m);
+    });
+
+    let storage = capacityL / 2;
+    let supplied = Array(12).fill(0);
+    let demanded = Array(12).fill(0);
+    for (let year = 0; year < 2; year++) {
+      supplied = Array(12).fill(0);
+      demanded = Array(12).fill(0);
+      for (let d = 0; d < dailyRainfall.length; d++) {
+        const m = monthOfDay[d];
+        storage = Math.min(capacityL, storage + roofArea * dailyRainfall[d] * 0.8);
+        storage -= Math.min(storage, householdLpd);
+        const draw = Math.min(storage, dailyDemand[m]);
+        storage -= draw;
+        supplied[m] += draw;
+        demanded[m] += dailyDemand[m];
+      }
+    }
+    return demanded.map((total, m) => total > 0 ? Math.round(supplied[m] / total * 100) : 100);
+  },
+
+  designDrip: function(elements, grid, env, tank, dailyRainfall) {
+    const zones = elements
+      .filter(e => e && (e.type === 'VEGETABLE_GARDEN' || e.type === 'FRUIT_ORCHARD') && e.polygon && e.crop)
+      .map(zone => {
+        const plant = PLANTS.find(p => p.name === zone.crop);
+        if (!plant) return null;
+        const layout = this.layoutZone(zone, plant, grid);
+        const area = calculatePolygonArea(zone.polygon);
+        const schedule = this.scheduleZone(area, plant, layout.wettedFraction, env);
+        const systemLph = layout.emitterCount * layout.flowLph;
+        return {
+          id: zone.id,
+          name: zone.name,
+          crop: plant.name,
+          area: Math.round(area),
+          layout,
+          schedule,
+          runMinutes: schedule.map(l => systemLph > 0 ? Math.round(l / systemLph * 60) : 0)
+        };
+      })
+      .filter(Boolean);
+
+    const totals = Array(12).fill(0).map((_, m) => zones.reduce((sum, z) => sum + z.schedule[m], 0));
+    const coverage = tank && tank.capacityL > 0
+      ? this.reconcileWithTank(totals, tank, dailyRainfall)
+      : null;
+    return { zones, totals, coverage };
+  }
+};
+
+/* ----------------- Access paths ------------------
+   Least-cost routes from the HOUSE over the DEM grid, using the
+   pathfinding grid, heap and backtrace with our own move cost:
+   metres walked × slope penalty (Horn slope from calculateTopography),
+   discounted where an earlier path already runs. Destinations are routed
+   most-visited zone first so daily paths form the trunk others join.
+   Ponds and cells outside the boundary are not walkable.
+-----------------------------------------------------*/
+const AccessUtils = {
+  // Path class by zone of the destination
+  PATH_CLASSES: [
+    { maxZone: 1, name: 'Main path', width: 1.5, slopeWeight: 1 },
+    { maxZone: 2, name: 'Farm track', width: 1.2, slopeWeight: 0.7 },
+    { maxZone: 4, name: 'Footpath', width: 0.8, slopeWeight: 0.5 }
+  ],
+  COMFORT_SLOPE: 8, // % where the slope penalty doubles the cost
+  MAX_SLOPE: 30, // % beyond which cells are 10× as costly
+  REUSE_DISCOUNT: 0.5,
+
+  getZone: function(element) {
+    const zone = parseInt(element.zone ?? ELEMENT_TYPES[element.type]?.optimalZone, 10);
+    return isNaN(zone) ? 2 : zone;
+  },
+
+  getPathClass: function(zone) {
+    return this.PATH_CLASSES.find(c => zone <= c.maxZone) || this.PATH_CLASSES[this.PATH_CLASSES.length - 1];
+  },
+
+  // Where a path should end: the point itself, or the polygon vertex nearest the house
+  getDestination: function(element, from) {
+    if (element.position) return element.position;
+    if (!element.polygon || element.polygon.length === 0) return null;
+    return element.polygon.reduce((best, p) =>
+      calculateDistance(from, p) < calculateDistance(from, best) ? p : best, element.polygon[0]);
+  },
+
+  buildWalkableGrid: function(grid, elements, boundary) {
+    const ponds = elements.filter(e => e && (e.type === 'POND_AREA' || e.type === 'POND') && e.polygon);
+    const matrix = [];
+    for (let row = 0; row < grid.rows; row++) {
+      const line = [];
+      for (let col = 0; col < grid.cols; col++) {
+        const point = DEMUtils.getCellLatLng(grid, row, col);
+        const blocked = isNaN(grid.elevations[row * grid.cols + col]) ||
+          (boundary && !BoundaryUtils.isPointInBoundary(point, boundary)) ||
+          ponds.some(p => pointInPolygon(point, p.polygon));
+        line.push(blocked ? 1 : 0);
+      }
+      matrix.push(line);
+    }
+    return new PF.Grid(grid.cols, grid.rows, matrix);
+  },
+
+  // A* over the pathfinding grid with a weighted per-move cost
+  findPath: function(pfGrid, start, end, moveCost) {
+    const grid = pfGrid.clone();
+    const startNode = grid.getNodeAt(start.col, start.row);
+    const endNode = grid.getNodeAt(end.col, end.row);
+    grid.setWalkableAt(start.col, start.row, true);
+    grid.setWalkableAt(end.col, end.row, true);
+    const heuristic = (node) => this.REUSE_DISCOUNT * moveCost.distance(node, endNode);
+
+    const open = new PF.Heap((a, b) => a.f - b.f);
+    startNode.g = 0;
+    startNode.f = heuristic(startNode);
+    startNode.opened = true;
+    open.push(startNode);
+
+    while (!open.empty()) {
+      const node = open.pop();
+      node.closed = true;
+      if (node === endNode) return PF.Util.backtrace(endNode);
+
+      grid.getNeighbors(node, PF.DiagonalMovement.OnlyWhenNoObstacles).forEach(neighbor => {
+        if (neighbor.closed) return;
+        const g = node.g + moveCost.cost(node, neighbor);
+        if (!neighbor.opened || g < neighbor.g) {
+          neighbor.g = g;
+          neighbor.f = g + heuristic(neighbor);
+          neighbor.parent = node;
+          if (!neighbor.opened) {
+            neighbor.opened = true;
+            open.push(neighbor);
+          } else {
+            open.updateItem(neighbor);
+          }
+        }
+      });
+    }
+    return [];
+  },
+
+  generatePaths: function(grid, topography, elements, boundary, nextId = createIdGenerator(Date.now())) {
+    const house = elements.find(e => e && e.type === 'HOUSE');
+    if (!grid || !house) return [];
+    const houseCell = DEMUtils.getGridCell(grid, house.position[0], house.position[1]);
+    if (!houseCell) return [];
+
+    const slope = new Float64Array(grid.rows * grid.cols);
+    topography.forEach(t => {
+      if (t.row !== undefined) slope[t.row * grid.cols + t.col] = t.slope;
+    });
+    const onPath = new Uint8Array(grid.rows * grid.cols);
+    const pfGrid = this.buildWalkableGrid(grid, elements, boundary);
+
+    const distance = (a, b) => Math.hypot((a.x - b.x) * grid.cellSizeX, (a.y - b.y) * grid.cellSizeY);
+    const elevation = ([x, y]) => grid.elevations[y * grid.cols + x];
+
+    const destinations = elements
+      .filter(e => e && e.type !== 'HOUSE' && !e.points && (e.position || e.polygon))
+      .map(e => ({ element: e, zone: this.getZone(e) }))
+      .sort((a, b) => a.zone - b.zone);
+
+    const paths = [];
+    destinations.forEach(({ element, zone }, i) => {
+      const target = this.getDestination(element, house.position);
+      const targetCell = target && DEMUtils.getGridCell(grid, target[0], target[1]);
+      if (!targetCell || targetCell.index === houseCell.index) return;
+
+      const pathClass = this.getPathClass(zone);
+      const moveCost = {
+        distance,
+        cost: (a, b) => {
+          const s = slope[b.y * grid.cols + b.x];
+          const penalty = 1 + pathClass.slopeWeight * Math.pow(s / this.COMFORT_SLOPE, 2);
+          const steep = s > this.MAX_SLOPE ? 10 : 1;
+          const reuse = onPath[b.y * grid.cols + b.x] ? this.REUSE_DISCOUNT : 1;
+          return distance(a, b) * penalty * steep * reuse;
+        }
+      };
+      const cells = this.findPath(pfGrid, houseCell, targetCell, moveCost);
+      if (cells.length < 2) return;
+
+      cells.forEach(([x, y]) => { onPath[y * grid.cols + x] = 1; });
+      // Steepest grade between consecutive cells along the route; the house
+      // or target may sit on a NoData cell (forced walkable), so skip those steps
+      let maxGradient = 0;
+      for (let k = 1; k < cells.length; k++) {
+        const run = Math.hypot((cells[k][0] - cells[k - 1][0]) * grid.cellSizeX, (cells[k][1] - cells[k - 1][1]) * grid.cellSizeY);
+        const rise = Math.abs(elevation(cells[k]) - elevation(cells[k - 1]));
+        if (!isNaN(rise)) maxGradient = Math.max(maxGradient, rise / run * 100);
+      }
+
+      const points = DEMUtils.smoothLine(cells.map(([x, y]) => DEMUtils.getCellLatLng(grid, y, x)), 1);
+      points[0] = house.position;
+      points[points.length - 1] = target;
+      const length = calculatePathLength(points);
+
+      paths.push({
+        type: 'PATH',
+        points,
+        name: `${pathClass.name} to ${element.name}`,
+        pathClass: pathClass.name,
+        width: pathClass.width,
+        targetId: element.id,
+        length: Math.round(length),
+        maxGradient: parseFloat(maxGradient.toFixed(1)),
+        id: nextId()
+      });
+    });
+
+    return paths;
+  }
+};
+
+/* ----------------- Travel-time zones ------------------
+   Permaculture zones as isochrones: minutes of walking from the HOUSE
+   with Tobler's hiking function over the DEM, faster along PATH elements.
+   Each zone's limit is the time to walk its ZONES radius on the flat, so
+   on level ground with no paths the zones match the old circles.
+   Ponds and cells outside the boundary are unreachable (cell-resolution clip).
+-----------------------------------------------------*/
+const ZoneUtils = {
+  PATH_SPEED_FACTOR: 1.5,
+
+  // Walking speed in m/min for a signed grade (rise / run)
+  toblerSpeed: (grade) => 6 * Math.exp(-3.5 * Math.abs(grade + 0.05)) * 1000 / 60,
+
+  rasterizePaths: function(grid, elements) {
+    const onPath = new Uint8Array(grid.rows * grid.cols);
+    const step = Math.min(grid.cellSizeX, grid.cellSizeY) / 2;
+    elements
+      .filter(e => e && e.type === 'PATH' && e.points)
+      .forEach(path => densifyPath(path.points, step).forEach(([lat, lng]) => {
+        const cell = DEMUtils.getGridCell(grid, lat, lng);
+        if (cell) onPath[cell.index] = 1;
+      }));
+    return onPath;
+  },
+
+  // Dijkstra over the pathfinding grid; minutes to reach each cell
+  computeTravelTimes: function(grid, walkable, start, onPath) {
+    const nodes = walkable.clone();
+    const minutes = new Float64Array(grid.rows * grid.cols).fill(Infinity);
+    const startNode = nodes.getNodeAt(start.col, start.row);
+    nodes.setWalkableAt(start.col, start.row, true);
+
+    const open = new PF.Heap((a, b) => a.g - b.g);
+    startNode.g = 0;
+    startNode.opened = true;
+    open.push(startNode);
+
+    while (!open.empty()) {
+      const node = open.pop();
+      node.closed = true;
+      const from = node.y * grid.cols + node.x;
+      minutes[from] = node.g;
+
+      nodes.getNeighbors(node, PF.DiagonalMovement.OnlyWhenNoObstacles).forEach(neighbor => {
+        if (neighbor.closed) return;
+        const to = neighbor.y * grid.cols + neighbor.x;
+        const run = Math.hypot((neighbor.x - node.x) * grid.cellSizeX, (neighbor.y - node.y) * grid.cellSizeY);
+        const grade = (grid.elevations[to] - grid.elevations[from]) / run;
+        const speed = this.toblerSpeed(grade) * (onPath[from] && onPath[to] ? this.PATH_SPEED_FACTOR : 1);
+        const g = node.g + run / speed;
+        if (!neighbor.opened || g < neighbor.g) {
+          neighbor.g = g;
+          neighbor.parent = node;
+          if (!neighbor.opened) {
+            neighbor.opened = true;
+            open.push(neighbor);
+          } else {
+            open.updateItem(neighbor);
+          }
+        }
+      });
+    }
+    return minutes;
+  },
+
+  // Cell mask → GeoJSON Polygon/MultiPolygon geometry ([lng, lat]); rings
+  // nested inside another ring become its holes. The mask is padded with
+  // zeros so marching squares always closes its rings.
+  maskToGeometry: function(grid, mask) {
+    const { rows, cols } = grid;
+    const data = [];
+    for (let row = -1; row <= rows; row++) {
+      const line = [];
+      for (let col = -1; col <= cols; col++) {
+        const inside = row >= 0 && col >= 0 && row < rows && col < cols && mask[row * cols + col];
+        line.push(inside ? 1 : 0);
+      }
+      data.push(line);
+    }
+
+    const rings = isoLines(data, 0.5)
+      .filter(ring => ring.length >= 4)
+      .map(ring => ring.map(([x, y]) => [grid.minLng + (x - 1) * grid.lngStep, grid.minLat + (y - 1) * grid.latStep]));
+    if (rings.length === 0) return null;
+
+    const depth = rings.map((ring, i) =>
+      rings.filter((other, j) => j !== i && pointInPolygon(ring[0], other)).length);
+    const polygons = rings
+      .map((ring, i) => ({ ring, i }))
+      .filter(({ i }) => depth[i] % 2 === 0)
+      .map(({ ring, i }) => [
+        ring,
+        ...rings.filter((hole, j) => depth[j] === depth[i] + 1 && pointInPolygon(hole[0], ring))
+      ]);
+
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  },
+
+  generateZones: function(grid, origin, elements, boundary, zones) {
+    if (!grid || !origin) return null;
+    const start = DEMUtils.getGridCell(grid, origin[0], origin[1]);
+    if (!start) return null;
+
+    const walkable = AccessUtils.buildWalkableGrid(grid, elements, boundary);
+    const minutes = this.computeTravelTimes(grid, walkable, start, this.rasterizePaths(grid, elements));
+    const flatSpeed = this.toblerSpeed(0);
+    const cellArea = grid.cellSizeX * grid.cellSizeY;
+
+    let previousArea = 0;
+    const features = zones.map(zone => {
+      const limit = zone.r / flatSpeed;
+      const mask = Array.from(minutes, t => (t <= limit ? 1 : 0));
+      const cellCount = mask.reduce((sum, v) => sum + v, 0);
+      const geometry = cellCount > 0 ? this.maskToGeometry(grid, mask) : null;
+      const cumulativeArea = cellCount * cellArea;
+      const areaM2 = Math.round(cumulativeArea - previousArea);
+      previousArea = cumulativeArea;
+      if (!geometry) return null;
+
+      return {
+        type: 'Feature',
+        properties: {
+          zone: zone.z,
+          description: zone.description,
+          color: zone.color,
+          minutes: parseFloat(limit.toFixed(1)),
+          areaM2,
+          cumulativeAreaM2: Math.round(cumulativeArea)
+        },
+        geometry
+      };
+    }).filter(Boolean);
+
+    return { type: 'FeatureCollection', features };
+  }
+};
+
+/* ----------------- Shade model ------------------
+   Clear-sky hours of direct sun per cell: for hourly SunCalc positions on
+   the 15th of each month, a ray is marched from the ground toward the sun
+   over the DEM plus a canopy surface from placed orchards and windbreaks
+   (heights from PLANTS). Terrain blocks the sun; canopy lets part through.
+   Large grids are sampled on a stride and each sample fills its block.
+-----------------------------------------------------*/
+const ShadeUtils = {
+  DEFAULT_ORCHARD_HEIGHT: 8,
+  DEFAULT_WINDBREAK_HEIGHT: 10,
+  ORCHARD_TRANSMITTANCE: 0.35,
+  WINDBREAK_TRANSMITTANCE: 0.5,
+  WINDBREAK_WIDTH_M: 4,
+  MAX_SAMPLES: 2500,
+
+  getCropHeight: function(element, fallback) {
+    const plant = element.crop && PLANTS.find(p => p.name === element.crop);
+    return plant && plant.height ? plant.height : fallback;
+  },
+
+  // Canopy height and light transmittance per cell
+  buildCanopy: function(grid, elements) {
+    const count = grid.rows * grid.cols;
+    const height = new Float64Array(count);
+    const transmittance = new Float64Array(count).fill(1);
+    const setCell = (index, h, t) => {
+      if (h > height[index]) height[index] = h;
+      transmittance[index] = Math.min(transmittance[index], t);
+    };
+
+    elements.filter(e => e && e.polygon && (e.type === 'FRUIT_ORCHARD' || e.crop)).forEach(e => {
+      const h = this.getCropHeight(e, e.type === 'FRUIT_ORCHARD' ? this.DEFAULT_ORCHARD_HEIGHT : 0);
+      if (h < 2) return; // low crops cast no useful shade
+      for (let row = 0; row < grid.rows; row++) {
+        for (let col = 0; col < grid.cols; col++) {
+          if (pointInPolygon(DEMUtils.getCellLatLng(grid, row, col), e.polygon)) {
+            setCell(row * grid.cols + col, h, this.ORCHARD_TRANSMITTANCE);
+          }
+        }
+      }
+    });
+
+    elements.filter(e => e && e.type === 'WINDBREAK' && e.points && e.points.length > 1).forEach(e => {
+      const h = this.getCropHeight(e, this.DEFAULT_WINDBREAK_HEIGHT);
+      const reach = Math.max(0, Math.round(this.WINDBREAK_WIDTH_M / 2 / Math.min(grid.cellSizeX, grid.cellSizeY)));
+      densifyPath(e.points, Math.min(grid.cellSizeX, grid.cellSizeY) / 2).forEach(([lat, lng]) => {
+        const cell = DEMUtils.getGridCell(grid, lat, lng);
+        if (!cell) return;
+        for (let dr = -reach; dr <= reach; dr++) {
+          for (let dc = -reach; dc <= reach; dc++) {
+            const row = cell.row + dr;
+            const col = cell.col + dc;
+            if (row >= 0 && col >= 0 && row < grid.rows && col < grid.cols) {
+              setCell(row * grid.cols + col, h, this.WINDBREAK_TRANSMITTANCE);
+            }
+          }
+        }
+      });
+    });
+
+    return { height, transmittance };
+  },
+
+  // Share of direct sun reaching the ground at one cell (0 blocked … 1 open)
+  traceSun: function(grid, surface, maxSurface, canopy, row, col, sun) {
+    const { rows, cols, cellSizeX, cellSizeY, elevations } = grid;
+    const z0 = elevations[row * cols + col];
+    if (isNaN(z0)) return 0;
+    let light = canopy.transmittance[row * cols + col];
+    const step = Math.min(cellSizeX, cellSizeY);
+    const dCol = sun.east * step / cellSizeX;
+    const dRow = sun.north * step / cellSizeY;
+
+    for (let k = 1; ; k++) {
+      const rayHeight = z0 + k * step * sun.tanAltitude;
+      if (rayHeight > maxSurface) return light;
+      const r = Math.round(row + k * dRow);
+      const c = Math.round(col + k * dCol);
+      if (r < 0 || c < 0 || r >= rows || c >= cols) return light;
+      const i = r * cols + c;
+      if (elevations[i] > rayHeight) return 0;
+      if (surface[i] > rayHeight) light = Math.min(light, canopy.transmittance[i]);
+    }
+  },
+
+  // { months: [Float64Array × 12] hours/day, annual, daylight: [hours × 12], stride }
+  computeSunHours: function(grid, elements, lat, lng, year = new Date().getFullYear()) {
+    if (!grid) return null;
+    const { rows, cols } = grid;
+    const canopy = this.buildCanopy(grid, elements);
+    const surface = new Float64Array(rows * cols);
+    let maxSurface = -Infinity;
+    for (let i = 0; i < rows * cols; i++) {
+      surface[i] = grid.elevations[i] + canopy.height[i];
+      if (surface[i] > maxSurface) maxSurface = surface[i];
+    }
+
+    const stride = Math.max(1, Math.ceil(Math.sqrt(rows * cols / this.MAX_SAMPLES)));
+    const months = [];
+    const daylight = [];
+
+    for (let m = 0; m < 12; m++) {
+      const times = SunCalc.getTimes(new Date(year, m, 15, 12), lat, lng);
+      const hours = new Float64Array(rows * cols);
+      const samples = [];
+      // Hourly samples at the middle of each hour of daylight
+      for (let t = +times.sunrise; t < +times.sunset; t += 3600000) {
+        const weight = Math.min(1, (+times.sunset - t) / 3600000);
+        const pos = SunCalc.getPosition(new Date(t + weight * 1800000), lat, lng);
+        if (pos.altitude <= 0) continue;
+        const bearing = pos.azimuth + Math.PI;
+        samples.push({
+          weight,
+          east: Math.sin(bearing),
+          north: Math.cos(bearing),
+          tanAltitude: Math.tan(pos.altitude)
+        });
+      }
+      daylight.push(samples.reduce((sum, sun) => sum + sun.weight, 0));
+
+      for (let row = 0; row < rows; row += stride) {
+        for (let col = 0; col < cols; col += stride) {
+          let lit = 0;
+          samples.forEach(sun => {
+            lit += sun.weight * this.traceSun(grid, surface, maxSurface, canopy, row, col, sun);
+          });
+          for (let r = row; r < Math.min(rows, row + stride); r++) {
+            for (let c = col; c < Math.min(cols, col + stride); c++) {
+              hours[r * cols + c] = lit;
+            }
+          }
+        }
+      }
+      months.push(hours);
+    }
+
+    const annual = new Float64Array(rows * cols);
+    for (let i = 0; i < rows * cols; i++) {
+      annual[i] = months.reduce((sum, hours) => sum + hours[i], 0) / 12;
+    }
+    return { months, annual, daylight, stride };
+  },
+
+  sampleAt: function(shade, grid, lat, lng) {
+    const cell = shade && DEMUtils.getGridCell(grid, lat, lng);
+    if (!cell) return null;
+    const meanDaylight = shade.daylight.reduce((sum, h) => sum + h, 0) / 12;
+    return {
+      monthly: shade.months.map(hours => parseFloat(hours[cell.index].toFixed(1))),
+      annual: parseFloat(shade.annual[cell.index].toFixed(1)),
+      fraction: meanDaylight > 0 ? shade.annual[cell.index] / meanDaylight : 1
+    };
+  },
+
+  classify: (hours) => (hours >= 6 ? 'full sun' : hours >= 3 ? 'partial shade' : 'shade'),
+
+  // Does a PLANTS `sunlight` string suit this many hours of direct sun?
+  plantFitsLight: function(plant, hours) {
+    const need = (plant.sunlight || '').toLowerCase();
+    const takesFull = need.includes('full');
+    const takesPartial = need.includes('partial');
+    if (takesFull && takesPartial) return hours >= 3;
+    if (takesFull) return hours >= 6;
+    if (takesPartial) return hours >= 2 && hours <= 8;
+    if (need.includes('shade')) return hours <= 4;
+    return true;
+  }
+};
+
+/* ----------------- Microclimates ------------------
+   Each DEM cell gets one class from its aspect, its height relative to the
+   ground around it (topographic position), shade hours from ShadeUtils
+   when available, and whether it faces into or away from the shelter wind.
+   Classes carry plant preferences so recommendations and herb spiral /
+   mandala placement can target them.
+-----------------------------------------------------*/
+const MICROCLIMATE_TYPES = {
+  FROST_POCKET: {
+    name: "Frost pocket",
+    icon: "❄️",
+    color: "#90caf9",
+    keralaName: "തണുപ്പ് കെട്ടുന്ന താഴ്ച",
+    description: "Flat, low ground where cold night air pools",
+    adjustEnv: (env) => ({ ...env, sunHours: env.sunHours - 1 }),
+    suits: (p) => ['GRAIN', 'VEGETABLE', 'LEAFY_GREEN', 'ROOT', 'LEGUME'].includes(p.type)
+  },
+  WET_HOLLOW: {
+    name: "Cool wet hollow",
+    icon: "💧",
+    color: "#4db6ac",
+    keralaName: "ഈർപ്പമുള്ള താഴ്ച",
+    description: "Below the surrounding ground; collects water and cool air",
+    adjustEnv: (env) => ({ ...env, avgRainfallMm: env.avgRainfallMm * 1.3 }),
+    suits: (p) => MicroclimateUtils.waterRank(p) >= 2.5
+  },
+  EXPOSED_RIDGE: {
+    name: "Wind-exposed ridge",
+    icon: "🌬️",
+    color: "#b0bec5",
+    keralaName: "കാറ്റേൽക്കുന്ന മേട്",
+    description: "Above the surrounding ground or facing into the shelter wind",
+    adjustEnv: (env) => ({ ...env, avgRainfallMm: env.avgRainfallMm * 0.85 }),
+    suits: (p) => p.functions.includes('windbreak') || MicroclimateUtils.waterRank(p) <= 2
+  },
+  WARM_SLOPE: {
+    name: "Warm, dry sun-facing slope",
+    icon: "🔥",
+    color: "#ff8a65",
+    keralaName: "ചൂടുള്ള വെയിൽ ചരിവ്",
+    description: "Slope facing the equator with full sun; dries out first",
+    adjustEnv: (env) => ({ ...env, sunHours: env.sunHours + 1, avgRainfallMm: env.avgRainfallMm * 0.8 }),
+    suits: (p) => (p.sunlight || '').includes('full') && MicroclimateUtils.waterRank(p) <= 2.5
+  },
+  COOL_SLOPE: {
+    name: "Cool, moist pole-facing slope",
+    icon: "🌿",
+    color: "#81c784",
+    keralaName: "തണുത്ത ഈർപ്പമുള്ള ചരിവ്",
+    description: "Slope facing away from the sun; holds moisture longer",
+    adjustEnv: (env) => ({ ...env, sunHours: env.sunHours - 1, avgRainfallMm: env.avgRainfallMm * 1.1 }),
+    suits: (p) => (p.sunlight || '').includes('partial') || MicroclimateUtils.waterRank(p) >= 2
+  },
+  SHELTERED: {
+    name: "Sheltered lee slope",
+    icon: "🛡️",
+    color: "#aed581",
+    keralaName: "കാറ്റില്ലാത്ത ചരിവ്",
+    description: "Faces away from the shelter wind",
+    adjustEnv: (env) => env,
+    suits: () => true
+  },
+  SHADED: {
+    name: "Shaded ground",
+    icon: "🌳",
+    color: "#607d8b",
+    keralaName: "തണൽ പ്രദേശം",
+    description: "Under 3 hours of direct sun a day after terrain and tree shade",
+    adjustEnv: (env) => ({ ...env, sunHours: Math.min(env.sunHours, 3) }),
+    suits: (p) => /shade/.test(p.sunlight || '')
+  },
+  OPEN: {
+    name: "Open, moderate ground",
+    icon: "🌾",
+    color: "#fff176",
+    keralaName: "തുറന്ന സമതലം",
+    description: "Gentle ground with no strong aspect, wind or shade effect",
+    adjustEnv: (env) => env,
+    suits: () => true
+  }
+};
+
+const MicroclimateUtils = {
+  TPI_RADIUS_M: 30,
+  TPI_THRESHOLD_M: 1,
+  FLAT_SLOPE: 3,
+  ASPECT_SLOPE: 5,
+  SHADE_HOURS: 3,
+
+  // 1 (low) … 4 (very high) from a PLANTS `water` string
+  waterRank: function(plant) {
+    const water = (plant.water || '').toLowerCase();
+    if (water.startsWith('very high')) return 4;
+    if (water.startsWith('moderate–high') || water.startsWith('moderate-high')) return 2.5;
+    if (water.startsWith('high')) return 3;
+    if (water.startsWith('low–moderate') || water.startsWith('low-moderate')) return 1.5;
+    if (water.startsWith('low')) return 1;
+    return 2;
+  },
+
+  // Cell elevation minus the mean elevation within radiusM (summed-area table)
+  relativeElevation: function(grid, radiusM = this.TPI_RADIUS_M) {
+    const { rows, cols, elevations } = grid;
+    const w = cols + 1;
+    const sum = new Float64Array((rows + 1) * w);
+    const count = new Float64Array((rows + 1) * w);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const z = elevations[r * cols + c];
+        const i = (r + 1) * w + c + 1;
+        sum[i] = (isNaN(z) ? 0 : z) + sum[i - 1] + sum[i - w] - sum[i - w - 1];
+        count[i] = (isNaN(z) ? 0 : 1) + count[i - 1] + count[i - w] - count[i - w - 1];
+      }
+    }
+    const rr = Math.max(1, Math.round(radiusM / grid.cellSizeY));
+    const rc = Math.max(1, Math.round(radiusM / grid.cellSizeX));
+    const tpi = new Float64Array(rows * cols).fill(NaN);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const z = elevations[r * cols + c];
+        if (isNaN(z)) continue;
+        const r0 = Math.max(0, r - rr), r1 = Math.min(rows, r + rr + 1);
+        const c0 = Math.max(0, c - rc), c1 = Math.min(cols, c + rc + 1);
+        const box = (a) => a[r1 * w + c1] - a[r0 * w + c1] - a[r1 * w + c0] + a[r0 * w + c0];
+        tpi[r * cols + c] = z - box(sum) / box(count);
+      }
+    }
+    return tpi;
+  },
+
+  // { classes: Int8Array of indexes into `keys` (-1 nodata), keys, tpi, share: { key: fraction } }
+  classify: function(grid, topography, shade, windBearing, lat) {
+    if (!grid || !topography || topography.length === 0) return null;
+    const { rows, cols } = grid;
+    const keys = Object.keys(MICROCLIMATE_TYPES);
+    const tpi = this.relativeElevation(grid);
+    const classes = new Int8Array(rows * cols).fill(-1);
+    const sunFacing = lat >= 0 ? 180 : 0;
+
+    topography.forEach(point => {
+      const index = point.row * cols + point.col;
+      const rel = tpi[index];
+      const sloped = point.slope >= this.ASPECT_SLOPE && point.aspect >= 0;
+      const windward = sloped && SectorUtils.angleDifference(point.aspect, windBearing) <= 60;
+      const lee = sloped && SectorUtils.angleDifference(point.aspect, windBearing) >= 120;
+      let key = 'OPEN';
+
+      if (rel < -this.TPI_THRESHOLD_M) {
+        key = point.slope < this.FLAT_SLOPE ? 'FROST_POCKET' : 'WET_HOLLOW';
+      } else if ((rel > this.TPI_THRESHOLD_M && !lee) || windward) {
+        key = 'EXPOSED_RIDGE';
+      } else if (shade && shade.annual[index] < this.SHADE_HOURS) {
+        key = 'SHADED';
+      } else if (sloped && SectorUtils.angleDifference(point.aspect, sunFacing) <= 60) {
+        key = 'WARM_SLOPE';
+      } else if (sloped && SectorUtils.angleDifference(point.aspect, sunFacing) >= 120) {
+        key = 'COOL_SLOPE';
+      } else if (lee) {
+        key = 'SHELTERED';
+      }
+      classes[index] = keys.indexOf(key);
+    });
+
+    const counts = keys.map(() => 0);
+    let total = 0;
+    classes.forEach(k => {
+      if (k >= 0) { counts[k]++; total++; }
+    });
+    const share = {};
+    keys.forEach((key, k) => { share[key] = total > 0 ? counts[k] / total : 0; });
+
+    return { classes, keys, tpi, share };
+  },
+
+  // One GeoJSON feature per class present, for the map layer
+  toFeatures: function(microclimate, grid, cellArea) {
+    if (!microclimate) return null;
+    const features = microclimate.keys.map((key, k) => {
+      const mask = Array.from(microclimate.classes, c => (c === k ? 1 : 0));
+      const cells = mask.reduce((sum, v) => sum + v, 0);
+      if (cells === 0) return null;
+      const type = MICROCLIMATE_TYPES[key];
+      return {
+        type: 'Feature',
+        geometry: ZoneUtils.maskToGeometry(grid, mask),
+        properties: { key, name: type.name, color: type.color, areaM2: Math.round(cells * cellArea) }
+      };
+    }).filter(Boolean);
+    return { type: 'FeatureCollection', features };
+  },
+
+  getClassAt: function(microclimate, grid, lat, lng) {
+    const cell = microclimate && DEMUtils.getGridCell(grid, lat, lng);
+    if (!cell || microclimate.classes[cell.index] < 0) return null;
+    return microclimate.keys[microclimate.classes[cell.index]];
+  },
+
+  // Nearest cell of `key` to `origin` inside the boundary, clear of `avoid` positions
+  findSite: function(microclimate, grid, key, origin, boundary, avoid = [], clearanceM = 10) {
+    if (!microclimate) return null;
+    const k = microclimate.keys.indexOf(key);
+    let best = null;
+    let bestDistance = Infinity;
+    for (let row = 0; row < grid.rows; row++) {
+      for (let col = 0; col < grid.cols; col++) {
+        if (microclimate.classes[row * grid.cols + col] !== k) continue;
+        const point = DEMUtils.getCellLatLng(grid, row, col);
+        const distance = calculateDistance(origin, point);
+        if (distance >= bestDistance) continue;
+        if (boundary && !BoundaryUtils.isPointInBoundary(point, boundary)) continue;
+        if (avoid.some(p => calculateDistance(p, point) < clearanceM)) continue;
+        best = point;
+        bestDistance = distance;
+      }
+    }
+    return best;
+  },
+
+  // Put (or move) each targeted point element, e.g. { HERB_SPIRAL: 'WARM_SLOPE' },
+  // on the nearest matching cell to `origin`. Only the first element of a
+  // type is moved; further ones stay where they are. Returns the types with no site.
+  placeTargets: function(elements, microclimate, grid, targets, origin, boundary, nextId = createIdGenerator(Date.now())) {
+    let placed = [...elements];
+    const missing = [];
+    Object.entries(targets).forEach(([type, key]) => {
+      const existing = placed.find(e => e && e.type === type);
+      const avoid = placed.filter(e => e && e !== existing && e.position).map(e => e.position);
+      const site = this.findSite(microclimate, grid, key, origin, boundary, avoid);
+      if (!site) {
+        missing.push(type);
+        return;
+      }
+      const moved = {
+        ...(existing || { type, name: ELEMENT_TYPES[type].name, id: nextId() }),
+        position: site,
+        microclimate: key
+      };
+      placed = existing ? placed.map(e => (e === existing ? moved : e)) : [...placed, moved];
+    });
+    return { elements: placed, missing };
+  }
+};
+
+// Enhanced Boundary Utilities
+const BoundaryUtils = {
+  // Polygons of a Polygon or MultiPolygon boundary (Feature or bare geometry),
+  // each as GeoJSON rings [[lng, lat], ...]: outer ring first, then holes
+  getPolygons: (boundary) => {
+    const geometry = boundary && (boundary.type === 'Feature' ? boundary.geometry : boundary);
+    if (!geometry || !Array.isArray(geometry.coordinates)) return [];
+    if (geometry.type === 'Polygon') return [geometry.coordinates];
+    if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+    return [];
+  },
+
+  getBounds: (boundary) => {
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    BoundaryUtils.getPolygons(boundary).forEach(rings => {
+      rings[0].forEach(([lng, lat]) => {
+        minLat = Math.min(minLat, lat);
+        maxLat = Math.max(maxLat, lat);
+        minLng = Math.min(minLng, lng);
+        maxLng = Math.max(maxLng, lng);
+      });
+    });
+    return isFinite(minLat) ? { minLat, maxLat, minLng, maxLng } : null;
+  },
+
+  // Boundary with another part; `ring` is [[lng, lat], ...]
+  addPart: (boundary, ring) => ({
+    type: 'Feature',
+    properties: {},
+    geometry: { type: 'MultiPolygon', coordinates: [...BoundaryUtils.getPolygons(boundary), [ring]] }
+  }),
+
+  // Boundary with `ring` cut out of the part that wholly contains it: every
+  // vertex inside the part, no edge crossing its outline or another hole, and
+  // no existing hole inside the new one. Null if no part qualifies.
+  addHole: (boundary, ring) => {
+    const polygons = BoundaryUtils.getPolygons(boundary);
+    const part = polygons.findIndex(rings =>
+      ring.every(p => pointInPolygon(p, rings)) &&
+      !rings.some(r => BoundaryUtils.ringsCross(ring, r)) &&
+      !rings.slice(1).some(hole => pointInPolygon(hole[0], ring)));
+    if (part < 0) return null;
+    return BoundaryUtils.fromPolygons(polygons.map((rings, i) => (i === part ? [...rings, ring] : rings)));
+  },
+
+  // Boundary without one part (hole = null) or one hole of a part; null once
+  // the last part is gone
+  removeRing: (boundary, part, hole = null) => {
+    const polygons = BoundaryUtils.getPolygons(boundary);
+    const coordinates = hole === null
+      ? polygons.filter((rings, i) => i !== part)
+      : polygons.map((rings, i) => (i === part ? rings.filter((r, j) => j !== hole + 1) : rings));
+    return coordinates.length > 0 ? BoundaryUtils.fromPolygons(coordinates) : null;
+  },
+
+  fromPolygons: (coordinates) => ({
+    type: 'Feature',
+    properties: {},
+    geometry: coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates }
+  }),
+
+  // True when any edge of ring `a` properly crosses an edge of ring `b`
+  ringsCross: (a, b) => {
+    const side = (p, q, r) => Math.sign((q[0] - p[0]) * (r[1] - p[1]) - (q[1] - p[1]) * (r[0] - p[0]));
+    const cross = (p1, p2, q1, q2) =>
+      side(p1, p2, q1) * side(p1, p2, q2) < 0 && side(q1, q2, p1) * side(q1, q2, p2) < 0;
+    return a.some((p, i) => i > 0 && b.some((q, j) => j > 0 && cross(a[i - 1], p, b[j - 1], q)));
+  },
+
+  // Inside any part and outside that part's holes; [lng, lat] point
+  containsLngLat: (lngLat, boundary) => BoundaryUtils.getPolygons(boundary)
+    .some(rings => pointInPolygon(lngLat, rings)),
+
+  // Check if a point is inside the boundary
+  isPointInBoundary: (point, boundary) => {
+    if (BoundaryUtils.getPolygons(boundary).length === 0) return true;
+    
+    const [lng, lat] = Array.isArray(point) ? [point[1], point[0]] : [point.lng, point.lat];
+    return BoundaryUtils.containsLngLat([lng, lat], boundary);
+  },
+  
+  // Filter points to only those inside the boundary
+  filterPointsInBoundary: (points, boundary) => {
+    if (BoundaryUtils.getPolygons(boundary).length === 0) return points;
+    
+    return points.filter(point => {
+      const lng = point.lng !== undefined ? point.lng : point[1];
+      const lat = point.lat !== undefined ? point.lat : point[0];
+      return BoundaryUtils.containsLngLat([lng, lat], boundary);
+    });
+  },
+
+  // Area in m² with holes subtracted
+  calculateArea: (boundary) => BoundaryUtils.getPolygons(boundary).reduce((total, rings) => {
+    const [outer, ...holes] = rings.map(ring => calculatePolygonArea(ring.map(([lng, lat]) => [lat, lng])));
+    return total + outer - holes.reduce((sum, a) => sum + a, 0);
+  }, 0),
+  
+  // Generate a random point inside the boundary. Parts are picked in
+  // proportion to their area so split farms are sampled evenly.
+  generateRandomPointInBoundary: (boundary, random = Math.random) => {
+    const polygons = BoundaryUtils.getPolygons(boundary);
+    if (polygons.length === 0) return [10.85, 76.27];
+
+    const areas = polygons.map(rings => BoundaryUtils.calculateArea({ type: 'Polygon', coordinates: rings }));
+    const totalArea = areas.reduce((sum, a) => sum + a, 0);
+    let pick = random() * totalArea;
+    let part = polygons.length - 1;
+    for (let i = 0; i < areas.length; i++) {
+      pick -= areas[i];
+      if (pick <= 0) {
+        part = i;
+        break;
+      }
+    }
+    const rings = polygons[part];
+    
+    // Find bounding box
+    const { minLat, maxLat, minLng, maxLng } = BoundaryUtils.getBounds({ type: 'Polygon', coordinates: rings });
+    
+    // Generate random points until one is inside the part (and not in a hole)
+    let point;
+    let attempts = 0;
+    do {
+      const lng = minLng + random() * (maxLng - minLng);
+      const lat = minLat + random() * (maxLat - minLat);
+      point = [lat, lng];
+      attempts++;
+      
+      if (attempts > 1000) {
+        console.warn("Could not find point inside boundary after 1000 attempts");
+        return [minLat + (maxLat-minLat)/2, minLng + (maxLng-minLng)/2];
+      }
+    } while (!pointInPolygon([point[1], point[0]], rings));
+    
+    return point;
+  },
+
+  // Generate multiple random points inside boundary
+  generateMultiplePointsInBoundary: (boundary, count = 5, random = Math.random) => {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+      points.push(BoundaryUtils.generateRandomPointInBoundary(boundary, random));
+    }
+    return points;
+  },
+
+  // Area-weighted centroid of all parts, holes subtracted; [lat, lng]
+  calculateCentroid: (boundary) => {
+    const polygons = BoundaryUtils.getPolygons(boundary);
+    if (polygons.length === 0) return [10.85, 76.27];
+
+    let sumArea = 0, sumLat = 0, sumLng = 0;
+    polygons.forEach(rings => {
+      rings.forEach((ring, r) => {
+        const sign = r === 0 ? 1 : -1;
+        const area = calculatePolygonArea(ring.map(([lng, lat]) => [lat, lng])) * sign;
+        const [lat, lng] = polygonCentroid(ring.map(([x, y]) => [y, x]));
+        sumArea += area;
+        sumLat += lat * area;
+        sumLng += lng * area;
+      });
+    });
+    if (sumArea <= 0) {
+      const { minLat, maxLat, minLng, maxLng } = BoundaryUtils.getBounds(boundary);
+      return [(minLat + maxLat) / 2, (minLng + maxLng) / 2];
+    }
+    return [sumLat / sumArea, sumLng / sumArea];
+  },
+  findClosestPointOnBoundary: (point, boundary) => {
+    const polygons = BoundaryUtils.getPolygons(boundary);
+    if (polygons.length === 0) return point;
+    
+    const [lng, lat] = Array.isArray(point) ? [point[1], point[0]] : [point.lng, point.lat];
+    
+    let minDistance = Infinity;
+    let closestPoint = [lat, lng]; // Return in [lat, lng] format
+    
+    // Check each segment of every ring, holes included
+    polygons.forEach(rings => rings.forEach(coordinates => {
+      for (let i = 0; i < coordinates.length - 1; i++) {
+        const [x1, y1] = coordinates[i];     // [lng, lat]
+        const [x2, y2] = coordinates[i + 1]; // [lng, lat]
+        
+        // Find closest point on this segment
+        const closest = BoundaryUtils.findClosestPointOnSegment(lng, lat, x1, y1, x2, y2);
+        const distance = BoundaryUtils.calculateDistanceBetweenPoints(lng, lat, closest[0], closest[1]);
+        
+        if (distance < minDistance) {
+          minDistance = distance;
+          closestPoint = [closest[1], closest[0]]; // Convert back to [lat, lng]
+        }
+      }
+    }));
+    
+    return closestPoint;
+  },
+
+  // Helper function to find closest point on a line segment
+  findClosestPointOnSegment: (px, py, x1, y1, x2, y2) => {
+    const A = px - x1;
+    const B = py - y1;
+    const C = x2 - x1;
+    const D = y2 - y1;
+
+    const dot = A * C + B * D;
+    const lenSq = C * C + D * D;
+    let param = -1;
+    
+    if (lenSq !== 0) {
+      param = dot / lenSq;
+    }
+
+    let xx, yy;
+
+    if (param < 0) {
+      xx = x1;
+      yy = y1;
+    } else if (param > 1) {
+      xx = x2;
+      yy = y2;
+    } else {
+      xx = x1 + param * C;
+      yy = y1 + param * D;
+    }
+
+    return [xx, yy];
+  },
+
+  // Helper function to calculate distance between two points
+  calculateDistanceBetweenPoints: (x1, y1, x2, y2) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+};
+
+/* ----------------- Helpers ------------------ */
+// Seeded PRNG (mulberry32). Same seed -> same sequence, so terrain and
+// auto-design layouts can be regenerated exactly from an exported design.
+function createSeededRandom(seed) {
+  // Accept numeric or text seeds
+  let state = typeof seed === 'number' ? seed >>> 0 : 0;
+  if (typeof seed !== 'number') {
+    const text = String(seed);
+    for (let i = 0; i < text.length; i++) {
+      state = Math.imul(state ^ text.charCodeAt(i), 2654435761) >>> 0;
+    }
+  }
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Element ids from their own seeded stream, so a regenerated design matches
+// id for id without shifting the layout's random sequence. Ids in `taken`
+// (the elements already on the site) and ids already issued are skipped, so a
+// rerun after an edit can't reuse the id of an element that is still there.
+function createIdGenerator(seed, taken = []) {
+  const random = createSeededRandom(`${seed}-ids`);
+  const used = new Set(taken);
+  return () => {
+    let id;
+    do {
+      id = Math.floor(random() * 1e12);
+    } while (used.has(id));
+    used.add(id);
+    return id;
+  };
+}
+
+const elementIds = (elements) => elements.filter(Boolean).map(e => e.id);
+
+function generateSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+// simple point-in-polygon (ray-casting). `vs` is one ring, or an array of
+// rings (outer first, then holes) in which case holes are excluded.
+function pointInPolygon(point, vs) {
+  if (vs.length > 0 && Array.isArray(vs[0][0])) {
+    return pointInPolygon(point, vs[0]) && !vs.slice(1).some(hole => pointInPolygon(point, hole));
+  }
+  const [x, y] = point;
+  let inside = false;
+  for (let i = 0, j = vs.length - 1; i < vs.length; j = i++) {
+    const [xi, yi] = vs[i];
+    const [xj, yj] = vs[j];
+    const intersect =
+      yi > y !== yj > y &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi + Number.EPSILON) + xi;
+    if (intersect) inside = !inside;
+  }
+  return inside;
+}
+
+// sample mock soil/watershed if within demo polygons
+function sampleSoilAt(lng, lat) {
+  const pt = [lng, lat];
+  for (const f of soilPolygons) {
+    const vs = f.geometry.coordinates[0];
+    if (pointInPolygon(pt, vs)) return f.properties.soil;
+  }
+  return "mixed-loam";
+}
+
+function sampleWatershedAt(lng, lat) {
+  const pt = [lng, lat];
+  for (const f of watershedPolygons) {
+    const vs = f.geometry.coordinates[0];
+    if (pointInPolygon(pt, vs)) return f.properties;
+  }
+  return null;
+}
+
+// fallbacks used if NASA API fails
+function fallbackRain(lat, lng) {
+  if (lat >= 9.2 && lng >= 75.5 && lng <= 76.9) return 2500 + Math.round((11.5 - lat) * 100);
+  return 1500 + Math.round((10.5 - lat) * 50);
+}
+
+function fallbackSunHours(lat) {
+  return 6.5 + (10 - Math.abs(lat - 10.5)) * 0.1;
+}
+
+function fallbackSlope(lat) {
+  if (lat > 10.5) return 8 + Math.round(Math.abs(lat - 11) * 2);
+  return 3 + Math.round(Math.abs(lat - 9.5) * 1.5);
+}
+
+/* ----------------- Flood Risk Mapping ----------------- */
+function generateFloodRiskMap(lat, lng, slope, rainfall) {
+  const riskLevel = 
+    slope < 5 && rainfall > 2200 ? "high" :
+    slope < 10 && rainfall > 1800 ? "medium" : "low";
+    
+  return {
+    type: "Feature",
+    properties: { risk: riskLevel },
+    geometry: {
+      type: "Polygon",
+      coordinates: [[
+        [lng-0.05, lat-0.05],
+        [lng+0.05, lat-0.05],
+        [lng+0.05, lat+0.05],
+        [lng-0.05, lat+0.05],
+        [lng-0.05, lat-0.05]
+      ]]
+    }
+  };
+}
+
+/* ----------------- NASA POWER fetch ------------------
+   We'll fetch:
+   - PRECTOTCORR (precipitation)   -> mm/day climatology -> annual
+   - ALLSKY_SFC_SW_DWN (solar)     -> kWh/m2/day -> convert to sun-hours
+   If the request fails (offline/CORS), we use fallbacks above.
+-------------------------------------------------------*/
+async function getClimateFromNASA(lat, lng) {
+  try {
+    const url =
+      `https://power.larc.nasa.gov/api/temporal/climatology/point?parameters=PRECTOTCORR,ALLSKY_SFC_SW_DWN&community=AG&longitude=${lng}&latitude=${lat}&start=1991&end=2020&format=JSON`;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error("NASA API error");
+    const data = await res.json();
+
+    // monthly climatologies (12 values). Sum precip, average solar.
+    const p = Object.values(data.properties.parameter.PRECTOTCORR); // mm/day
+    const s = Object.values(data.properties.parameter.ALLSKY_SFC_SW_DWN); // kWh/m2/day
+
+    // total annual rainfall (approx): sum(mm/day * days in month)
+    const days = [31,28,31,30,31,30,31,31,30,31,30,31];
+    const annualMm = Math.round(p.reduce((sum, mmPerDay, i) => sum + mmPerDay * days[i], 0));
+
+    // average daily solar (kWh/m2/day). Convert to "sun-hours" (divide by ~1 kW/m2).
+    const avgKwhPerDay = s.reduce((a, b) => a + b, 0) / s.length;
+    const sunHours = Math.max(3, Math.min(10, avgKwhPerDay)); // clamp to 3-10
+
+    return {
+      source: "NASA POWER",
+      avgRainfallMm: annualMm,
+      sunHours,
+      monthlyRainfall: days.map((days, i) => Math.round(p[i] * days))
+    };
+  } catch (e) {
+    const fallbackRainfall = fallbackRain(lat, lng);
+    return {
+      source: "fallback",
+      avgRainfallMm: fallbackRainfall,
+      sunHours: fallbackSunHours(lat),
+      monthlyRainfall: Array(12).fill(Math.round(fallbackRainfall/12))
+    };
+  }
+}
+
+/* ----------------- Rainfall Chart ----------------- */
+const RainfallChart = React.memo(({ monthlyRainfall }) => {
+  if (!monthlyRainfall || monthlyRainfall.length === 0) return null;
+  
+  const maxRain = Math.max(...monthlyRainfall);
+  const months = ['J','F','M','A','M','J','J','A','S','O','N','D'];
+  
+  return (
+    <div style={{ marginTop: 10 }}>
+      <div style={{ fontWeight: 600, marginBottom: 5 }}>Monthly Rainfall (mm)</div>
+      <div style={{ display: 'flex', height: 60, alignItems: 'flex-end' }}>
+        {monthlyRainfall.map((rain, i) => (
+          <div key={i} style={{ flex: 1, textAlign: 'center' }}>
+            <div style={{ 
+              height: `${(rain/(maxRain+1))*50}px`,
+              background: '#29b6f6',
+              margin: '0 2px',
+              position: 'relative'
+            }}>
+              <span style={{
+                position: 'absolute',
+                bottom: '100%',
+                left: 0,
+                right: 0,
+                fontSize: 10
+              }}>{rain}</span>
+            </div>
+            <div style={{ fontSize: 10 }}>{months[i]}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+/* ----------------- Monsoon Advisory ----------------- */
+function getMonsoonAdvisory(monthlyRainfall) {
+  if (!monthlyRainfall || monthlyRainfall.length === 0) return null;
+  
+  const maxMonth = monthlyRainfall.indexOf(Math.max(...monthlyRainfall));
+  const monsoonMonths = [6,7,8,9]; // Jun-Sep
+  
+  return {
+    status: monsoonMonths.includes(maxMonth) ? "active" : "dormant",
+    advice: monsoonMonths.includes(maxMonth) 
+      ? "🌧️ Monsoon Active: Focus on water diversion and soil protection" 
+      : "☀️ Dry Season: Focus on water conservation and irrigation"
+  };
+}
+
+/* ----------------- Plant database ------------------
+   Kerala-friendly list + companions + spacing/pattern hints
+-----------------------------------------------------*/
+const PLANTS = [
+  {
+    name: "Coconut",
+    scientific: "Cocos nucifera",
+    functions: ["food", "shade", "windbreak"],
+    water: "moderate–high",
+    sunlight: "full sun",
+    spacing: "7–8 m",
+    height: 20, // metres at maturity
+    pattern: "grid or triangle",
+    companions: ["Banana", "Black Pepper", "Pineapple", "Ginger", "Turmeric"],
+    suitability: (e) => e.avgRainfallMm >= 1200 && e.sunHours >= 5,
+    type: "TREE"
+  },
+  {
+    name: "Banana",
+    scientific: "Musa spp.",
+    functions: ["food", "mulch biomass"],
+    water: "high",
+    sunlight: "full/partial",
+    spacing: "2–3 m clumps",
+    height: 4,
+    pattern: "clumps along contours",
+    companions: ["Taro", "Sweet Potato", "Turmeric", "Ginger"],
+    suitability: (e) => e.avgRainfallMm >= 1400 && e.soil.includes("loam"),
+    type: "SHRUB"
+  },
+  {
+    name: "Black Pepper",
+    scientific: "Piper nigrum",
+    functions: ["cash crop", "climber"],
+    water: "moderate",
+    sunlight: "partial shade",
+    spacing: "3 m",
+    height: 6,
+    pattern: "on live standards (Coconut/Areca)",
+    companions: ["Coconut", "Areca"],
+    suitability: (e) => e.avgRainfallMm >= 1800 && (e.soil.includes("loam") || e.soil.includes("lateritic")),
+    type: "CLIMBER"
+  },
+  {
+    name: "Arecanut",
+    scientific: "Areca catechu",
+    functions: ["cash crop", "canopy"],
+    water: "moderate–high",
+    sunlight: "full sun",
+    spacing: "2.7 x 2.7 m",
+    height: 15,
+    pattern: "grid",
+    companions: ["Black Pepper", "Pineapple"],
+    suitability: (e) => e.avgRainfallMm >= 1500,
+    type: "TREE"
+  },
+  {
+    name: "Moringa",
+    scientific: "Moringa oleifera",
+    functions: ["food", "fast biomass", "soil improver"],
+    water: "low–moderate",
+    sunlight: "full sun",
+    spacing: "2–4 m",
+    height: 8,
+    pattern: "hedgerows along paths",
+    companions: ["Pigeon Pea", "Cowpea"],
+    suitability: (e) => e.sunHours >= 5 && e.avgRainfallMm >= 800,
+    type: "TREE"
+  },
+  {
+    name: "Pigeon Pea",
+    scientific: "Cajanus cajan",
+    functions: ["nitrogen fixer", "mulch"],
+    water: "low–moderate",
+    sunlight: "full sun",
+    spacing: "1–1.5 m",
+    height: 2,
+    pattern: "alley cropping",
+    companions: ["Moringa", "Cassava"],
+    suitability: () => true,
+    type: "LEGUME"
+  },
+  {
+    name: "Turmeric",
+    scientific: "Curcuma longa",
+    functions: ["cash crop", "mulch"],
+    water: "moderate–high",
+    sunlight: "partial shade",
+    spacing: "30–45 cm",
+    height: 1,
+    pattern: "beds under banana",
+    companions: ["Banana", "Ginger"],
+    suitability: (e) => e.avgRainfallMm >= 1500 && e.soil.includes("loam"),
+    type: "ROOT"
+  },
+  {
+    name: "Ginger",
+    scientific: "Zingiber officinale",
+    functions: ["cash crop", "mulch"],
+    water: "moderate–high",
+    sunlight: "partial shade",
+    spacing: "20–30 cm",
+    height: 0.8,
+    pattern: "raised beds",
+    companions: ["Turmeric", "Banana"],
+    suitability: (e) => e.avgRainfallMm >= 1500,
+    type: "ROOT"
+  },
+  {
+    name: "Cassava (Tapioca)",
+    scientific: "Manihot esculenta",
+    functions: ["food", "erosion control"],
+    water: "moderate",
+    sunlight: "full sun",
+    spacing: "1–1.5 m",
+    height: 2.5,
+    pattern: "on contour bunds",
+    companions: ["Pigeon Pea"],
+    suitability: (e) => e.slopePercent >= 3,
+    type: "ROOT"
+  },
+  {
+    name: "Jackfruit",
+    scientific: "Artocarpus heterophyllus",
+    functions: ["food", "shade", "habitat"],
+    water: "moderate–high",
+    sunlight: "full sun",
+    spacing: "8–10 m",
+    height: 15,
+    pattern: "scattered canopy",
+    companions: ["Turmeric", "Ginger"],
+    suitability: (e) => e.avgRainfallMm >= 1200,
+    type: "TREE"
+  },
+  {
+    name: "Nutmeg",
+    scientific: "Myristica fragrans",
+    functions: ["spice", "understory"],
+    water: "high",
+    sunlight: "partial shade",
+    spacing: "8 m",
+    height: 12,
+    pattern: "under coconut canopy",
+    companions: ["Banana"],
+    suitability: (e) => e.avgRainfallMm >= 2000,
+    type: "TREE"
+  },
+  {
+    name: "Cardamom",
+    scientific: "Elettaria cardamomum",
+    functions: ["spice", "understory"],
+    water: "high",
+    sunlight: "shade",
+    spacing: "2 m",
+    height: 3,
+    pattern: "under silver oak/areca",
+    companions: ["Silver Oak"],
+    suitability: (e) => e.avgRainfallMm >= 2000 && e.sunHours <= 6,
+    type: "HERB"
+  },
+  {
+    name: "Pokkali Rice",
+    scientific: "Oryza sativa",
+    functions: ["food", "salt-tolerant", "traditional crop"],
+    water: "very high",
+    sunlight: "full sun",
+    spacing: "20-25 cm",
+    height: 1.2,
+    pattern: "transplanted in flooded fields",
+    plantingTime: "Jun-Jul (With monsoon onset)",
+    plantingLocation: "Low-lying waterlogged areas",
+    waterRequirement: "very high",
+    sunlightRequirement: "full",
+    soilRequirement: "clayey, water-retentive",
+    companions: [
+      { name: "Fish", benefit: "Integrated farming provides natural fertilization" },
+      { name: "Prawns", benefit: "Integrated farming ecosystem" }
+    ],
+    suitability: (e) => e.soil.includes("alluvial") && e.avgRainfallMm >= 2200,
+    specialNotes: "Traditional saline-tolerant rice variety of Kerala, grown in coastal regions",
+    type: "GRAIN"
+  },
+  {
+    name: "Drumstick (Moringa)",
+    scientific: "Moringa oleifera",
+    functions: ["food", "medicinal", "fast-growing"],
+    water: "low",
+    sunlight: "full sun",
+    spacing: "3-4 m",
+    height: 8,
+    pattern: "boundaries or scattered",
+    plantingTime: "May-Jul (With monsoon rains)",
+    plantingLocation: "Zone 1-2, well-drained areas",
+    waterRequirement: "low",
+    sunlightRequirement: "full",
+    soilRequirement: "well-drained, sandy loam",
+    companions: [
+      { name: "Turmeric", benefit: "Shade tolerance" },
+      { name: "Chili", benefit: "Space optimization" }
+    ],
+    suitability: (e) => e.sunHours >= 6,
+    specialNotes: "Highly nutritious leaves and pods, drought resistant",
+    type: "TREE"
+  },
+  {
+    name: "Taro (Chembu)",
+    scientific: "Colocasia esculenta",
+    functions: ["food", "shade-tolerant", "wetland crop"],
+    water: "high",
+    sunlight: "partial shade",
+    spacing: "45-60 cm",
+    height: 1.2,
+    pattern: "raised beds in waterlogged areas",
+    plantingTime: "Apr-Jun (Pre-monsoon)",
+    plantingLocation: "Waterlogged areas, pond edges",
+    waterRequirement: "high",
+    sunlightRequirement: "partial",
+    soilRequirement: "water-retentive, organic-rich",
+    companions: [
+      { name: "Coconut", benefit: "Utilizes shaded, wet areas" },
+      { name: "Fish", benefit: "Integrated farming in ponds" }
+    ],
+    suitability: (e) => e.avgRainfallMm >= 1800,
+    specialNotes: "Traditional Kerala staple, grows well in waterlogged conditions",
+    type: "ROOT"
+  },
+  {
+    name: "Yam (Chena)",
+    scientific: "Dioscorea spp.",
+    functions: ["food", "climber", "shade-tolerant"],
+    water: "moderate",
+    sunlight: "partial shade",
+    spacing: "60-90 cm",
+    height: 3,
+    pattern: "mounds with support trees",
+    plantingTime: "Apr-May (Pre-monsoon)",
+    plantingLocation: "Zone 2-3, with tree support",
+    waterRequirement: "moderate",
+    sunlightRequirement: "partial",
+    soilRequirement: "well-drained, sandy loam",
+    companions: [
+      { name: "Gliricidia", benefit: "Provides support and nitrogen" },
+      { name: "Coconut", benefit: "Utilizes shaded areas" }
+    ],
+    suitability: (e) => e.soil.includes("sandy") || e.soil.includes("loam"),
+    specialNotes: "Important tropical tuber crop, requires support for climbing",
+    type: "ROOT"
+  },
+  {
+    name: "Curry Leaf",
+    scientific: "Murraya koenigii",
+    functions: ["culinary", "medicinal", "hedge plant"],
+    water: "moderate",
+    sunlight: "full sun to partial shade",
+    spacing: "1.5-2 m",
+    height: 4,
+    pattern: "hedges or boundaries",
+    plantingTime: "Jun-Aug (Monsoon season)",
+    plantingLocation: "Zone 1, near kitchen",
+    waterRequirement: "moderate",
+    sunlightRequirement: "full to partial",
+    soilRequirement: "well-drained, fertile",
+    companions: [
+      { name: "Turmeric", benefit: "Similar water requirements" },
+      { name: "Chili", benefit: "Culinary companions" }
+    ],
+    suitability: (e) => e.avgRainfallMm >= 1000,
+    specialNotes: "Essential in Kerala cuisine, perennial shrub",
+    type: "SHRUB"
+  },
+  {
+    name: "Bitter Gourd (Pavakka)",
+    scientific: "Momordica charantia",
+    functions: ["food", "medicinal", "climber"],
+    water: "moderate",
+    sunlight: "full sun",
+    spacing: "60-90 cm",
+    height: 2,
+    pattern: "trellises or fences",
+    plantingTime: "Jan-Mar & Jun-Jul",
+    plantingLocation: "Zone 1, with vertical support",
+    waterRequirement: "moderate",
+    sunlightRequirement: "full",
+    soilRequirement: "well-drained, fertile",
+    companions: [
+      { name: "Beans", benefit: "Similar trellis requirements" },
+      { name: "Cucumber", benefit: "Similar growing conditions" }
+    ],
+    suitability: (e) => e.sunHours >= 5,
+    specialNotes: "Heat-loving vine, valued for medicinal properties",
+    type: "VINE"
+  },
+  {
+    name: "Okra (Vendakka)",
+    scientific: "Abelmoschus esculentus",
+    functions: ["food", "quick yield"],
+    water: "moderate",
+    sunlight: "full sun",
+    spacing: "30-45 cm",
+    height: 1.5,
+    pattern: "raised beds",
+    plantingTime: "Jun-Jul & Oct-Nov",
+    plantingLocation: "Zone 1, well-drained areas",
+    waterRequirement: "moderate",
+    sunlightRequirement: "full",
+    soilRequirement: "well-drained, fertile",
+    companions: [
+      { name: "Pepper", benefit: "Space optimization" },
+      { name: "Cucumber", benefit: "Similar growing season" }
+    ],
+    suitability: (e) => e.sunHours >= 6,
+    specialNotes: "Fast-growing warm season vegetable",
+    type: "VEGETABLE"
+  },
+  {
+    name: "Amaranth (Cheera)",
+    scientific: "Amaranthus spp.",
+    functions: ["food", "leafy vegetable", "drought-tolerant"],
+    water: "low-moderate",
+    sunlight: "full sun",
+    spacing: "15-20 cm",
+    height: 1,
+    pattern: "broadcast or rows",
+    plantingTime: "Year-round (except peak monsoon)",
+    plantingLocation: "Zone 1, quick access areas",
+    waterRequirement: "low-moderate",
+    sunlightRequirement: "full",
+    soilRequirement: "well-drained, fertile",
+    companions: [
+      { name: "Onion", benefit: "Pest management" },
+      { name: "Beans", benefit: "Soil nitrogen benefit" }
+    ],
+    suitability: () => true,
+    specialNotes: "Highly nutritious leafy green, grows quickly",
+    type: "LEAFY_GREEN"
   },
   {
-    name: "Drumstick (Moringa)",
-    scientific: "Moringa oleifera",
-    functions: ["food", "medicinal", "fast-growing"],
+    name: "Cucumber (Vellarikka)",
+    scientific: "Cucumis sativus",
+    functions: ["food", "climber", "high yield"],
+    water: "high",
+    sunlight: "full sun",
+    spacing: "60-90 cm",
+    height: 0.5,
+    pattern: "trellises or ground cover",
+    plantingTime: "Dec-Jan & Jun-Jul",
+    plantingLocation: "Zone 1, with support structures",
+    waterRequirement: "high",
+    sunlightRequirement: "full",
+    soilRequirement: "well-drained, organic-rich",
+    companions: [
+      { name: "Corn", benefit: "Natural trellis support" },
+      { name: "Beans", benefit: "Nitrogen fixation" }
+    ],
+    suitability: (e) => e.sunHours >= 5 && e.avgRainfallMm >= 1200,
+    specialNotes: "Requires consistent moisture, popular in Kerala salads",
+    type: "VINE"
+  },
+  {
+    name: "Pineapple",
+    scientific: "Ananas comosus",
+    functions: ["food", "cash crop", "drought-tolerant"],
+    water: "low-moderate",
+    sunlight: "full sun",
+    spacing: "30-45 cm",
+    height: 1,
+    pattern: "double rows with mulch",
+    plantingTime: "Apr-Jun (Pre-monsoon)",
+    plantingLocation: "Sloping areas with good drainage",
+    waterRequirement: "low-moderate",
+    sunlightRequirement: "full",
+    soilRequirement: "acidic, well-drained",
+    companions: [
+      { name: "Black Pepper", benefit: "Shared growing conditions" },
+      { name: "Ginger", benefit: "Similar microclimate needs" }
+    ],
+    suitability: (e) => e.slopePercent >= 5 && e.soil.includes("lateritic"),
+    specialNotes: "Thrives in acidic laterite soils common in Kerala",
+    type: "FRUIT"
+  },
+  {
+    name: "Tamarind",
+    scientific: "Tamarindus indica",
+    functions: ["food", "shade", "long-lived"],
     water: "low",
     sunlight: "full sun",
-    spacing: "3-4 m",
-    pattern: "boundaries or scattered",
-    plantingTime: "May-Jul (With monsoon rains)",
-    plantingLocation: "Zone 1-2, well-drained areas",
+    spacing: "10-12 m",
+    height: 20,
+    pattern: "scattered in boundaries",
+    plantingTime: "Jun-Jul (Monsoon onset)",
+    plantingLocation: "Zone 4-5, large areas",
     waterRequirement: "low",
     sunlightRequirement: "full",
-    soilRequirement: "well-drained, sandy loam",
+    soilRequirement: "well-drained, deep soil",
     companions: [
-      { name: "Turmeric", benefit: "Shade tolerance" },
-      { name: "Chili", benefit: "Space optimization" }
+      { name: "Turmeric", benefit: "Grows well in partial shade" },
+      { name: "Ginger", benefit: "Utilizes shaded understory" }
     ],
-    suitability: (e) => e.sunHours >= 6,
-    specialNotes: "Highly nutritious leaves and pods, drought resistant",
+    suitability: (e) => e.avgRainfallMm >= 500,
+    specialNotes: "Drought-resistant tree, provides valuable shade",
     type: "TREE"
   },
-  {
-    name: "Taro (Chembu)",
-    scientific: "Colocasia esculenta",
-    functions: ["food", "shade-tolerant", "wetland crop"],
-    water: "high",
-    sunlight: "partial shade",
-    spacing: "45-60 cm",
-    pattern: "raised beds in waterlogged areas",
-    plantingTime: "Apr-Jun (Pre-monsoon)",
-    plantingLocation: "Waterlogged areas, pond edges",
-    waterRequirement: "high",
-    sunlightRequirement: "partial",
-    soilRequirement: "water-retentive, organic-rich",
-    companions: [
-      { name: "Coconut", benefit: "Utilizes shaded, wet areas" },
-      { name: "Fish", benefit: "Integrated farming in ponds" }
-    ],
-    suitability: (e) => e.avgRainfallMm >= 1800,
-    specialNotes: "Traditional Kerala staple, grows well in waterlogged conditions",
-    type: "ROOT"
+  {
+    name: "Betel Leaf (Vettila)",
+    scientific: "Piper betle",
+    functions: ["cash crop", "shade-loving", "climber"],
+    water: "high",
+    sunlight: "shade",
+    spacing: "30-45 cm",
+    height: 4,
+    pattern: "shaded trellises",
+    plantingTime: "May-Jul (Monsoon season)",
+    plantingLocation: "Shaded areas, under trees",
+    waterRequirement: "high",
+    sunlightRequirement: "shade",
+    soilRequirement: "well-drained, organic-rich",
+    companions: [
+      { name: "Arecanut", benefit: "Provides ideal shade" },
+      { name: "Coconut", benefit: "Understory utilization" }
+    ],
+    suitability: (e) => e.sunHours <= 4 && e.avgRainfallMm >= 2000,
+    specialNotes: "High-value crop requiring high humidity and shade",
+    type: "CLIMBER"
+  },
+];
+
+// Filter plants by water requirements
+function filterByWaterRequirement(plants, waterAvailability) {
+  return plants.filter(plant => {
+    switch (plant.waterRequirement) {
+      case "low":
+        return waterAvailability === "low" || waterAvailability === "medium";
+      case "moderate":
+        return waterAvailability === "medium" || waterAvailability === "high";
+      case "high":
+        return waterAvailability === "high";
+      case "very high":
+        return waterAvailability === "very high";
+      default:
+        return true;
+    }
+  });
+}
+
+// Filter plants by sunlight requirements
+function filterBySunlight(plants, sunlightHours) {
+  return plants.filter(plant => {
+    switch (plant.sunlightRequirement) {
+      case "shade":
+        return sunlightHours <= 4;
+      case "partial":
+        return sunlightHours > 4 && sunlightHours <= 6;
+      case "full":
+        return sunlightHours > 6;
+      default:
+        return true;
+    }
+  });
+}
+
+/* ----------------- Plant Layouts ----------------- */
+const PLANT_LAYOUTS = {
+  "Banana-Turmeric-Ginger": {
+    pattern: [
+      { plant: "Banana", offset: [0, 0] },
+      { plant: "Turmeric", offset: [0.0001, 0.0001] },
+      { plant: "Turmeric", offset: [-0.0001, 0.0001] },
+      { plant: "Ginger", offset: [0.0001, -0.0001] },
+      { plant: "Ginger", offset: [-0.0001, -0.0001] }
+    ]
+  },
+  "Coconut-Pepper": {
+    pattern: [
+      { plant: "Coconut", offset: [0, 0] },
+      { plant: "Black Pepper", offset: [0.00005, 0.00005] },
+      { plant: "Black Pepper", offset: [-0.00005, -0.00005] },
+      { plant: "Black Pepper", offset: [0.00005, -0.00005] },
+      { plant: "Black Pepper", offset: [-0.00005, 0.00005] }
+    ]
+  }
+};
+
+/* ----------------- Design Templates ----------------- */
+const DESIGN_TEMPLATES = {
+  homestead: {
+    name: "1-Acre Homestead",
+    zones: [
+      { z: "Zone 0", r: 30, color: "#2e7d32", description: "House & kitchen garden" },
+      { z: "Zone 1", r: 100, color: "#43a047", description: "Intensive annuals" },
+      { z: "Zone 2", r: 200, color: "#66bb6a", description: "Perennial food forest" },
+      { z: "Zone 3", r: 400, color: "#81c784", description: "Agroforestry" },
+      { z: "Zone 4", r: 800, color: "#a5d6a7", description: "Timber & conservation" }
+    ],
+    plants: ["Coconut", "Banana", "Moringa", "Vegetables"]
+  },
+  agroforestry: {
+    name: "Coconut-Based Agroforestry",
+    zones: [
+      { z: "Zone 0", r: 20, color: "#2e7d32", description: "Processing area" },
+      { z: "Zone 1", r: 150, color: "#43a047", description: "Coconut + pepper" },
+      { z: "Zone 2", r: 300, color: "#66bb6a", description: "Fruit trees" },
+      { z: "Zone 3", r: 600, color: "#81c784", description: "Timber trees" }
+    ],
+    plants: ["Coconut", "Black Pepper", "Nutmeg", "Jackfruit"]
+  }
+};
+
+function recommendPlants(env, plantFilter) {
+  // A targeted microclimate shifts the site climate before suitability checks
+  const climate = plantFilter.microclimate && MICROCLIMATE_TYPES[plantFilter.microclimate];
+  if (climate) env = climate.adjustEnv(env);
+  let filteredPlants = PLANTS.filter(p => p.suitability(env));
+  
+  // Apply water requirement filter
+  const waterAvailability = env.avgRainfallMm > 2000 ? "very high" :
+                           env.avgRainfallMm > 1500 ? "high" :
+                           env.avgRainfallMm > 1000 ? "medium" : "low";
+  filteredPlants = filterByWaterRequirement(filteredPlants, waterAvailability);
+  
+  // Apply sunlight filter
+  filteredPlants = filterBySunlight(filteredPlants, env.sunHours);
+  
+  // Apply other filters
+  filteredPlants = filteredPlants.filter(p => {
+    if (plantFilter.function && !p.functions.includes(plantFilter.function)) {
+      return false;
+    }
+
+    if (climate && !climate.suits(p)) {
+      return false;
+    }
+    
+    if (plantFilter.edibility === 'edible' && 
+        !p.functions.includes('food') && 
+        !p.functions.includes('cash crop')) {
+      return false;
+    }
+    
+    return true;
+  });
+  
+  return filteredPlants
+    .map(p => ({ ...p, score: p.functions.length }))
+    .sort((a, b) => b.score - a.score);
+}
+
+// Plants for one spot: suitability re-run with that spot's share of the
+// site's sun, then matched to its direct-sun hours from the shade model
+function recommendPlantsAt(env, plantFilter, spot) {
+  const localEnv = { ...env, sunHours: parseFloat((env.sunHours * spot.fraction).toFixed(1)) };
+  return recommendPlants(localEnv, plantFilter).filter(p => ShadeUtils.plantFitsLight(p, spot.annual));
+}
+
+/* ----------------- Water management plans ----------------- */
+function waterManagement(env, siteInputs, catchment = null) {
+  const plans = [];
+  const floodRisk = siteInputs.floodRisk || 'medium';
+
+  // Enhanced water harvesting calculations
+  const waterHarvesting = WaterManagementUtils.calculateWaterHarvestingPotential(env, siteInputs, catchment);
+  const swaleSpecs = WaterManagementUtils.calculateSwaleSpecifications(env.slopePercent, env.avgRainfallMm);
+  
+  plans.push({ 
+    name: `Water harvesting potential: ${waterHarvesting.total} ${waterHarvesting.units}/year`, 
+    why: `Roof: ${waterHarvesting.roofHarvest} ${waterHarvesting.units}, Land: ${waterHarvesting.landHarvest} ${waterHarvesting.units}` 
+  });
+  
+  plans.push({ 
+    name: `Swale design: ${swaleSpecs.spacing}m spacing, ${swaleSpecs.depth}m depth`, 
+    why: "Optimal for your slope and rainfall conditions" 
+  });
+
+  // base practices
+  plans.push({ name: "Mulch + contour planting", why: "Reduce evaporation & slow runoff." });
+
+  if (env.slopePercent >= 10) {
+    plans.push({ name: "Contour swales (0.5–1 m wide, 0.3 m deep) every 15–25 m", why: "Steep slopes need strong slowing." });
+    plans.push({ name: "Staggered contour trenches (SCI)", why: "Breaks sheet flow, increases infiltration." });
+  } else if (env.slopePercent >= 5) {
+    plans.push({ name: "Shallow swales every 25–40 m + percolation pits (1 m³) at low points", why: "Moderate slope — spread & sink." });
+  } else {
+    plans.push({ name: "Micro-catchments around trees (donut basins)", why: "Gentle slope — simple infiltration works." });
+  }
+
+  if (catchment) {
+    const areaM2 = catchment.properties.areaM2;
+    const pond = WaterManagementUtils.calculatePondSizing(areaM2, env);
+    plans.push({
+      name: `Farm pond ~${pond.surfaceArea} m² × ${pond.depth} m (${pond.volume} m³) at the pour point`,
+      why: `Holds a ${WaterManagementUtils.DESIGN_STORM_MM} mm storm off the ${(areaM2 / 10000).toFixed(2)} ha catchment.`
+    });
+  }
+
+  if (env.avgRainfallMm >= 2200) {
+    if (!catchment) {
+      plans.push({ name: "Farm pond (400–1000 m²) with overflow to wetland", why: "Store excess monsoon water." });
+    }
+    plans.push({ name: "Spillways with vetiver hedges", why: "Stabilize overflow points." });
+  } else if (env.avgRainfallMm <= 1400) {
+    plans.push({ name: "Roof rainwater harvesting + lined tanks", why: "Low rainfall — store from roofs." });
+    plans.push({ name: "Drip irrigation + heavy mulch", why: "Efficient use of limited water." });
+  }
+
+  if (env.soil.includes("alluvial")) {
+    plans.push({ name: "Raised beds + drainage furrows", why: "Avoid waterlogging in lowlands." });
+  } else if (env.soil.includes("lateritic")) {
+    plans.push({ name: "Keyline-inspired ripping (along key contour)", why: "Encourage lateral subsurface flow." });
+  }
+
+  // Flood risk additions
+  if (floodRisk === 'high') {
+    plans.push({ 
+      name: "Flood-tolerant species in low areas", 
+      why: "Use taro, water spinach, and pokkali rice" 
+    });
+    plans.push({ 
+      name: "Elevated planting mounds", 
+      why: "Create 1m high mounds for sensitive plants" 
+    });
+  }
+
+  return plans;
+}
+
+/* ----------------- Timeline Generator ----------------- */
+const TimelineGenerator = React.memo(({ waterPlans, plantRecs }) => {
+  const phases = [
+    {
+      name: "Phase 1: Water (Months 1-3)",
+      tasks: [
+        "Excavate swales & ponds",
+        "Install rainwater harvesting",
+        ...waterPlans.filter(p => p.name.includes("swales") || p.name.includes("pond"))
+          .map(p => p.name)
+      ]
+    },
+    {
+      name: "Phase 2: Soil (Months 4-6)",
+      tasks: [
+        "Plant nitrogen-fixing cover crops",
+        "Apply compost/mulch",
+        "Prepare planting beds"
+      ]
+    },
+    {
+      name: "Phase 3: Perennials (Months 7-12)",
+      tasks: [
+        "Plant coconut/areca trees",
+        "Establish banana circles",
+        ...plantRecs.filter(p => ["Coconut", "Arecanut", "Jackfruit"].includes(p.name))
+          .map(p => `Plant ${p.name}`)
+      ]
+    }
+  ];
+
+  return (
+    <section style={{ marginBottom: 12 }}>
+      <b>Implementation Timeline</b>
+      {phases.map((phase, i) => (
+        <div key={i} style={{ marginTop: 10 }}>
+          <div style={{ fontWeight: 600 }}>{phase.name}</div>
+          <ul style={{ paddingLeft: 18, fontSize: 13 }}>
+            {phase.tasks.slice(0, 4).map((task, j) => (
+              <li key={j}>{task}</li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </section>
+  );
+});
+
+/* ----------------- Sun path (arc around marker) -----------------
+   We compute sun azimuth every 10 minutes for today from sunrise to sunset,
+   then draw a 1 km arc in those directions so you see morning/noon/evening.
+------------------------------------------------------------------*/
+function metersOffset(lat, lng, bearingDeg, distanceM) {
+  const R = 6378137; // earth radius
+  const brng = (bearingDeg * Math.PI) / 180;
+  const lat1 = (lat * Math.PI) / 180;
+  const lng1 = (lng * Math.PI) / 180;
+
+  const lat2 = Math.asin(
+    Math.sin(lat1) * Math.cos(distanceM / R) +
+      Math.cos(lat1) * Math.sin(distanceM / R) * Math.cos(brng)
+  );
+  const lng2 =
+    lng1 +
+    Math.atan2(
+      Math.sin(brng) * Math.sin(distanceM / R) * Math.cos(lat1),
+      Math.cos(distanceM / R) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+  return [ (lat2 * 180) / Math.PI, (lng2 * 180) / Math.PI ];
+}
+
+// Closed circular ring of `radiusM` metres around [lat, lng]
+function circlePolygon(center, radiusM, segments = 36) {
+  const ring = [];
+  for (let i = 0; i < segments; i++) {
+    ring.push(metersOffset(center[0], center[1], (i * 360) / segments, radiusM));
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+/* ----------------- Footprints ------------------
+   Element shapes in metres. A spec is { shape: 'rectangle', widthM, lengthM },
+   { shape: 'circle', widthM } (widthM is the diameter) or, for lines,
+   { lengthM }. Rectangles run lengthwise along `bearingDeg`.
+-----------------------------------------------------*/
+const DEFAULT_FOOTPRINTS = {
+  POND: { shape: 'circle', widthM: 22.6 }, // ≈ 400 m²
+  POND_AREA: { shape: 'circle', widthM: 22.6 },
+  VEGETABLE_GARDEN: { shape: 'rectangle', widthM: 10, lengthM: 20 },
+  FRUIT_ORCHARD: { shape: 'rectangle', widthM: 30, lengthM: 40 },
+  GRAIN_FIELD: { shape: 'rectangle', widthM: 40, lengthM: 60 },
+  WINDBREAK: { lengthM: 60 },
+  SWALE: { lengthM: 30 },
+  KEYLINE: { lengthM: 50 },
+  RIPPING_LINE: { lengthM: 30 },
+  PATH: { lengthM: 20 }
+};
+
+const FootprintUtils = {
+  getDefault: function(type) {
+    if (DEFAULT_FOOTPRINTS[type]) return DEFAULT_FOOTPRINTS[type];
+    return ELEMENT_TYPES[type]?.geometry === 'line'
+      ? { lengthM: 20 }
+      : { shape: 'rectangle', widthM: 10, lengthM: 10 };
+  },
+
+  area: function(spec) {
+    if (spec.shape === 'circle') return Math.PI * (spec.widthM / 2) ** 2;
+    if (spec.shape === 'rectangle') return spec.widthM * spec.lengthM;
+    return 0;
   },
-  {
-    name: "Yam (Chena)",
-    scientific: "Dioscorea spp.",
-    functions: ["food", "climber", "shade-tolerant"],
-    water: "moderate",
-    sunlight: "partial shade",
-    spacing: "60-90 cm",
-    pattern: "mounds with support trees",
-    plantingTime: "Apr-May (Pre-monsoon)",
-    plantingLocation: "Zone 2-3, with tree support",
-    waterRequirement: "moderate",
-    sunlightRequirement: "partial",
-    soilRequirement: "well-drained, sandy loam",
-    companions: [
-      { name: "Gliricidia", benefit: "Provides support and nitrogen" },
-      { name: "Coconut", benefit: "Utilizes shaded areas" }
-    ],
-    suitability: (e) => e.soil.includes("sandy") || e.soil.includes("loam"),
-    specialNotes: "Important tropical tuber crop, requires support for climbing",
-    type: "ROOT"
+
+  // Same proportions, scaled to `areaM2`
+  withArea: function(spec, areaM2) {
+    const current = this.area(spec);
+    if (!(areaM2 > 0) || !(current > 0)) return spec;
+    return this.scale(spec, Math.sqrt(areaM2 / current));
   },
-  {
-    name: "Curry Leaf",
-    scientific: "Murraya koenigii",
-    functions: ["culinary", "medicinal", "hedge plant"],
-    water: "moderate",
-    sunlight: "full sun to partial shade",
-    spacing: "1.5-2 m",
-    pattern: "hedges or boundaries",
-    plantingTime: "Jun-Aug (Monsoon season)",
-    plantingLocation: "Zone 1, near kitchen",
-    waterRequirement: "moderate",
-    sunlightRequirement: "full to partial",
-    soilRequirement: "well-drained, fertile",
-    companions: [
-      { name: "Turmeric", benefit: "Similar water requirements" },
-      { name: "Chili", benefit: "Culinary companions" }
-    ],
-    suitability: (e) => e.avgRainfallMm >= 1000,
-    specialNotes: "Essential in Kerala cuisine, perennial shrub",
-    type: "SHRUB"
+
+  scale: function(spec, factor) {
+    return {
+      ...spec,
+      widthM: spec.widthM && spec.widthM * factor,
+      lengthM: spec.lengthM && spec.lengthM * factor
+    };
+  },
+
+  // Centre-to-corner distance, for circle approximations
+  radius: function(spec) {
+    if (spec.shape === 'circle') return spec.widthM / 2;
+    if (spec.shape === 'rectangle') return Math.hypot(spec.widthM, spec.lengthM) / 2;
+    return (spec.lengthM || 0) / 2;
+  },
+
+  rectangle: function(center, widthM, lengthM, bearingDeg = 0) {
+    const corner = (along, across) => {
+      const mid = metersOffset(center[0], center[1], bearingDeg, along);
+      return metersOffset(mid[0], mid[1], bearingDeg + 90, across);
+    };
+    const ring = [
+      corner(lengthM / 2, -widthM / 2),
+      corner(lengthM / 2, widthM / 2),
+      corner(-lengthM / 2, widthM / 2),
+      corner(-lengthM / 2, -widthM / 2)
+    ];
+    ring.push(ring[0]);
+    return ring;
+  },
+
+  // { polygon } or { points } geometry for an element type
+  build: function(type, center, spec = this.getDefault(type), bearingDeg = 0, segments = 36) {
+    if (ELEMENT_TYPES[type]?.geometry === 'line' || !spec.shape) {
+      return {
+        points: [
+          metersOffset(center[0], center[1], bearingDeg + 270, spec.lengthM / 2),
+          metersOffset(center[0], center[1], bearingDeg + 90, spec.lengthM / 2)
+        ]
+      };
+    }
+    if (spec.shape === 'circle') return { polygon: circlePolygon(center, spec.widthM / 2, segments) };
+    return { polygon: this.rectangle(center, spec.widthM, spec.lengthM, bearingDeg) };
+  },
+
+  describe: function(spec) {
+    if (!spec.shape) return `${Math.round(spec.lengthM)} m long`;
+    const area = Math.round(this.area(spec)).toLocaleString();
+    return spec.shape === 'circle'
+      ? `⌀ ${spec.widthM.toFixed(1)} m (${area} m²)`
+      : `${spec.widthM.toFixed(1)} × ${spec.lengthM.toFixed(1)} m (${area} m²)`;
+  }
+};
+
+// Sun path for one day as a ground-plane projection: azimuth gives the
+// bearing, and the radius shrinks as the sun climbs (horizon = 1 km, zenith = centre)
+function buildSunArc(lat, lng, date = new Date(), radiusM = 1000) {
+  const times = SunCalc.getTimes(date, lat, lng);
+  const start = times.sunrise;
+  const end = times.sunset;
+  if (!start || !end || isNaN(start) || isNaN(end)) return null;
+
+  const pts = [];
+  const stepMin = 10;
+  const stamps = [];
+  for (let t = +start; t < +end; t += stepMin * 60 * 1000) stamps.push(t);
+  stamps.push(+end);
+  for (const t of stamps) {
+    const time = new Date(t);
+    const pos = SunCalc.getPosition(time, lat, lng);
+    const azimuthDeg = (pos.azimuth * 180) / Math.PI + 180; // convert to 0–360
+    const altitudeDeg = Math.max(0, (pos.altitude * 180) / Math.PI);
+    pts.push({
+      position: metersOffset(lat, lng, azimuthDeg, radiusM * (90 - altitudeDeg) / 90),
+      altitude: altitudeDeg,
+      time
+    });
+  }
+
+  const noon = SunCalc.getPosition(times.solarNoon, lat, lng);
+  return {
+    points: pts,
+    sunrise: times.sunrise,
+    solarNoon: times.solarNoon,
+    sunset: times.sunset,
+    noonAltitude: (noon.altitude * 180) / Math.PI
+  };
+}
+
+// Low sun red-orange, high sun yellow
+function sunAltitudeColor(altitudeDeg) {
+  return `hsl(${Math.round(10 + (altitudeDeg / 90) * 45)}, 95%, 50%)`;
+}
+
+// Shade dark blue-grey through to bright yellow at 8+ hours of sun
+function sunHoursColor(hours) {
+  const t = Math.max(0, Math.min(1, hours / 8));
+  return `hsl(${Math.round(220 - t * 170)}, ${Math.round(20 + t * 75)}%, ${Math.round(30 + t * 25)}%)`;
+}
+
+// Solstices, equinoxes and a picked date for the picked date's year
+function buildSeasonalSunPaths(lat, lng, pickedDate) {
+  const year = pickedDate.getFullYear();
+  const days = [
+    { label: 'June solstice', date: new Date(year, 5, 21, 12) },
+    { label: 'Equinoxes', date: new Date(year, 2, 20, 12) },
+    { label: 'December solstice', date: new Date(year, 11, 21, 12) },
+    { label: pickedDate.toDateString(), date: pickedDate, picked: true }
+  ];
+  return days
+    .map(day => ({ ...day, ...buildSunArc(lat, lng, day.date) }))
+    .filter(day => day.points);
+}
+
+/* ----------------- Sector analysis ------------------
+   Wedges around the house for energies coming onto the site. `direction`
+   is the compass bearing the energy comes FROM (wind, fire, flood, noise)
+   or the bearing you look TOWARD (views); `spread` is the wedge width.
+-----------------------------------------------------*/
+const SECTOR_TYPES = {
+  WIND_PREVAILING: { name: "Prevailing wind", icon: "🌬️", color: "#5c6bc0", keralaName: "കാറ്റ്" },
+  WIND_STORM: { name: "Storm wind", icon: "⛈️", color: "#283593", keralaName: "കൊടുങ്കാറ്റ്" },
+  FIRE: { name: "Fire approach", icon: "🔥", color: "#e53935", keralaName: "തീ" },
+  FLOOD: { name: "Flood flow", icon: "🌊", color: "#0288d1", keralaName: "വെള്ളപ്പൊക്കം" },
+  VIEW_KEEP: { name: "View to keep", icon: "👁️", color: "#43a047", keralaName: "കാഴ്ച" },
+  VIEW_BLOCK: { name: "View to block", icon: "🚫", color: "#6d4c41", keralaName: "മറയ്ക്കേണ്ട കാഴ്ച" },
+  NOISE: { name: "Noise source", icon: "🔊", color: "#8e24aa", keralaName: "ശബ്ദം" }
+};
+
+const SECTOR_SEASONS = ["All year", "SW monsoon (Jun–Sep)", "NE monsoon (Oct–Dec)", "Dry season (Jan–May)"];
+
+// Kerala defaults: the two monsoons and the SW pre-monsoon squalls
+const DEFAULT_SECTORS = [
+  { id: 1, type: "WIND_PREVAILING", direction: 225, spread: 60, season: "SW monsoon (Jun–Sep)" },
+  { id: 2, type: "WIND_PREVAILING", direction: 45, spread: 60, season: "NE monsoon (Oct–Dec)" },
+  { id: 3, type: "WIND_STORM", direction: 250, spread: 40, season: "SW monsoon (Jun–Sep)" }
+];
+
+const SectorUtils = {
+  DISPLAY_RADIUS_M: 150,
+
+  // Compass bearing (0 = N, clockwise) from one [lat, lng] to another
+  bearing: function(from, to) {
+    const φ1 = from[0] * Math.PI / 180;
+    const φ2 = to[0] * Math.PI / 180;
+    const Δλ = (to[1] - from[1]) * Math.PI / 180;
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  },
+
+  angleDifference: (a, b) => Math.abs(((a - b + 540) % 360) - 180),
+
+  isInSector: function(origin, point, sector, radiusM = Infinity) {
+    return this.angleDifference(this.bearing(origin, point), sector.direction) <= sector.spread / 2 &&
+      calculateDistance(origin, point) <= radiusM;
+  },
+
+  buildWedge: function(origin, sector, radiusM = this.DISPLAY_RADIUS_M) {
+    const points = [origin];
+    const start = sector.direction - sector.spread / 2;
+    const steps = Math.max(2, Math.ceil(sector.spread / 5));
+    for (let k = 0; k <= steps; k++) {
+      points.push(metersOffset(origin[0], origin[1], start + sector.spread * k / steps, radiusM));
+    }
+    points.push(origin);
+    return points;
   },
+
+  // 0° = line runs along the wind, 90° = square across it
+  crossingAngle: function(line, windBearing) {
+    const diff = this.angleDifference(this.bearing(line[0], line[line.length - 1]), windBearing);
+    return diff > 90 ? 180 - diff : diff;
+  },
+
+  // Strongest wind to shelter from: storm wind, else the first prevailing wind,
+  // else the legacy single wind direction
+  getShelterSector: (sectors) =>
+    sectors.find(s => s.type === 'WIND_STORM') || sectors.find(s => s.type === 'WIND_PREVAILING'),
+
+  getShelterWind: function(sectors, fallbackDirection) {
+    const wind = this.getShelterSector(sectors);
+    return wind ? wind.direction : fallbackDirection;
+  },
+
+  // Windbreak square across the wind, upwind of `origin` at `distanceM`
+  suggestWindbreak: function(origin, windBearing, distanceM = 40, lengthM = 120) {
+    const center = metersOffset(origin[0], origin[1], windBearing, distanceM);
+    return [
+      metersOffset(center[0], center[1], windBearing - 90, lengthM / 2),
+      metersOffset(center[0], center[1], windBearing + 90, lengthM / 2)
+    ];
+  },
+
+  // Sector-driven placement feedback, same shape as ElementPlacementFeedback
+  evaluatePlacement: function(elements, origin, sectors, fallbackWind) {
+    const feedback = [];
+    const windBearing = this.getShelterWind(sectors, fallbackWind);
+    const centerOf = (e) => e.position || (e.polygon && polygonCentroid(e.polygon)) ||
+      (e.points && e.points[Math.floor(e.points.length / 2)]);
+
+    elements.filter(e => e && e.type === 'WINDBREAK' && e.points && e.points.length > 1).forEach(wb => {
+      const angle = this.crossingAngle(wb.points, windBearing);
+      if (angle < 60) {
+        feedback.push({
+          type: 'warning',
+          message: `${wb.name} runs only ${Math.round(angle)}° across the ${Math.round(windBearing)}° wind. Turn it to face the wind square on (90°).`,
+          keralaTip: 'കാറ്റുതടയം കാറ്റിന്റെ ദിശയ്ക്ക് ലംബമായി (90°) സ്ഥാപിക്കുക.'
+        });
+      }
+      const side = this.angleDifference(this.bearing(origin, centerOf(wb)), windBearing);
+      if (side > 90) {
+        feedback.push({
+          type: 'info',
+          message: `${wb.name} is on the sheltered side of the house. Move it upwind (${Math.round(windBearing)}°) to protect the house.`,
+          keralaTip: 'കാറ്റുതടയം വീടിന്റെ കാറ്റ് വരുന്ന ഭാഗത്തേക്ക് മാറ്റുക.'
+        });
+      }
+    });
+
+    sectors.forEach(sector => {
+      const inSector = elements.filter(e => e && e.type !== 'HOUSE' && centerOf(e) &&
+        this.isInSector(origin, centerOf(e), sector, this.DISPLAY_RADIUS_M * 2));
+
+      if (sector.type === 'FIRE' && !inSector.some(e => ['POND_AREA', 'SWALE', 'VEGETABLE_GARDEN'].includes(e.type))) {
+        feedback.push({
+          type: 'warning',
+          message: `Nothing green or wet stands in the fire sector (${sector.direction}°). Put a pond, swales or irrigated garden there as a firebreak.`,
+          keralaTip: 'തീ വരുന്ന ഭാഗത്ത് കുളമോ ചാലുകളോ നനച്ച തോട്ടമോ തീത്തടയായി സ്ഥാപിക്കുക.'
+        });
+      }
+      if (sector.type === 'FLOOD') {
+        inSector.filter(e => ['CHICKEN_COOP', 'COMPOST', 'WATER_TANK'].includes(e.type)).forEach(e => {
+          feedback.push({
+            type: 'warning',
+            message: `${e.name} sits in the flood sector (${sector.direction}°). Floodwater will spread its contents — move it out of the flow path.`,
+            keralaTip: 'വെള്ളപ്പൊക്ക വഴിയിൽ നിന്ന് ഇത് മാറ്റി സ്ഥാപിക്കുക.'
+          });
+        });
+      }
+      if ((sector.type === 'VIEW_BLOCK' || sector.type === 'NOISE') && !inSector.some(e => e.type === 'WINDBREAK')) {
+        feedback.push({
+          type: 'info',
+          message: `Plant a dense hedge or windbreak toward ${sector.direction}° to screen the ${SECTOR_TYPES[sector.type].name.toLowerCase()}.`,
+          keralaTip: 'ഈ ദിശയിൽ കട്ടിയുള്ള വേലിച്ചെടികൾ നടുക.'
+        });
+      }
+      if (sector.type === 'VIEW_KEEP') {
+        inSector.filter(e => e.type === 'WINDBREAK').forEach(e => {
+          feedback.push({
+            type: 'info',
+            message: `${e.name} blocks the view you want to keep toward ${sector.direction}°. Use low plants there instead.`,
+            keralaTip: 'സൂക്ഷിക്കേണ്ട കാഴ്ച മറയ്ക്കുന്നു. ഇവിടെ ഉയരം കുറഞ്ഞ ചെടികൾ ഉപയോഗിക്കുക.'
+          });
+        });
+      }
+    });
+
+    return feedback;
+  }
+};
+
+/* ----------------- Placement rules ------------------
+   Declarative checks between element types. `subject` and `target` are
+   an ELEMENT_TYPES key or a PLACEMENT_GROUPS key. Relations:
+     distance     — nearest target between `min` and `max` metres
+     above        — subject stands higher than the nearest target
+     notDownslope — no target within `within` m that is uphill of the subject
+   Messages may use {distance}, {name} and {target} placeholders.
+-----------------------------------------------------*/
+const PLACEMENT_GROUPS = {
+  GARDEN: { name: "garden", types: ['VEGETABLE_GARDEN', 'FRUIT_ORCHARD'] },
+  FLOWERING: { name: "flowering plants", types: ['FRUIT_ORCHARD', 'VEGETABLE_GARDEN', 'HERB_SPIRAL', 'MANDALA_GARDEN'] },
+  POND: { name: "pond", types: ['POND', 'POND_AREA'] }
+};
+
+const PLACEMENT_SEVERITIES = {
+  error: { background: '#f8d7da', border: '#dc3545' },
+  warning: { background: '#fff3cd', border: '#ffc107' },
+  info: { background: '#d1ecf1', border: '#0dcaf0' }
+};
+
+const PLACEMENT_RULES = [
   {
-    name: "Bitter Gourd (Pavakka)",
-    scientific: "Momordica charantia",
-    functions: ["food", "medicinal", "climber"],
-    water: "moderate",
-    sunlight: "full sun",
-    spacing: "60-90 cm",
-    pattern: "trellises or fences",
-    plantingTime: "Jan-Mar & Jun-Jul",
-    plantingLocation: "Zone 1, with vertical support",
-    waterRequirement: "moderate",
-    sunlightRequirement: "full",
-    soilRequirement: "well-drained, fertile",
-    companions: [
-      { name: "Beans", benefit: "Similar trellis requirements" },
-      { name: "Cucumber", benefit: "Similar growing conditions" }
-    ],
-    suitability: (e) => e.sunHours >= 5,
-    specialNotes: "Heat-loving vine, valued for medicinal properties",
-    type: "VINE"
+    id: 'tank-above-house',
+    subject: 'WATER_TANK',
+    relation: 'above',
+    target: 'HOUSE',
+    severity: 'warning',
+    message: {
+      en: 'Water tank is placed at lower elevation than house. For gravity irrigation, place it at a higher elevation.',
+      ml: 'വീടിന് താഴെ ജലസംഭരണി സ്ഥാപിച്ചിരിക്കുന്നു. ഗുരുത്വാകർഷണ സിഞ്ചനത്തിനായി ഉയർന്ന സ്ഥലത്ത് സ്ഥാപിക്കുക.'
+    }
   },
   {
-    name: "Okra (Vendakka)",
-    scientific: "Abelmoschus esculentus",
-    functions: ["food", "quick yield"],
-    water: "moderate",
-    sunlight: "full sun",
-    spacing: "30-45 cm",
-    pattern: "raised beds",
-    plantingTime: "Jun-Jul & Oct-Nov",
-    plantingLocation: "Zone 1, well-drained areas",
-    waterRequirement: "moderate",
-    sunlightRequirement: "full",
-    soilRequirement: "well-drained, fertile",
-    companions: [
-      { name: "Pepper", benefit: "Space optimization" },
-      { name: "Cucumber", benefit: "Similar growing season" }
-    ],
-    suitability: (e) => e.sunHours >= 6,
-    specialNotes: "Fast-growing warm season vegetable",
-    type: "VEGETABLE"
+    id: 'tank-near-house',
+    subject: 'WATER_TANK',
+    relation: 'distance',
+    target: 'HOUSE',
+    max: 100,
+    severity: 'info',
+    message: {
+      en: 'Water tank is {distance} m from the house. Consider placing it closer to reduce piping needs.',
+      ml: 'ജലസംഭരണി വീടിൽ നിന്ന് വളരെ അകലെയാണ്. പൈപ്പ് ചെലവ് കുറയ്ക്കാൻ അടുത്തേക്ക് മാറ്റുക.'
+    }
   },
   {
-    name: "Amaranth (Cheera)",
-    scientific: "Amaranthus spp.",
-    functions: ["food", "leafy vegetable", "drought-tolerant"],
-    water: "low-moderate",
-    sunlight: "full sun",
-    spacing: "15-20 cm",
-    pattern: "broadcast or rows",
-    plantingTime: "Year-round (except peak monsoon)",
-    plantingLocation: "Zone 1, quick access areas",
-    waterRequirement: "low-moderate",
-    sunlightRequirement: "full",
-    soilRequirement: "well-drained, fertile",
-    companions: [
-      { name: "Onion", benefit: "Pest management" },
-      { name: "Beans", benefit: "Soil nitrogen benefit" }
-    ],
-    suitability: () => true,
-    specialNotes: "Highly nutritious leafy green, grows quickly",
-    type: "LEAFY_GREEN"
+    id: 'compost-near-house',
+    subject: 'COMPOST',
+    relation: 'distance',
+    target: 'HOUSE',
+    max: 50,
+    severity: 'warning',
+    message: {
+      en: 'Compost is {distance} m from the house. Keep it within 50 m, in Zone 1, for easy handling of kitchen waste.',
+      ml: 'കമ്പോസ്റ്റ് വീടിൽ നിന്ന് വളരെ അകലെയാണ്. അടുക്കള മാലിന്യങ്ങൾ കൈകാര്യം ചെയ്യാൻ സൗകര്യപ്രദമായി സോൺ 1-ലേക്ക് മാറ്റുക.'
+    }
   },
   {
-    name: "Cucumber (Vellarikka)",
-    scientific: "Cucumis sativus",
-    functions: ["food", "climber", "high yield"],
-    water: "high",
-    sunlight: "full sun",
-    spacing: "60-90 cm",
-    pattern: "trellises or ground cover",
-    plantingTime: "Dec-Jan & Jun-Jul",
-    plantingLocation: "Zone 1, with support structures",
-    waterRequirement: "high",
-    sunlightRequirement: "full",
-    soilRequirement: "well-drained, organic-rich",
-    companions: [
-      { name: "Corn", benefit: "Natural trellis support" },
-      { name: "Beans", benefit: "Nitrogen fixation" }
-    ],
-    suitability: (e) => e.sunHours >= 5 && e.avgRainfallMm >= 1200,
-    specialNotes: "Requires consistent moisture, popular in Kerala salads",
-    type: "VINE"
+    id: 'compost-near-garden',
+    subject: 'COMPOST',
+    relation: 'distance',
+    target: 'GARDEN',
+    max: 30,
+    severity: 'info',
+    message: {
+      en: 'Compost is not near any garden. Place it closer to where you need the compost for easy application.',
+      ml: 'കമ്പോസ്റ്റ് തോട്ടത്തിന് അരികെയില്ല. എളുപ്പത്തിൽ പ്രയോഗിക്കാൻ തോട്ടത്തിനടുത്തേക്ക് മാറ്റുക.'
+    }
   },
   {
-    name: "Pineapple",
-    scientific: "Ananas comosus",
-    functions: ["food", "cash crop", "drought-tolerant"],
-    water: "low-moderate",
-    sunlight: "full sun",
-    spacing: "30-45 cm",
-    pattern: "double rows with mulch",
-    plantingTime: "Apr-Jun (Pre-monsoon)",
-    plantingLocation: "Sloping areas with good drainage",
-    waterRequirement: "low-moderate",
-    sunlightRequirement: "full",
-    soilRequirement: "acidic, well-drained",
-    companions: [
-      { name: "Black Pepper", benefit: "Shared growing conditions" },
-      { name: "Ginger", benefit: "Similar microclimate needs" }
-    ],
-    suitability: (e) => e.slopePercent >= 5 && e.soil.includes("lateritic"),
-    specialNotes: "Thrives in acidic laterite soils common in Kerala",
-    type: "FRUIT"
+    id: 'coop-from-house',
+    subject: 'CHICKEN_COOP',
+    relation: 'distance',
+    target: 'HOUSE',
+    min: 20,
+    max: 60,
+    severity: 'warning',
+    message: {
+      en: 'Chicken coop is {distance} m from the house. Keep it 20–60 m away: far enough for odours and pests, close enough for daily care.',
+      ml: 'കോഴിക്കൂട് വീട്ടിൽ നിന്ന് 20–60 മീറ്റർ അകലെ സ്ഥാപിക്കുക — വാസനയും പ്രാണികളും ഒഴിവാക്കാനും ദിവസേന പരിപാലിക്കാനും.'
+    }
   },
   {
-    name: "Tamarind",
-    scientific: "Tamarindus indica",
-    functions: ["food", "shade", "long-lived"],
-    water: "low",
-    sunlight: "full sun",
-    spacing: "10-12 m",
-    pattern: "scattered in boundaries",
-    plantingTime: "Jun-Jul (Monsoon onset)",
-    plantingLocation: "Zone 4-5, large areas",
-    waterRequirement: "low",
-    sunlightRequirement: "full",
-    soilRequirement: "well-drained, deep soil",
-    companions: [
-      { name: "Turmeric", benefit: "Grows well in partial shade" },
-      { name: "Ginger", benefit: "Utilizes shaded understory" }
-    ],
-    suitability: (e) => e.avgRainfallMm >= 500,
-    specialNotes: "Drought-resistant tree, provides valuable shade",
-    type: "TREE"
+    id: 'coop-near-garden',
+    subject: 'CHICKEN_COOP',
+    relation: 'distance',
+    target: 'GARDEN',
+    max: 50,
+    severity: 'info',
+    message: {
+      en: 'Chicken coop is not near any garden. Place it closer to gardens for easy manure collection.',
+      ml: 'കോഴിക്കൂട് തോട്ടങ്ങൾക്ക് അടുത്തല്ല. വളം എളുപ്പത്തിൽ ശേഖരിക്കാൻ തോട്ടത്തിനടുത്തേക്ക് മാറ്റുക.'
+    }
   },
   {
-    name: "Betel Leaf (Vettila)",
-    scientific: "Piper betle",
-    functions: ["cash crop", "shade-loving", "climber"],
-    water: "high",
-    sunlight: "shade",
-    spacing: "30-45 cm",
-    pattern: "shaded trellises",
-    plantingTime: "May-Jul (Monsoon season)",
-    plantingLocation: "Shaded areas, under trees",
-    waterRequirement: "high",
-    sunlightRequirement: "shade",
-    soilRequirement: "well-drained, organic-rich",
-    companions: [
-      { name: "Arecanut", benefit: "Provides ideal shade" },
-      { name: "Coconut", benefit: "Understory utilization" }
-    ],
-    suitability: (e) => e.sunHours <= 4 && e.avgRainfallMm >= 2000,
-    specialNotes: "High-value crop requiring high humidity and shade",
-    type: "CLIMBER"
+    id: 'pond-below-compost',
+    subject: 'POND',
+    relation: 'notDownslope',
+    target: 'COMPOST',
+    within: 30,
+    severity: 'error',
+    message: {
+      en: '{name} is downslope of the compost and only {distance} m away. Leachate will run into the water — move one of them.',
+      ml: 'കമ്പോസ്റ്റിന് താഴെ 30 മീറ്ററിനുള്ളിൽ കുളം ഉണ്ട്. മലിനജലം കുളത്തിലേക്ക് ഒഴുകും — ഒന്ന് മാറ്റി സ്ഥാപിക്കുക.'
+    }
   },
+  {
+    id: 'beehive-near-flowers',
+    subject: 'BEEHIVE',
+    relation: 'distance',
+    target: 'FLOWERING',
+    max: 50,
+    severity: 'info',
+    message: {
+      en: 'Beehive is {distance} m from the nearest flowering plants. Keep it within 50 m of orchards or gardens.',
+      ml: 'തേനീച്ചക്കൂട് പൂക്കുന്ന ചെടികളുടെ 50 മീറ്ററിനുള്ളിൽ സ്ഥാപിക്കുക.'
+    }
+  }
 ];
 
-// Filter plants by water requirements
-function filterByWaterRequirement(plants, waterAvailability) {
-  return plants.filter(plant => {
-    switch (plant.waterRequirement) {
-      case "low":
-        return waterAvailability === "low" || waterAvailability === "medium";
-      case "moderate":
-        return waterAvailability === "medium" || waterAvailability === "high";
-      case "high":
-        return waterAvailability === "high";
-      case "very high":
-        return waterAvailability === "very high";
-      default:
-        return true;
+const PlacementRuleUtils = {
+  // Elements matched by a type or group key; HOUSE falls back to the farm marker
+  resolve: function(spec, elements, origin) {
+    const types = PLACEMENT_GROUPS[spec] ? PLACEMENT_GROUPS[spec].types : [spec];
+    const matched = elements.filter(e => e && types.includes(e.type));
+    if (matched.length === 0 && spec === 'HOUSE' && origin) {
+      return [{ type: 'HOUSE', name: 'House', position: origin, id: 'marker' }];
     }
-  });
-}
+    return matched;
+  },
 
-// Filter plants by sunlight requirements
-function filterBySunlight(plants, sunlightHours) {
-  return plants.filter(plant => {
-    switch (plant.sunlightRequirement) {
-      case "shade":
-        return sunlightHours <= 4;
-      case "partial":
-        return sunlightHours > 4 && sunlightHours <= 6;
-      case "full":
-        return sunlightHours > 6;
-      default:
-        return true;
+  describe: function(spec) {
+    return PLACEMENT_GROUPS[spec] ? PLACEMENT_GROUPS[spec].name : (ELEMENT_TYPES[spec]?.name || spec).toLowerCase();
+  },
+
+  getPoints: (e) => e.position ? [e.position] : (e.polygon || e.points || []),
+
+  getCenter: function(e) {
+    return e.position || (e.polygon && polygonCentroid(e.polygon)) ||
+      (e.points && e.points[Math.floor(e.points.length / 2)]);
+  },
+
+  // Shortest vertex-to-vertex distance; 0 when one lies inside the other's polygon
+  distanceBetween: function(a, b) {
+    const pa = this.getPoints(a);
+    const pb = this.getPoints(b);
+    if ((a.polygon && pb.some(p => pointInPolygon(p, a.polygon))) ||
+        (b.polygon && pa.some(p => pointInPolygon(p, b.polygon)))) {
+      return 0;
     }
-  });
-}
+    // Closest pair on a flat projection, then the true distance for that pair
+    const k = Math.cos(pa[0][0] * Math.PI / 180);
+    let best = null;
+    let bestSq = Infinity;
+    pa.forEach(p => pb.forEach(q => {
+      const dLat = p[0] - q[0];
+      const dLng = (p[1] - q[1]) * k;
+      const sq = dLat * dLat + dLng * dLng;
+      if (sq < bestSq) {
+        bestSq = sq;
+        best = [p, q];
+      }
+    }));
+    return best ? calculateDistance(best[0], best[1]) : Infinity;
+  },
 
-/* ----------------- Plant Layouts ----------------- */
-const PLANT_LAYOUTS = {
-  "Banana-Turmeric-Ginger": {
-    pattern: [
-      { plant: "Banana", offset: [0, 0] },
-      { plant: "Turmeric", offset: [0.0001, 0.0001] },
-      { plant: "Turmeric", offset: [-0.0001, 0.0001] },
-      { plant: "Ginger", offset: [0.0001, -0.0001] },
-      { plant: "Ginger", offset: [-0.0001, -0.0001] }
-    ]
+  getElevation: function(e, grid) {
+    const center = this.getCenter(e);
+    return center && grid ? DEMUtils.sampleGrid(grid, center[0], center[1]) : null;
   },
-  "Coconut-Pepper": {
-    pattern: [
-      { plant: "Coconut", offset: [0, 0] },
-      { plant: "Black Pepper", offset: [0.00005, 0.00005] },
-      { plant: "Black Pepper", offset: [-0.00005, -0.00005] },
-      { plant: "Black Pepper", offset: [0.00005, -0.00005] },
-      { plant: "Black Pepper", offset: [-0.00005, 0.00005] }
-    ]
+
+  format: (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => (values[key] ?? match)),
+
+  // One result per subject element per rule whose targets exist:
+  // { ruleId, elementId, pass, severity, type, message, keralaTip }
+  evaluate: function(elements, grid, origin, rules = PLACEMENT_RULES) {
+    const results = [];
+    rules.forEach(rule => {
+      const targets = this.resolve(rule.target, elements, origin);
+      if (targets.length === 0) return;
+
+      this.resolve(rule.subject, elements, origin).forEach(subject => {
+        const others = targets.filter(t => t !== subject);
+        if (others.length === 0) return;
+        const distances = others.map(t => this.distanceBetween(subject, t));
+        const nearest = distances.indexOf(Math.min(...distances));
+        const distance = distances[nearest];
+        let pass = true;
+        let invalid = null;
+
+        if (rule.relation === 'distance') {
+          pass = distance >= (rule.min ?? 0) && distance <= (rule.max ?? Infinity);
+        } else if (rule.relation === 'above') {
+          const z = this.getElevation(subject, grid);
+          const zTarget = this.getElevation(others[nearest], grid);
+          if (z === null || zTarget === null) return;
+          pass = z >= zTarget;
+        } else if (rule.relation === 'notDownslope') {
+          const z = this.getElevation(subject, grid);
+          if (z === null) return;
+          pass = !others.some((t, i) => {
+            const zTarget = this.getElevation(t, grid);
+            return distances[i] <= rule.within && zTarget !== null && zTarget > z;
+          });
+        } else {
+          // A malformed rule fails visibly instead of passing unchecked
+          pass = false;
+          invalid = `Rule ${rule.id} has an unknown relation "${rule.relation}" and cannot be checked.`;
+        }
+
+        const values = {
+          distance: Math.round(distance),
+          name: subject.name || ELEMENT_TYPES[subject.type]?.name || subject.type,
+          target: this.describe(rule.target)
+        };
+        results.push({
+          ruleId: rule.id,
+          elementId: subject.id,
+          pass,
+          severity: rule.severity,
+          type: rule.severity,
+          message: invalid || this.format(rule.message.en, values),
+          keralaTip: invalid ? '' : this.format(rule.message.ml, values)
+        });
+      });
+    });
+    return results;
   }
 };
 
-/* ----------------- Design Templates ----------------- */
-const DESIGN_TEMPLATES = {
-  homestead: {
-    name: "1-Acre Homestead",
-    zones: [
-      { z: "Zone 0", r: 30, color: "#2e7d32", description: "House & kitchen garden" },
-      { z: "Zone 1", r: 100, color: "#43a047", description: "Intensive annuals" },
-      { z: "Zone 2", r: 200, color: "#66bb6a", description: "Perennial food forest" },
-      { z: "Zone 3", r: 400, color: "#81c784", description: "Agroforestry" },
-      { z: "Zone 4", r: 800, color: "#a5d6a7", description: "Timber & conservation" }
-    ],
-    plants: ["Coconut", "Banana", "Moringa", "Vegetables"]
+/* ----------------- Layout optimizer ------------------
+   Simulated annealing over the positions (and, for polygons, radii) of the
+   elements auto-design adds. Fixed elements (house, tank, pond, swales …)
+   stay put. The cost is a weighted sum of:
+     walking — distance from the house × visits per day for the zone
+     slope   — ground steeper than the element tolerates
+     water   — gardens above the tank or far from any water
+     rules   — failed PLACEMENT_RULES, weighted by severity
+     overlap — footprints overlapping each other or leaving the boundary
+     size    — polygons drifting from their target size
+   Each restart uses its own seeded PRNG, so alternatives are reproducible.
+-----------------------------------------------------*/
+const LayoutOptimizer = {
+  ITERATIONS: 1500,
+  ALTERNATIVES: 4,
+  START_TEMPERATURE: 2,
+  END_TEMPERATURE: 0.01,
+  POLYGON_SEGMENTS: 8,
+  MAX_FIXED_VERTICES: 12,
+  POINT_FOOTPRINT_M: 6,
+  VISITS_PER_DAY: { 0: 2, 1: 1, 2: 0.5, 3: 0.15, 4: 0.05, 5: 0 },
+  MAX_SLOPE: {
+    VEGETABLE_GARDEN: 8, GRAIN_FIELD: 5, FRUIT_ORCHARD: 15,
+    COMPOST: 10, CHICKEN_COOP: 10, SHED: 8, BEEHIVE: 20
   },
-  agroforestry: {
-    name: "Coconut-Based Agroforestry",
-    zones: [
-      { z: "Zone 0", r: 20, color: "#2e7d32", description: "Processing area" },
-      { z: "Zone 1", r: 150, color: "#43a047", description: "Coconut + pepper" },
-      { z: "Zone 2", r: 300, color: "#66bb6a", description: "Fruit trees" },
-      { z: "Zone 3", r: 600, color: "#81c784", description: "Timber trees" }
-    ],
-    plants: ["Coconut", "Black Pepper", "Nutmeg", "Jackfruit"]
-  }
-};
+  RULE_WEIGHTS: { error: 3, warning: 1.5, info: 0.5 },
+  WEIGHTS: { walking: 1, slope: 1, water: 1, rules: 1, overlap: 1, size: 1 },
+
+  // Coarser outlines keep the rule and overlap checks cheap while annealing
+  simplify: function(element) {
+    const key = element.polygon ? 'polygon' : element.points ? 'points' : null;
+    if (!key || element[key].length <= this.MAX_FIXED_VERTICES) return element;
+    const step = Math.ceil(element[key].length / this.MAX_FIXED_VERTICES);
+    const kept = element[key].filter((p, i) => i % step === 0);
+    if (key === 'polygon') kept.push(kept[0]);
+    return { ...element, [key]: kept };
+  },
+
+  // Footprint approximated as a circle { center, r }
+  footprint: function(e) {
+    if (e.position) return { center: e.position, r: this.POINT_FOOTPRINT_M };
+    if (!e.polygon) return null;
+    const center = polygonCentroid(e.polygon);
+    return { center, r: Math.max(...e.polygon.map(p => calculateDistance(center, p))) };
+  },
+
+  // Slope (%) per DEM cell from calculateTopography output
+  buildSlopeLookup: function(grid, topography) {
+    if (!grid || !topography || topography.length === 0) return null;
+    const slopes = new Float64Array(grid.rows * grid.cols).fill(NaN);
+    topography.forEach(p => { slopes[p.row * grid.cols + p.col] = p.slope; });
+    return slopes;
+  },
+
+  toElement: function(item, segments = this.POLYGON_SEGMENTS) {
+    if (!item.footprint) return { ...item.base, position: item.center };
+    const footprint = FootprintUtils.scale(item.footprint, item.scale);
+    return { ...item.base, footprint, ...FootprintUtils.build(item.base.type, item.center, footprint, 0, segments) };
+  },
+
+  // { total, breakdown } for the fixed elements plus the candidate items
+  score: function(items, context) {
+    const { fixed, fixedCircles, tankZ, water, origin, boundary, grid, slopes } = context;
+    const placed = items.map(item => this.toElement(item));
+    const all = [...fixed, ...placed];
+    const breakdown = { walking: 0, slope: 0, water: 0, rules: 0, overlap: 0, size: 0 };
+
+    items.forEach((item, i) => {
+      const type = item.base.type;
+      breakdown.walking += calculateDistance(origin, item.center) / 100 *
+        (this.VISITS_PER_DAY[AccessUtils.getZone(item.base)] ?? 0.5);
+
+      const cell = grid && DEMUtils.getGridCell(grid, item.center[0], item.center[1]);
+      const slope = cell && slopes ? slopes[cell.index] : NaN;
+      if (!isNaN(slope) && this.MAX_SLOPE[type]) {
+        breakdown.slope += Math.max(0, slope / this.MAX_SLOPE[type] - 1);
+      }
+
+      if (type === 'VEGETABLE_GARDEN' || type === 'FRUIT_ORCHARD') {
+        const z = grid ? DEMUtils.sampleGrid(grid, item.center[0], item.center[1]) : null;
+        if (tankZ !== null && z !== null && z > tankZ) breakdown.water += (z - tankZ) / 2;
+        if (water.length > 0) {
+          breakdown.water += Math.min(...water.map(w => PlacementRuleUtils.distanceBetween(placed[i], w))) / 200;
+        }
+      }
+
+      if (item.footprint) {
+        breakdown.size += Math.abs(item.scale * item.scale - 1) * 2;
+      }
+
+      // Share of the footprint outside the boundary
+      const outline = PlacementRuleUtils.getPoints(placed[i]);
+      const outside = outline.filter(p => !BoundaryUtils.isPointInBoundary(p, boundary)).length;
+      breakdown.overlap += (outside / outline.length) * 5;
+    });
 
-function recommendPlants(env, plantFilter) {
-  let filteredPlants = PLANTS.filter(p => p.suitability(env));
-  
-  // Apply water requirement filter
-  const waterAvailability = env.avgRainfallMm > 2000 ? "very high" :
-                           env.avgRainfallMm > 1500 ? "high" :
-                           env.avgRainfallMm > 1000 ? "medium" : "low";
-  filteredPlants = filterByWaterRequirement(filteredPlants, waterAvailability);
-  
-  // Apply sunlight filter
-  filteredPlants = filterBySunlight(filteredPlants, env.sunHours);
-  
-  // Apply other filters
-  filteredPlants = filteredPlants.filter(p => {
-    if (plantFilter.function && !p.functions.includes(plantFilter.function)) {
-      return false;
+    const circles = [...fixedCircles, ...items.map(item => ({
+      center: item.center,
+      r: item.footprint ? FootprintUtils.radius(item.footprint) * item.scale : this.POINT_FOOTPRINT_M
+    }))];
+    for (let i = fixed.length; i < all.length; i++) {
+      for (let j = 0; j < i; j++) {
+        if (!circles[i] || !circles[j]) continue;
+        const depth = circles[i].r + circles[j].r - calculateDistance(circles[i].center, circles[j].center);
+        if (depth > 0) breakdown.overlap += (depth / Math.min(circles[i].r, circles[j].r)) * 3;
+      }
     }
-    
-    if (plantFilter.edibility === 'edible' && 
-        !p.functions.includes('food') && 
-        !p.functions.includes('cash crop')) {
-      return false;
+
+    PlacementRuleUtils.evaluate(all, grid, origin).forEach(r => {
+      if (!r.pass) breakdown.rules += this.RULE_WEIGHTS[r.severity] || 1;
+    });
+
+    const total = Object.entries(breakdown).reduce((sum, [key, value]) => sum + value * this.WEIGHTS[key], 0);
+    return { total, breakdown };
+  },
+
+  anneal: function(start, context, random) {
+    let current = start.map(item => ({ ...item }));
+    let currentScore = this.score(current, context);
+    let best = current;
+    let bestScore = currentScore;
+    const cooling = Math.pow(this.END_TEMPERATURE / this.START_TEMPERATURE, 1 / this.ITERATIONS);
+    let temperature = this.START_TEMPERATURE;
+
+    for (let step = 0; step < this.ITERATIONS; step++) {
+      const k = Math.floor(random() * current.length);
+      const item = current[k];
+      const moved = { ...item };
+      // Steps shrink from about the site size to a few metres as it cools
+      const reach = Math.max(2, context.siteSizeM * 0.3 * temperature / this.START_TEMPERATURE);
+      if (item.footprint && random() < 0.3) {
+        moved.scale = Math.min(1.4, Math.max(0.6, item.scale * (0.9 + random() * 0.2)));
+      } else {
+        moved.center = metersOffset(item.center[0], item.center[1], random() * 360, random() * reach);
+        // Centres never leave the boundary; edges crossing it are costed instead
+        if (!BoundaryUtils.isPointInBoundary(moved.center, context.boundary)) {
+          temperature *= cooling;
+          continue;
+        }
+      }
+      const candidate = current.map((c, i) => (i === k ? moved : c));
+      const candidateScore = this.score(candidate, context);
+      const delta = candidateScore.total - currentScore.total;
+      if (delta < 0 || random() < Math.exp(-delta / temperature)) {
+        current = candidate;
+        currentScore = candidateScore;
+        if (currentScore.total < bestScore.total) {
+          best = current;
+          bestScore = currentScore;
+        }
+      }
+      temperature *= cooling;
     }
-    
-    return true;
-  });
-  
-  return filteredPlants
-    .map(p => ({ ...p, score: p.functions.length }))
-    .sort((a, b) => b.score - a.score);
-}
+    return { items: best, score: bestScore };
+  },
 
-/* ----------------- Water management plans ----------------- */
-function waterManagement(env, siteInputs) {
-  const plans = [];
-  const floodRisk = siteInputs.floodRisk || 'medium';
+  // items: [{ base: element without geometry, footprint? (target size) }]
+  // → alternatives sorted best first: [{ rank, seed, elements, total, breakdown, outside }]
+  optimize: function(items, { fixed, origin, boundary, grid, topography, seed }) {
+    if (items.length === 0) return [];
+    const size = getBoundaryApproximateSize(boundary);
+    const tank = fixed.find(e => e.type === 'WATER_TANK');
+    const context = {
+      fixed: fixed.map(e => this.simplify(e)),
+      fixedCircles: fixed.map(e => this.footprint(e)),
+      tankZ: tank && grid ? DEMUtils.sampleGrid(grid, tank.position[0], tank.position[1]) : null,
+      water: fixed.filter(e => ['WATER_TANK', 'POND', 'POND_AREA'].includes(e.type)).map(e => this.simplify(e)),
+      origin,
+      boundary,
+      grid,
+      slopes: this.buildSlopeLookup(grid, topography),
+      siteSizeM: Math.max(size.width, size.height) * 111320
+    };
 
-  // Enhanced water harvesting calculations
-  const waterHarvesting = WaterManagementUtils.calculateWaterHarvestingPotential(env, siteInputs);
-  const swaleSpecs = WaterManagementUtils.calculateSwaleSpecifications(env.slopePercent, env.avgRainfallMm);
-  
-  plans.push({ 
-    name: `Water harvesting potential: ${waterHarvesting.total} ${waterHarvesting.units}/year`, 
-    why: `Roof: ${waterHarvesting.roofHarvest} ${waterHarvesting.units}, Land: ${waterHarvesting.landHarvest} ${waterHarvesting.units}` 
-  });
-  
-  plans.push({ 
-    name: `Swale design: ${swaleSpecs.spacing}m spacing, ${swaleSpecs.depth}m depth`, 
-    why: "Optimal for your slope and rainfall conditions" 
-  });
+    const alternatives = [];
+    for (let n = 0; n < this.ALTERNATIVES; n++) {
+      const runSeed = `${seed}-${n}`;
+      const random = createSeededRandom(runSeed);
+      const start = items.map(item => ({
+        ...item,
+        center: BoundaryUtils.generateRandomPointInBoundary(boundary, random),
+        scale: 1
+      }));
+      const { items: result, score } = this.anneal(start, context, random);
+      // Full-resolution outlines for the map
+      const elements = result.map(item => this.toElement(item, 36));
+      alternatives.push({
+        seed: runSeed,
+        elements,
+        total: parseFloat(score.total.toFixed(2)),
+        breakdown: Object.fromEntries(Object.entries(score.breakdown).map(([k, v]) => [k, parseFloat(v.toFixed(2))])),
+        outside: elements.filter(e => PlacementRuleUtils.getPoints(e).some(p => !BoundaryUtils.isPointInBoundary(p, boundary))).map(e => e.name)
+      });
+    }
 
-  // base practices
-  plans.push({ name: "Mulch + contour planting", why: "Reduce evaporation & slow runoff." });
+    return alternatives
+      .sort((a, b) => a.total - b.total)
+      .map((alt, i) => ({ ...alt, rank: i + 1 }));
+  }
+};
 
-  if (env.slopePercent >= 10) {
-    plans.push({ name: "Contour swales (0.5–1 m wide, 0.3 m deep) every 15–25 m", why: "Steep slopes need strong slowing." });
-    plans.push({ name: "Staggered contour trenches (SCI)", why: "Breaks sheet flow, increases infiltration." });
-  } else if (env.slopePercent >= 5) {
-    plans.push({ name: "Shallow swales every 25–40 m + percolation pits (1 m³) at low points", why: "Moderate slope — spread & sink." });
-  } else {
-    plans.push({ name: "Micro-catchments around trees (donut basins)", why: "Gentle slope — simple infiltration works." });
+/* ----------------- Auto-design ------------------
+   The whole auto-design as a pure function of the site, so the same seed and
+   inputs give the same layout, ids included. Existing elements are kept and
+   only missing types are added: house, tank on the high point, pond at the
+   low point, swales on contour, windbreak, microclimate targets, then the
+   optimizer for the rest. Returns { elements, alternatives }.
+-----------------------------------------------------*/
+function generateAutoDesign({ elements, boundary, marker, topography, demData, demGrid, hydrology, env, siteInputs, microclimate, microclimateTargets, seed }) {
+  const random = createSeededRandom(seed);
+  const nextId = createIdGenerator(seed, elementIds(elements));
+  const newElements = [...elements];
+  const boundarySize = getBoundaryApproximateSize(boundary);
+  const boundaryDiagonalM = Math.hypot(
+    boundarySize.height * 111320,
+    boundarySize.width * 111320 * Math.cos(marker[0] * Math.PI / 180)
+  );
+  const boundaryAreaM2 = BoundaryUtils.calculateArea(boundary);
+
+  // Zone areas as shares of the site, in the default footprint proportions
+  const zoneAreas = [
+    { type: 'VEGETABLE_GARDEN', zone: '1', share: 0.03 },
+    { type: 'FRUIT_ORCHARD', zone: '2', share: 0.12 },
+    { type: 'GRAIN_FIELD', zone: '3', share: 0.2 }
+  ].map(area => ({ ...area, footprint: FootprintUtils.withArea(FootprintUtils.getDefault(area.type), boundaryAreaM2 * area.share) }));
+
+  // PLACE HOUSE FIRST (if not exists)
+  if (!elements.some(e => e && e.type === 'HOUSE')) {
+    const housePoint = BoundaryUtils.generateRandomPointInBoundary(boundary, random);
+    newElements.push({
+      type: 'HOUSE',
+      position: housePoint,
+      name: 'House',
+      id: nextId()
+    });
   }
 
-  if (env.avgRainfallMm >= 2200) {
-    plans.push({ name: "Farm pond (400–1000 m²) with overflow to wetland", why: "Store excess monsoon water." });
-    plans.push({ name: "Spillways with vetiver hedges", why: "Stabilize overflow points." });
-  } else if (env.avgRainfallMm <= 1400) {
-    plans.push({ name: "Roof rainwater harvesting + lined tanks", why: "Low rainfall — store from roofs." });
-    plans.push({ name: "Drip irrigation + heavy mulch", why: "Efficient use of limited water." });
+  const housePos = newElements.find(e => e && e.type === 'HOUSE')?.position || marker;
+
+  // Find high points for water tank placement
+  const highPoints = DEMUtils.findHighPoints(topography, 20);
+  const boundaryHighPoints = BoundaryUtils.filterPointsInBoundary(highPoints, boundary);
+  
+  if (boundaryHighPoints.length > 0 && !elements.some(e => e && e.type === 'WATER_TANK')) {
+    const highestPoint = boundaryHighPoints.reduce((highest, point) => 
+      point.elevation > highest.elevation ? point : highest, boundaryHighPoints[0]);
+    
+    newElements.push({
+      type: 'WATER_TANK',
+      position: [highestPoint.lat, highestPoint.lng],
+      name: 'Water Tank',
+      id: nextId()
+    });
   }
 
-  if (env.soil.includes("alluvial")) {
-    plans.push({ name: "Raised beds + drainage furrows", why: "Avoid waterlogging in lowlands." });
-  } else if (env.soil.includes("lateritic")) {
-    plans.push({ name: "Keyline-inspired ripping (along key contour)", why: "Encourage lateral subsurface flow." });
+  // Find low points for pond placement
+  const lowPoints = DEMUtils.findLowPoints(topography, 20);
+  const boundaryLowPoints = BoundaryUtils.filterPointsInBoundary(lowPoints, boundary);
+  
+  if (boundaryLowPoints.length > 0 && !elements.some(e => e.type === 'POND_AREA')) {
+    const lowestPoint = boundaryLowPoints.reduce((lowest, point) => 
+      point.elevation < lowest.elevation ? point : lowest, boundaryLowPoints[0]);
+    
+    let pondFootprint = FootprintUtils.getDefault('POND_AREA');
+    let pondDepth = 2;
+
+    // Size the pond from its catchment and the dry-season irrigation draw
+    const pondCell = hydrology && DEMUtils.getGridCell(demGrid, lowestPoint.lat, lowestPoint.lng);
+    if (pondCell && siteInputs.irrigationDemand > 0) {
+      const mask = HydrologyUtils.getUpslopeMask(hydrology, [pondCell.index]);
+      const pondSize = WaterManagementUtils.recommendPondSize({
+        catchmentArea: mask.reduce((sum, v) => sum + v, 0) * hydrology.cellArea,
+        soil: siteInputs.soilType || sampleSoilAt(lowestPoint.lng, lowestPoint.lat),
+        dailyDemand: siteInputs.irrigationDemand
+      }, env);
+      if (pondSize) {
+        pondFootprint = FootprintUtils.withArea(pondFootprint, pondSize.surfaceArea);
+        pondDepth = pondSize.depth;
+      }
+    }
+
+    const pondPoints = FootprintUtils.build('POND_AREA', [lowestPoint.lat, lowestPoint.lng], pondFootprint).polygon;
+    
+    newElements.push({
+      type: 'POND_AREA',
+      polygon: pondPoints,
+      footprint: pondFootprint,
+      depth: pondDepth,
+      name: 'Pond Area',
+      id: nextId()
+    });
   }
 
-  // Flood risk additions
-  if (floodRisk === 'high') {
-    plans.push({ 
-      name: "Flood-tolerant species in low areas", 
-      why: "Use taro, water spinach, and pokkali rice" 
+  // PLACE SWALES (On contour lines, inside the boundary)
+  if (!elements.some(e => e.type === 'SWALE')) {
+    const candidates = [];
+    const contours = DEMUtils.generateContours(demData, 1);
+    
+    contours.forEach(contour => {
+      let best = null;
+      contour.lines.forEach(line => {
+        // Split each contour into runs that stay inside the boundary
+        let run = [];
+        const runs = [];
+        line.points.forEach(point => {
+          if (BoundaryUtils.isPointInBoundary(point, boundary)) {
+            run.push(point);
+          } else {
+            if (run.length > 2) runs.push(run);
+            run = [];
+          }
+        });
+        if (run.length > 2) runs.push(run);
+
+        runs.forEach(points => {
+          const length = calculatePathLength(points);
+          if (length >= 20 && (!best || length > best.length)) {
+            best = { points, length, level: contour.level };
+          }
+        });
+      });
+      if (best) candidates.push(best);
     });
-    plans.push({ 
-      name: "Elevated planting mounds", 
-      why: "Create 1m high mounds for sensitive plants" 
+    
+    // Spread up to 3 swales across the slope (levels at 1/4, 1/2, 3/4)
+    const picked = candidates.length <= 3
+      ? candidates
+      : [0.25, 0.5, 0.75].map(f => candidates[Math.floor(f * candidates.length)]);
+
+    picked.forEach((swale, i) => {
+      newElements.push({
+        type: 'SWALE',
+        points: swale.points,
+        name: `Swale at ${swale.level}m`,
+        id: nextId()
+      });
     });
   }
 
-  return plans;
-}
+  // PLACE WINDBREAK (upwind of the house, square across the storm wind sector)
+  if (!elements.some(e => e.type === 'WINDBREAK')) {
+    const shelterWind = SectorUtils.getShelterWind(siteInputs.sectors || [], siteInputs.windDirection);
+    const [startPoint, endPoint] = SectorUtils.suggestWindbreak(housePos, shelterWind, 40, boundaryDiagonalM * 0.3)
+      .map(p => BoundaryUtils.isPointInBoundary(p, boundary) ? p : BoundaryUtils.findClosestPointOnBoundary(p, boundary));
 
-/* ----------------- Timeline Generator ----------------- */
-const TimelineGenerator = React.memo(({ waterPlans, plantRecs }) => {
-  const phases = [
-    {
-      name: "Phase 1: Water (Months 1-3)",
-      tasks: [
-        "Excavate swales & ponds",
-        "Install rainwater harvesting",
-        ...waterPlans.filter(p => p.name.includes("swales") || p.name.includes("pond"))
-          .map(p => p.name)
-      ]
-    },
-    {
-      name: "Phase 2: Soil (Months 4-6)",
-      tasks: [
-        "Plant nitrogen-fixing cover crops",
-        "Apply compost/mulch",
-        "Prepare planting beds"
-      ]
-    },
-    {
-      name: "Phase 3: Perennials (Months 7-12)",
-      tasks: [
-        "Plant coconut/areca trees",
-        "Establish banana circles",
-        ...plantRecs.filter(p => ["Coconut", "Arecanut", "Jackfruit"].includes(p.name))
-          .map(p => `Plant ${p.name}`)
-      ]
+    if (calculateDistance(startPoint, endPoint) > 10) {
+      newElements.push({
+        type: 'WINDBREAK',
+        points: [startPoint, endPoint],
+        name: 'Windbreak',
+        id: nextId()
+      });
     }
-  ];
+  }
 
-  return (
-    <section style={{ marginBottom: 12 }}>
-      <b>Implementation Timeline</b>
-      {phases.map((phase, i) => (
-        <div key={i} style={{ marginTop: 10 }}>
-          <div style={{ fontWeight: 600 }}>{phase.name}</div>
-          <ul style={{ paddingLeft: 18, fontSize: 13 }}>
-            {phase.tasks.slice(0, 4).map((task, j) => (
-              <li key={j}>{task}</li>
-            ))}
-          </ul>
-        </div>
-      ))}
-    </section>
-  );
-});
 
-/* ----------------- Sun path (arc around marker) -----------------
-   We compute sun azimuth every 10 minutes for today from sunrise to sunset,
-   then draw a 1 km arc in those directions so you see morning/noon/evening.
-------------------------------------------------------------------*/
-function metersOffset(lat, lng, bearingDeg, distanceM) {
-  const R = 6378137; // earth radius
-  const brng = (bearingDeg * Math.PI) / 180;
-  const lat1 = (lat * Math.PI) / 180;
-  const lng1 = (lng * Math.PI) / 180;
+  // PLACE HERB SPIRAL and MANDALA GARDEN in their target microclimates
+  const untargeted = Object.fromEntries(Object.entries(microclimateTargets)
+    .filter(([type]) => !elements.some(e => e && e.type === type)));
+  if (microclimate && Object.keys(untargeted).length > 0) {
+    const { elements: placed } = MicroclimateUtils.placeTargets(newElements, microclimate, demGrid, untargeted, housePos, boundary, nextId);
+    newElements.splice(0, newElements.length, ...placed);
+  }
 
-  const lat2 = Math.asin(
-    Math.sin(lat1) * Math.cos(distanceM / R) +
-      Math.cos(lat1) * Math.sin(distanceM / R) * Math.cos(brng)
-  );
-  const lng2 =
-    lng1 +
-    Math.atan2(
-      Math.sin(brng) * Math.sin(distanceM / R) * Math.cos(lat1),
-      Math.cos(distanceM / R) - Math.sin(lat1) * Math.sin(lat2)
-    );
+  // Optimise positions (and garden sizes) of whatever is still missing
+  const optimizable = [
+    { type: 'COMPOST', name: 'Compost' },
+    { type: 'CHICKEN_COOP', name: 'Chicken Coop' },
+    { type: 'BEEHIVE', name: 'Beehive' },
+    { type: 'SHED', name: 'Tool Shed' },
+    ...zoneAreas.map(area => ({ type: area.type, name: ELEMENT_TYPES[area.type].name, footprint: area.footprint }))
+  ]
+    .filter(item => !elements.some(e => e && e.type === item.type))
+    .map(({ type, name, footprint }) => ({ base: { type, name, id: nextId() }, footprint }));
+
+  const alternatives = LayoutOptimizer.optimize(optimizable, {
+    fixed: newElements.filter(Boolean),
+    origin: housePos,
+    boundary,
+    grid: demGrid,
+    topography,
+    seed
+  });
+  if (alternatives.length > 0) newElements.push(...alternatives[0].elements);
 
-  return [ (lat2 * 180) / Math.PI, (lng2 * 180) / Math.PI ];
+  return { elements: newElements, alternatives };
 }
 
-function buildSunArc(lat, lng, date = new Date()) {
-  const times = SunCalc.getTimes(date, lat, lng);
-  const start = times.sunrise;
-  const end = times.sunset;
-  if (!start || !end) return [];
+/* ----------------- Drawn shapes ------------------
+   Leaflet-draw layers → element geometry for an ELEMENT_TYPES geometry kind
+   ('point', 'line' or 'polygon'). Null when the shape can't serve as that
+   kind, e.g. a marker drawn for a swale.
+-----------------------------------------------------*/
+function drawnLayerGeometry(layer, geometry) {
+  const toPoint = (latlng) => [latlng.lat, latlng.lng];
 
-  const pts = [];
-  const stepMin = 10;
-  for (let t = +start; t <= +end; t += stepMin * 60 * 1000) {
-    const pos = SunCalc.getPosition(new Date(t), lat, lng);
-    const azimuthDeg = (pos.azimuth * 180) / Math.PI + 180; // convert to 0–360
-    pts.push(metersOffset(lat, lng, azimuthDeg, 1000)); // 1 km arc
+  if (layer instanceof L.Marker) {
+    return geometry === 'point' ? { position: toPoint(layer.getLatLng()) } : null;
   }
-  return pts;
+  if (layer instanceof L.Circle) {
+    const center = toPoint(layer.getLatLng());
+    if (geometry === 'point') return { position: center };
+    if (geometry === 'polygon') return { polygon: circlePolygon(center, layer.getRadius()) };
+    return null;
+  }
+  if (layer instanceof L.Polygon) {
+    if (geometry !== 'polygon') return null;
+    const ring = layer.getLatLngs()[0].map(toPoint);
+    ring.push(ring[0]);
+    return { polygon: ring };
+  }
+  if (layer instanceof L.Polyline) {
+    return geometry === 'line' ? { points: layer.getLatLngs().map(toPoint) } : null;
+  }
+  return null;
+}
+
+// Moves a drawn layer onto its element's geometry when code other than the
+// edit toolbar changed it. False when the layer can't take the new shape,
+// e.g. a circle whose footprint polygon was replaced.
+function syncDrawnLayer(layer, element) {
+  const geometry = ELEMENT_TYPES[element.type].geometry;
+  const wanted = geometry === 'point' ? { position: element.position }
+    : geometry === 'line' ? { points: element.points }
+    : { polygon: element.polygon };
+  if (JSON.stringify(drawnLayerGeometry(layer, geometry)) === JSON.stringify(wanted)) return true;
+  const toLatLng = ([lat, lng]) => L.latLng(lat, lng);
+
+  if (geometry === 'point' && wanted.position && (layer instanceof L.Marker || layer instanceof L.Circle)) {
+    layer.setLatLng(toLatLng(wanted.position));
+    return true;
+  }
+  if (geometry === 'polygon' && wanted.polygon && layer instanceof L.Polygon) {
+    const ring = wanted.polygon.slice();
+    const [first, last] = [ring[0], ring[ring.length - 1]];
+    if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) ring.pop();
+    layer.setLatLngs(ring.map(toLatLng));
+    return true;
+  }
+  if (geometry === 'line' && wanted.points && layer instanceof L.Polyline && !(layer instanceof L.Polygon)) {
+    layer.setLatLngs(wanted.points.map(toLatLng));
+    return true;
+  }
+  return false;
 }
 
 /* ----------------- Map click handler ----------------- */
@@ -1723,6 +5812,17 @@ function MapClickHandler({ onClick }) {
   return null;
 }
 
+/* ----------------- Fit map to imported site ----------------- */
+function MapFitBounds({ bounds }) {
+  const map = useMap();
+  useEffect(() => {
+    if (bounds) {
+      map.fitBounds([[bounds.minLat, bounds.minLng], [bounds.maxLat, bounds.maxLng]], { padding: [20, 20] });
+    }
+  }, [map, bounds]);
+  return null;
+}
+
 function getCompanionBenefits(plantName) {
   const plant = PLANTS.find(p => p.name === plantName);
   if (!plant || !plant.companions) return null;
@@ -1788,14 +5888,16 @@ const PlantingCalendar = React.memo(({ plants, currentMonth }) => {
 });
 
 /* ----------------- Zone Planting Guide Component ----------------- */
+// Recommended plants whose planting location names the zone ("Zone 1" …)
+function plantsForZone(plants, zoneName) {
+  return plants.filter(p => p.plantingLocation && p.plantingLocation.includes(zoneName));
+}
+
 const ZonePlantingGuide = React.memo(({ plants, zones }) => {
   const zonePlants = {};
   
   zones.forEach(zone => {
-    zonePlants[zone.z] = plants.filter(p => {
-      if (!p.plantingLocation) return false;
-      return p.plantingLocation.includes(zone.z);
-    });
+    zonePlants[zone.z] = plantsForZone(plants, zone.z);
   });
 
   return (
@@ -1938,109 +6040,158 @@ const NativePlantEncyclopedia = React.memo(() => {
   );
 });
 
+/* ----------------- Sector Editor Component ----------------- */
+const SectorEditor = React.memo(({ sectors, onChange }) => {
+  const update = (id, changes) => onChange(sectors.map(s => s.id === id ? { ...s, ...changes } : s));
+
+  return (
+    <section>
+      {sectors.map(sector => (
+        <div key={sector.id} style={{
+          borderLeft: `4px solid ${SECTOR_TYPES[sector.type].color}`,
+          background: 'white',
+          padding: 6,
+          marginBottom: 6,
+          borderRadius: 4,
+          fontSize: 12
+        }}>
+          <div style={{ display: 'flex', gap: 5, marginBottom: 4 }}>
+            <select
+              value={sector.type}
+              onChange={e => update(sector.id, { type: e.target.value })}
+              style={{ flex: 1, padding: 3 }}
+            >
+              {Object.entries(SECTOR_TYPES).map(([key, type]) => (
+                <option key={key} value={key}>{type.icon} {type.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => onChange(sectors.filter(s => s.id !== sector.id))}
+              style={{ background: 'none', border: '1px solid #ccc', borderRadius: 4, cursor: 'pointer' }}
+            >
+              ✕
+            </button>
+          </div>
+          <label>From {sector.direction}° · {sector.spread}° wide</label>
+          <input
+            type="range"
+            min="0"
+            max="359"
+            value={sector.direction}
+            onChange={e => update(sector.id, { direction: parseInt(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+          <input
+            type="range"
+            min="10"
+            max="180"
+            value={sector.spread}
+            onChange={e => update(sector.id, { spread: parseInt(e.target.value) })}
+            style={{ width: '100%' }}
+          />
+          {(sector.type === 'WIND_PREVAILING' || sector.type === 'WIND_STORM') && (
+            <select
+              value={sector.season}
+              onChange={e => update(sector.id, { season: e.target.value })}
+              style={{ width: '100%', padding: 3 }}
+            >
+              {SECTOR_SEASONS.map(season => <option key={season} value={season}>{season}</option>)}
+            </select>
+          )}
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([
+          ...sectors,
+          { id: Date.now(), type: 'FIRE', direction: 0, spread: 45, season: SECTOR_SEASONS[0] }
+        ])}
+        style={{ width: '100%', padding: 6, background: '#e0e0e0', border: 'none', borderRadius: 4, cursor: 'pointer' }}
+      >
+        + Add Sector
+      </button>
+    </section>
+  );
+});
+
+/* ----------------- Layout Alternatives Component ----------------- */
+const LayoutAlternatives = React.memo(({ alternatives, activeRank, onApply }) => {
+  if (!alternatives || alternatives.length === 0) return null;
+  const labels = {
+    walking: 'Walking',
+    slope: 'Slope',
+    water: 'Water',
+    rules: 'Rules',
+    overlap: 'Overlap',
+    size: 'Size'
+  };
+
+  return (
+    <div style={{ background: "#f8f9fa", padding: "12px", borderRadius: "8px", marginBottom: "12px" }}>
+      <h4 style={{ margin: "0 0 8px 0" }}>🧮 Layout Alternatives</h4>
+      <div style={{ fontSize: "12px", color: "#666", marginBottom: "8px" }}>
+        Ranked by weighted cost (lower is better). Only elements added by auto-design are moved.
+      </div>
+      {alternatives.map(alt => (
+        <div key={alt.seed} style={{
+          background: "white",
+          borderRadius: "4px",
+          padding: "8px",
+          marginBottom: "6px",
+          borderLeft: `3px solid ${alt.rank === activeRank ? "#4caf50" : "#ccc"}`
+        }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <strong>#{alt.rank} · cost {alt.total}</strong>
+            <button
+              onClick={() => onApply(alt)}
+              disabled={alt.rank === activeRank}
+              style={{
+                background: alt.rank === activeRank ? "#e0e0e0" : "#4caf50",
+                color: alt.rank === activeRank ? "black" : "white",
+                border: "none",
+                padding: "4px 8px",
+                borderRadius: "4px",
+                cursor: alt.rank === activeRank ? "default" : "pointer"
+              }}
+            >
+              {alt.rank === activeRank ? 'Applied' : 'Apply'}
+            </button>
+          </div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "4px 10px", fontSize: "11px", marginTop: "4px" }}>
+            {Object.entries(alt.breakdown).map(([key, value]) => (
+              <span key={key}>{labels[key]}: {value}</span>
+            ))}
+          </div>
+          {alt.outside.length > 0 && (
+            <div style={{ fontSize: "11px", color: "#e74c3c", marginTop: "4px" }}>
+              Partly outside the boundary: {alt.outside.join(', ')}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+});
+
 /* ----------------- Element Placement Feedback Component ----------------- */
-const ElementPlacementFeedback = React.memo(({ elements, marker, zones, siteInputs, topography }) => {
+const ElementPlacementFeedback = React.memo(({ elements, marker, siteInputs, ruleResults }) => {
   const [feedback, setFeedback] = useState([]);
 
   useEffect(() => {
     const newFeedback = [];
 
     // Guard clause for essential data
-    if (!elements || !marker || !topography) return;
-
-    const housePos = marker;
-
-    // Check water tank placement
-    const waterTanks = elements.filter(e => e && e.type === 'WATER_TANK');
-    waterTanks.forEach(tank => {
-      // Check if placed at high point for gravity irrigation
-      const tankElevation = topography.find(t =>
-        Math.abs(t.lat - tank.position[0]) < 0.001 &&
-        Math.abs(t.lng - tank.position[1]) < 0.001
-      )?.elevation;
-      const houseElevation = topography.find(t =>
-        Math.abs(t.lat - housePos[0]) < 0.001 &&
-        Math.abs(t.lng - housePos[1]) < 0.001
-      )?.elevation;
-
-      if (tankElevation && houseElevation && tankElevation < houseElevation) {
-        newFeedback.push({
-          type: 'warning',
-          message: 'Water tank is placed at lower elevation than house. For gravity irrigation, place it at a higher elevation.',
-          keralaTip: 'വീടിന് താഴെ ജലസംഭരണി സ്ഥാപിച്ചിരിക്കുന്നു. ഗുരുത്വാകർഷണ സിഞ്ചനത്തിനായി ഉയർന്ന സ്ഥലത്ത് സ്ഥാപിക്കുക.'
-        });
-      }
-
-      // Check distance from house
-      const distance = calculateDistance(tank.position, housePos);
-      if (distance > 100) {
-        newFeedback.push({
-          type: 'info',
-          message: 'Water tank is far from house. Consider placing it closer to reduce piping needs.',
-          keralaTip: 'ജലസംഭരണി വീടിൽ നിന്ന് വളരെ അകലെയാണ്. പൈപ്പ് ചെലവ് കുറയ്ക്കാൻ അടുത്തേക്ക് മാറ്റുക.'
-        });
-      }
-    });
-
-    // Check compost placement
-    const composts = elements.filter(e => e && e.type === 'COMPOST');
-    composts.forEach(compost => {
-      const distance = calculateDistance(compost.position, housePos);
-      if (distance > 50) {
-        newFeedback.push({
-          type: 'warning',
-          message: 'Compost is far from house. Place it closer to Zone 1 for easy access when processing kitchen waste.',
-          keralaTip: 'കമ്പോസ്റ്റ് വീടിൽ നിന്ന് വളരെ അകലെയാണ്. അടുക്കള മാലിന്യങ്ങൾ കൈകാര്യം ചെയ്യാൻ സൗകര്യപ്രദമായി സോൺ 1-ലേക്ക് മാറ്റുക.'
-        });
-      }
+    if (!elements || !marker || !ruleResults) return;
 
-      // Check if near garden
-      const gardens = elements.filter(e => e && e.type === 'VEGETABLE_GARDEN' || e.type === 'FRUIT_ORCHARD');
-      let nearGarden = false;
-      for (const garden of gardens) {
-        if (calculateDistance(compost.position, garden.position || garden.polygon[0]) < 30) {
-          nearGarden = true;
-          break;
-        }
-      }
-      if (!nearGarden) {
-        newFeedback.push({
-          type: 'info',
-          message: 'Compost is not near any garden. Place it closer to where you need the compost for easy application.',
-          keralaTip: 'കമ്പോസ്റ്റ് തോട്ടത്തിന് അരികെയില്ല. എളുപ്പത്തിൽ പ്രയോഗിക്കാൻ തോട്ടത്തിനടുത്തേക്ക് മാറ്റുക.'
-        });
-      }
-    });
+    const housePos = elements.find(e => e && e.type === 'HOUSE')?.position || marker;
 
-    // Check chicken coop placement
-    const coops = elements.filter(e => e && e.type === 'CHICKEN_COOP');
-    coops.forEach(coop => {
-      const distance = calculateDistance(coop.position, housePos);
-      if (distance < 20) {
-        newFeedback.push({
-          type: 'warning',
-          message: 'Chicken coop is very close to house. Consider moving it further to avoid odors and pests.',
-          keralaTip: 'കോഴിക്കൂട് വീടിന് വളരെ അടുത്താണ്. വാസനയും പ്രാണികളും ഒഴിവാക്കാൻ അകലെയാക്കുക.'
-        });
-      }
+    // Failed placement rules, most severe first
+    const order = Object.keys(PLACEMENT_SEVERITIES);
+    newFeedback.push(...ruleResults
+      .filter(r => !r.pass)
+      .sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity)));
 
-      // Check if near garden for manure access
-      const gardens = elements.filter(e => e && e.type === 'VEGETABLE_GARDEN' || e.type === 'FRUIT_ORCHARD');
-      let nearGarden = false;
-      for (const garden of gardens) {
-        if (calculateDistance(coop.position, garden.position || garden.polygon[0]) < 50) {
-          nearGarden = true;
-          break;
-        }
-      }
-      if (!nearGarden) {
-        newFeedback.push({
-          type: 'info',
-          message: 'Chicken coop is not near any garden. Place it closer to gardens for easy manure collection.',
-          keralaTip: 'കോഴിക്കൂട് തോട്ടങ്ങളിലൊന്നിന് അടുത്താണ്. മാലിന്യം എളുപ്പത്തിൽ ശേഖരിക്കാൻ തോട്ടത്തിനടുത്തേക്ക് മാറ്റുക.'
-        });
-      }
-    });
+    // Sector checks: windbreaks vs storm wind, firebreaks, flood path, screens
+    newFeedback.push(...SectorUtils.evaluatePlacement(elements, housePos, siteInputs.sectors || [], siteInputs.windDirection));
 
     // Check house placement (if exists)
     const houses = elements.filter(e => e && e.type === 'HOUSE');
@@ -2053,7 +6204,7 @@ const ElementPlacementFeedback = React.memo(({ elements, marker, zones, siteInpu
     }
 
     setFeedback(newFeedback);
-  }, [elements, marker, zones, siteInputs.windDirection, topography]);
+  }, [elements, marker, siteInputs.windDirection, siteInputs.sectors, ruleResults]);
 
   
   if (feedback.length === 0) {
@@ -2070,12 +6221,17 @@ const ElementPlacementFeedback = React.memo(({ elements, marker, zones, siteInpu
   return (
     <section style={{ marginBottom: 12 }}>
       <b>Element Placement Feedback</b>
+      {ruleResults && ruleResults.length > 0 && (
+        <span style={{ fontSize: 12, color: '#666' }}>
+          {' '}· {ruleResults.filter(r => r.pass).length} of {ruleResults.length} rule checks pass
+        </span>
+      )}
       <div style={{ maxHeight: '200px', overflowY: 'auto', marginTop: 8 }}>
         {feedback.map((item, index) => (
           <div key={index} style={{ 
             padding: 8, 
-            background: item.type === 'warning' ? '#fff3cd' : '#d1ecf1',
-            borderLeft: `4px solid ${item.type === 'warning' ? '#ffc107' : '#0dcaf0'}`,
+            background: (PLACEMENT_SEVERITIES[item.type] || PLACEMENT_SEVERITIES.info).background,
+            borderLeft: `4px solid ${(PLACEMENT_SEVERITIES[item.type] || PLACEMENT_SEVERITIES.info).border}`,
             marginBottom: 8,
             borderRadius: 4
           }}>
@@ -2108,6 +6264,53 @@ function calculateDistance(pos1, pos2) {
   return R * c;
 }
 
+// Vertex-average centre of a [[lat, lng], ...] ring (closing vertex ignored)
+function polygonCentroid(ring) {
+  const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+    ? ring.slice(0, -1)
+    : ring;
+  const sum = points.reduce((acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+// Area in m² of a [[lat, lng], ...] ring (local equirectangular projection)
+function calculatePolygonArea(ring) {
+  if (ring.length < 3) return 0;
+  const [lat0] = polygonCentroid(ring);
+  const mPerDegLat = 111320;
+  const mPerDegLng = 111320 * Math.cos(lat0 * Math.PI / 180);
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][1] * mPerDegLng) * (ring[i][0] * mPerDegLat) -
+            (ring[i][1] * mPerDegLng) * (ring[j][0] * mPerDegLat);
+  }
+  return Math.abs(area / 2);
+}
+
+// Resample a [[lat, lng], ...] polyline every `stepM` metres (vertices kept)
+function densifyPath(points, stepM) {
+  if (points.length < 2) return points;
+  const result = [points[0]];
+  for (let i = 1; i < points.length; i++) {
+    const [lat1, lng1] = points[i - 1];
+    const [lat2, lng2] = points[i];
+    const pieces = Math.max(1, Math.ceil(calculateDistance(points[i - 1], points[i]) / stepM));
+    for (let k = 1; k <= pieces; k++) {
+      result.push([lat1 + (lat2 - lat1) * k / pieces, lng1 + (lng2 - lng1) * k / pieces]);
+    }
+  }
+  return result;
+}
+
+// Length in metres of a [[lat, lng], ...] polyline
+function calculatePathLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += calculateDistance(points[i - 1], points[i]);
+  }
+  return length;
+}
+
 // Helper function to calculate angle between two points
 function calculateAngle(from, to) {
   const [lat1, lng1] = from;
@@ -2120,25 +6323,19 @@ function calculateAngle(from, to) {
 
 // Helper function to calculate the approximate "size" of the boundary based on its bounding box
 const getBoundaryApproximateSize = (boundaryGeoJson) => {
-  if (!boundaryGeoJson || boundaryGeoJson.type !== 'Feature' || boundaryGeoJson.geometry?.type !== 'Polygon' || !Array.isArray(boundaryGeoJson.geometry.coordinates) || boundaryGeoJson.geometry.coordinates.length === 0) {
+  const polygons = BoundaryUtils.getPolygons(boundaryGeoJson);
+  if (polygons.length === 0) {
     console.warn("Invalid boundary GeoJSON for size calculation.");
     return { width: 0.01, height: 0.01 }; // Return default small size if invalid
   }
 
-  const coords = boundaryGeoJson.geometry.coordinates[0]; // Get outer ring
-  if (coords.length < 3) {
+  if (polygons.every(rings => !rings[0] || rings[0].length < 3)) {
       console.warn("Boundary polygon has insufficient points.");
       return { width: 0.01, height: 0.01 };
   }
 
-  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
-
-  coords.forEach(([lng, lat]) => { // Note: GeoJSON order [lng, lat]
-    minLat = Math.min(minLat, lat);
-    maxLat = Math.max(maxLat, lat);
-    minLng = Math.min(minLng, lng);
-    maxLng = Math.max(maxLng, lng);
-  });
+  // Extent over all parts of a Polygon or MultiPolygon
+  const { minLat, maxLat, minLng, maxLng } = BoundaryUtils.getBounds(boundaryGeoJson);
 
   const width = maxLng - minLng;
   const height = maxLat - minLat;
@@ -2151,6 +6348,34 @@ const getBoundaryApproximateSize = (boundaryGeoJson) => {
 };
 
 /* ----------------- Element Placement Component ----------------- */
+// Number input that keeps what is typed (including an empty box) while it has
+// focus; valid positive values are committed as they are typed and the
+// formatted value comes back on blur
+const DimensionInput = React.memo(({ value, onCommit, style }) => {
+  const [text, setText] = useState(String(value));
+  const [editing, setEditing] = useState(false);
+
+  useEffect(() => {
+    if (!editing) setText(String(value));
+  }, [value, editing]);
+
+  return (
+    <input
+      type="number"
+      min="1"
+      value={text}
+      onFocus={() => setEditing(true)}
+      onChange={e => {
+        setText(e.target.value);
+        const number = parseFloat(e.target.value);
+        if (number > 0) onCommit(number);
+      }}
+      onBlur={() => setEditing(false)}
+      style={style}
+    />
+  );
+});
+
 const ElementPlacementTool = React.memo(({ 
   selectedElementType, 
   onSelectElementType, 
@@ -2158,8 +6383,18 @@ const ElementPlacementTool = React.memo(({
   onAutoDesign,
   isDesigning,
   onApplyPattern,
-  boundary
+  boundary,
+  footprint,
+  onFootprintChange,
+  drawTarget,
+  onDrawTargetChange,
+  onBoundaryChange
 }) => {
+  const geometry = selectedElementType && ELEMENT_TYPES[selectedElementType].geometry;
+  const boundaryPolygons = BoundaryUtils.getPolygons(boundary);
+  const smallButton = { padding: '2px 6px', fontSize: 11, border: 'none', borderRadius: 4, background: '#e0e0e0', cursor: 'pointer' };
+  const setDimension = (key, metres) => onFootprintChange({ ...footprint, [key]: metres });
+  const inputStyle = { width: 70, padding: 3, marginLeft: 4 };
   return (
     <section style={{ marginBottom: 12, padding: 10, background: '#f8f8f8', borderRadius: 8 }}>
       <h4 style={{ marginTop: 0 }}>Element Placement Tool</h4>
@@ -2188,6 +6423,50 @@ const ElementPlacementTool = React.memo(({
         </div>
       )}
       
+      <div style={{ marginBottom: 8 }}>
+        <label><b>Map drawing tools create:</b></label>
+        <select
+          value={drawTarget}
+          onChange={e => onDrawTargetChange(e.target.value)}
+          style={{ width: '100%', padding: 5, marginTop: 5 }}
+        >
+          <option value="BOUNDARY">📐 Site boundary</option>
+          <option value="BOUNDARY_PART" disabled={!boundary}>➕ Another boundary part (e.g. across a road)</option>
+          <option value="BOUNDARY_HOLE" disabled={!boundary}>➖ Excluded area inside the boundary</option>
+          {Object.entries(ELEMENT_TYPES).map(([key, element]) => (
+            <option key={key} value={key}>{element.icon} {element.name} ({element.geometry})</option>
+          ))}
+        </select>
+        {ELEMENT_TYPES[drawTarget] && (
+          <div style={{ fontSize: 12, color: '#666', marginTop: 4 }}>
+            Drawn shapes become {ELEMENT_TYPES[drawTarget].name} elements; edit or delete them with the same toolbar.
+          </div>
+        )}
+        {/* Multi-part boundaries are drawn from state, so the toolbar can't edit them */}
+        {boundary && (
+          <div style={{ fontSize: 12, marginTop: 6 }}>
+            {(boundaryPolygons.length > 1 || boundaryPolygons.some(rings => rings.length > 1)) &&
+              boundaryPolygons.map((rings, part) => (
+                <div key={part} style={{ marginBottom: 4 }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span>Part {part + 1}</span>
+                    <button onClick={() => onBoundaryChange(BoundaryUtils.removeRing(boundary, part))} style={smallButton}>Remove part</button>
+                  </div>
+                  {rings.slice(1).map((hole, i) => (
+                    <div key={i} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', paddingLeft: 12, marginTop: 2 }}>
+                      <span>Excluded area {i + 1}</span>
+                      <button onClick={() => onBoundaryChange(BoundaryUtils.removeRing(boundary, part, i))} style={smallButton}>Remove</button>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            <button onClick={() => onBoundaryChange(null)} style={{ ...smallButton, width: '100%', padding: 4 }}>
+              Clear boundary
+            </button>
+          </div>
+        )}
+      </div>
+
       <div style={{ marginBottom: 8 }}>
         <label><b>Select Element to Place:</b></label>
         <div style={{ display: 'flex', flexWrap: 'wrap', gap: 5, marginTop: 5 }}>
@@ -2253,6 +6532,49 @@ const ElementPlacementTool = React.memo(({
           <div style={{ fontSize: 12, color: '#666' }}>
             Malayalam: {ELEMENT_TYPES[selectedElementType].keralaName}
           </div>
+          {geometry === 'polygon' && footprint && (
+            <div style={{ fontSize: 13, marginTop: 8, display: 'flex', flexWrap: 'wrap', gap: 6, alignItems: 'center' }}>
+              <select
+                value={footprint.shape}
+                onChange={e => onFootprintChange(FootprintUtils.withArea(
+                  e.target.value === 'circle'
+                    ? { shape: 'circle', widthM: footprint.widthM }
+                    : { shape: 'rectangle', widthM: footprint.widthM, lengthM: footprint.lengthM || footprint.widthM },
+                  FootprintUtils.area(footprint)
+                ))}
+                style={{ padding: 3 }}
+              >
+                <option value="rectangle">Rectangle</option>
+                <option value="circle">Circle</option>
+              </select>
+              <label>
+                {footprint.shape === 'circle' ? 'Diameter' : 'Width'}
+                <DimensionInput value={parseFloat(footprint.widthM.toFixed(1))} onCommit={m => setDimension('widthM', m)} style={inputStyle} /> m
+              </label>
+              {footprint.shape === 'rectangle' && (
+                <label>
+                  Length
+                  <DimensionInput value={parseFloat(footprint.lengthM.toFixed(1))} onCommit={m => setDimension('lengthM', m)} style={inputStyle} /> m
+                </label>
+              )}
+              <label>
+                Area
+                <DimensionInput
+                  value={Math.round(FootprintUtils.area(footprint))}
+                  onCommit={area => onFootprintChange(FootprintUtils.withArea(footprint, area))}
+                  style={inputStyle}
+                /> m²
+              </label>
+            </div>
+          )}
+          {geometry === 'line' && footprint && (
+            <div style={{ fontSize: 13, marginTop: 8 }}>
+              <label>
+                Length
+                <DimensionInput value={Math.round(footprint.lengthM)} onCommit={m => setDimension('lengthM', m)} style={inputStyle} /> m
+              </label>
+            </div>
+          )}
         </div>
       )}
       
@@ -2309,9 +6631,10 @@ const TopographyLayer = React.memo(({ topography, visible }) => {
               weight: 0
             }}
           >
-            <Tooltip permanent>
+            <Tooltip>
               Elevation: {point.elevation.toFixed(1)}m<br />
-              {point.slope && `Slope: ${point.slope.toFixed(1)}%`}
+              {point.slope !== undefined && `Slope: ${point.slope.toFixed(1)}%`}<br />
+              {point.aspect >= 0 ? `Aspect: ${Math.round(point.aspect)}°` : 'Aspect: flat'}
             </Tooltip>
           </Circle>
         );
@@ -2321,23 +6644,31 @@ const TopographyLayer = React.memo(({ topography, visible }) => {
 });
 
 /* ----------------- Water Flow Visualization Component ----------------- */
-const WaterFlowLayer = React.memo(({ waterFlow, visible }) => {
+const WaterFlowLayer = React.memo(({ waterFlow, threshold, visible }) => {
   if (!visible || !waterFlow || waterFlow.length === 0) return null;
+
+  // Line weight grows with log(accumulation / threshold)
+  const maxAccumulation = Math.max(...waterFlow.map(s => s.accumulation));
+  const range = Math.log(Math.max(maxAccumulation, threshold * 1.01) / threshold);
   
   return (
     <>
-      {waterFlow.map((path, index) => (
+      {waterFlow.map((stream, index) => (
         <Polyline
           key={index}
-          positions={path.map(p => [p.lat, p.lng])}
+          positions={stream.points}
           pathOptions={{
-            color: '#3498db',
-            weight: 2,
-            opacity: 0.7,
-            dashArray: '5, 10'
+            color: '#1f78b4',
+            weight: 1.5 + 5 * Math.log(stream.accumulation / threshold) / range,
+            opacity: 0.8
           }}
         >
-          <Tooltip permanent>Water Flow Path</Tooltip>
+          <Tooltip sticky>
+            Drainage line<br />
+            Contributing area: {stream.accumulation >= 10000
+              ? `${(stream.accumulation / 10000).toFixed(2)} ha`
+              : `${Math.round(stream.accumulation)} m²`}
+          </Tooltip>
         </Polyline>
       ))}
     </>
@@ -2346,30 +6677,425 @@ const WaterFlowLayer = React.memo(({ waterFlow, visible }) => {
 
 /* ----------------- 3D Terrain Layer Component ----------------- */
 const Terrain3DLayer = React.memo(({ demData, visible }) => {
-  if (!visible || !demData || demData.length === 0) return null;
-  
-  // Create contour lines from DEM data
-  const contours = DEMUtils.generateContours(demData, 2);
+  const contours = useMemo(
+    () => (visible && demData && demData.length > 0 ? DEMUtils.generateContours(demData, 2) : []),
+    [demData, visible]
+  );
+
+  if (!visible || contours.length === 0) return null;
   
   return (
     <>
-      {contours.map((contour, index) => (
+      {contours.map((contour) => contour.lines.map((line, index) => (
         <Polyline
-          key={index}
-          positions={contour.points.map(p => [p.lat, p.lng])}
+          key={`${contour.level}-${index}`}
+          positions={line.points}
           pathOptions={{
             color: '#7f8c8d',
-            weight: 1,
+            // Every 10 m is an index contour
+            weight: contour.level % 10 === 0 ? 2 : 1,
             opacity: 0.6
           }}
         >
-          <Tooltip permanent>Contour: {contour.level}m</Tooltip>
+          <Tooltip sticky>Contour: {contour.level}m</Tooltip>
         </Polyline>
-      ))}
+      )))}
     </>
   );
 });
 
+/* ----------------- Catchment Analysis Component ----------------- */
+const CatchmentAnalysis = React.memo(({ catchment, pourPoint, env, ponds, isPicking, onStartPicking, onSelectPourPoint, onClear }) => {
+  const runoff = catchment ? WaterManagementUtils.calculateCatchmentRunoff(catchment.properties.areaM2, env) : null;
+  const pond = catchment ? WaterManagementUtils.calculatePondSizing(catchment.properties.areaM2, env) : null;
+
+  return (
+    <section style={{ marginBottom: 12 }}>
+      <button
+        onClick={onStartPicking}
+        style={{
+          background: isPicking ? '#f39c12' : '#2980b9',
+          color: 'white',
+          border: 'none',
+          padding: '8px 12px',
+          borderRadius: 4,
+          width: '100%',
+          cursor: 'pointer'
+        }}
+      >
+        {isPicking ? 'Click the map at the outlet…' : '📍 Pick Pour Point on Map'}
+      </button>
+
+      {ponds.length > 0 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 5, marginTop: 8 }}>
+          {ponds.map(p => (
+            <button
+              key={p.id}
+              onClick={() => onSelectPourPoint(p.center)}
+              style={{ fontSize: 12, background: '#e3f2fd', border: '1px solid #2980b9', borderRadius: 4, padding: '4px 8px', cursor: 'pointer' }}
+            >
+              {ELEMENT_TYPES[p.type].icon} {p.name}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {pourPoint && !catchment && (
+        <div style={{ fontSize: 12, color: '#e74c3c', marginTop: 8 }}>
+          The pour point is outside the terrain model. Pick a point inside your site.
+        </div>
+      )}
+
+      {catchment && (
+        <div style={{ marginTop: 10, fontSize: 14 }}>
+          <div><strong>Contributing area:</strong> {catchment.properties.areaM2.toLocaleString()} m² ({(catchment.properties.areaM2 / 10000).toFixed(2)} ha)</div>
+          <div><strong>Runoff coefficient:</strong> {runoff.coefficient} ({env.soil})</div>
+          <div><strong>Annual runoff:</strong> {runoff.annual.toLocaleString()} {runoff.units}</div>
+          <div><strong>{WaterManagementUtils.DESIGN_STORM_MM} mm storm runoff:</strong> {runoff.designStorm.toLocaleString()} {runoff.units}</div>
+          <div><strong>Pond to capture it:</strong> ~{pond.surfaceArea} m² surface × {pond.depth} m deep</div>
+          <button
+            onClick={onClear}
+            style={{ marginTop: 8, fontSize: 12, background: 'none', border: '1px solid #999', borderRadius: 4, padding: 4, width: '100%', cursor: 'pointer' }}
+          >
+            Clear Catchment
+          </button>
+        </div>
+      )}
+    </section>
+  );
+});
+
+/* ----------------- Rainwater Tank Sizing Component ----------------- */
+const RainwaterTankSizing = React.memo(({ sizing, tankCount, onApply }) => {
+  const maxReliability = 100;
+  const { curve, recommended } = sizing;
+
+  return (
+    <section>
+      <div style={{ fontSize: 13 }}>
+        Roof harvest ~{Math.round(sizing.annualHarvestL / 1000).toLocaleString()} m³/year
+        {tankCount > 1 && ` · shared across ${tankCount} tanks`}
+      </div>
+
+      <div style={{ fontWeight: 600, margin: '8px 0 4px', fontSize: 13 }}>Days demand met (%) by tank size (kL)</div>
+      <div style={{ display: 'flex', height: 70, alignItems: 'flex-end' }}>
+        {curve.map(point => (
+          <div key={point.capacityL} style={{ flex: 1, textAlign: 'center' }}>
+            <div
+              title={`${point.capacityL.toLocaleString()} L: ${point.reliability}% of days, ${point.volumetricReliability}% of volume`}
+              style={{
+                height: `${(point.reliability / maxReliability) * 50}px`,
+                background: point === recommended ? '#27ae60' : '#29b6f6',
+                margin: '0 1px',
+                position: 'relative'
+              }}
+            >
+              <span style={{ position: 'absolute', bottom: '100%', left: 0, right: 0, fontSize: 9 }}>{point.reliability}</span>
+            </div>
+            <div style={{ fontSize: 9 }}>{point.capacityL / 1000}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ marginTop: 8, fontSize: 14 }}>
+        <strong>Recommended:</strong> {recommended.capacityL.toLocaleString()} L per tank ({recommended.reliability}% of days)
+      </div>
+      {!sizing.reachesTarget && (
+        <div style={{ fontSize: 12, color: '#b45309' }}>
+          ⚠️ No tank reaches {sizing.target}% — the roof cannot collect enough. Add roof area or cut demand.
+        </div>
+      )}
+      {tankCount > 0 ? (
+        <button
+          onClick={() => onApply(recommended.capacityL)}
+          style={{ marginTop: 8, background: '#16a085', color: 'white', border: 'none', padding: '6px 10px', borderRadius: 4, width: '100%', cursor: 'pointer' }}
+        >
+          Apply to Water Tanks
+        </button>
+      ) : (
+        <div style={{ fontSize: 12, color: '#666', marginTop: 4 }}>Place a Water Tank to attach this size.</div>
+      )}
+    </section>
+  );
+});
+
+/* ----------------- Gravity Irrigation Component ----------------- */
+const IrrigationNetwork = React.memo(({ network, options, onOptionsChange }) => {
+  return (
+    <section>
+      <div style={{ display: 'flex', gap: 8, fontSize: 13 }}>
+        <label style={{ flex: 1 }}>
+          Pipe
+          <select
+            value={options.pipeId}
+            onChange={e => onOptionsChange({ ...options, pipeId: e.target.value })}
+            style={{ width: '100%', padding: 4 }}
+          >
+            {IrrigationUtils.PIPE_SIZES.map(p => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </label>
+        <label style={{ flex: 1 }}>
+          Tank stand (m)
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={options.standHeightM}
+            onChange={e => onOptionsChange({ ...options, standHeightM: parseFloat(e.target.value) || 0 })}
+            style={{ width: '100%', padding: 4 }}
+          />
+        </label>
+      </div>
+
+      {network.runs.length === 0 ? (
+        <div style={{ fontSize: 13, color: '#666', marginTop: 8 }}>
+          Place a Water Tank and at least one Vegetable Garden or Fruit Orchard.
+        </div>
+      ) : (
+        <>
+          {network.runs.map(run => (
+            <div key={run.id} style={{
+              padding: 8,
+              marginTop: 8,
+              background: 'white',
+              borderLeft: `4px solid ${run.adequate ? '#27ae60' : '#e74c3c'}`,
+              borderRadius: 4,
+              fontSize: 13
+            }}>
+              <div style={{ fontWeight: 600 }}>{run.tank} → {run.garden}</div>
+              <div>{run.length} m run · {run.staticHead} m head · {run.friction} m friction at {run.designFlow} L/min</div>
+              <div>Outlet pressure {run.residualHead} m · max {run.maxFlow} L/min at {IrrigationUtils.MIN_OUTLET_HEAD_M} m</div>
+              {run.blocked && (
+                <div style={{ color: '#e74c3c' }}>⚠️ Ground rises above the supply level on the way — water will not reach this garden by gravity.</div>
+              )}
+              {!run.blocked && !run.adequate && (
+                <div style={{ color: '#e74c3c' }}>
+                  ⚠️ Below {IrrigationUtils.MIN_OUTLET_HEAD_M} m pressure.
+                  {run.suggestedPipe ? ` Use ${run.suggestedPipe}.` : ' Raise the tank or add a pump.'}
+                </div>
+              )}
+            </div>
+          ))}
+
+          <div style={{ fontWeight: 600, margin: '10px 0 4px', fontSize: 13 }}>Bill of Materials</div>
+          <table style={{ width: '100%', fontSize: 12, borderCollapse: 'collapse' }}>
+            <tbody>
+              {network.billOfMaterials.map(row => (
+                <tr key={row.item} style={{ borderBottom: '1px solid #eee' }}>
+                  <td>{row.item}</td>
+                  <td style={{ textAlign: 'right' }}>{row.quantity} {row.unit}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </section>
+  );
+});
+
+/* ----------------- Drip Irrigation Component ----------------- */
+const DripIrrigation = React.memo(({ zones, design, onAssignCrop }) => {
+  const months = ['J','F','M','A','M','J','J','A','S','O','N','D'];
+
+  if (zones.length === 0) {
+    return (
+      <div style={{ fontSize: 13, color: '#666' }}>
+        Draw a Vegetable Garden or Fruit Orchard to lay out drip lines.
+      </div>
+    );
+  }
+
+  return (
+    <section style={{ fontSize: 13 }}>
+      {zones.map(zone => {
+        const result = design.zones.find(z => z.id === zone.id);
+        return (
+          <div key={zone.id} style={{ background: 'white', padding: 8, borderRadius: 4, marginBottom: 8 }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8 }}>
+              <strong>{zone.name}</strong>
+              <select
+                value={zone.crop || ''}
+                onChange={e => onAssignCrop(zone.id, e.target.value || null)}
+                style={{ padding: 3 }}
+              >
+                <option value="">Choose crop…</option>
+                {PLANTS.filter(p => DripUtils.parseSpacing(p.spacing)).map(p => (
+                  <option key={p.name} value={p.name}>{p.name} ({p.spacing})</option>
+                ))}
+              </select>
+            </div>
+            {result && (
+              <div style={{ marginTop: 4 }}>
+                {result.layout.laterals.length} laterals at {result.layout.lateralSpacing.toFixed(2)} m · {result.layout.lateralLength} m of 16 mm line
+                <br />
+                {result.layout.emitterCount.toLocaleString()} emitters × {result.layout.flowLph} L/h ({result.layout.perPlant} per plant, {result.layout.emitterSpacing.toFixed(2)} m apart)
+              </div>
+            )}
+          </div>
+        );
+      })}
+
+      {design.zones.length > 0 && (
+        <>
+          <div style={{ fontWeight: 600, margin: '8px 0 4px' }}>Irrigation schedule (L/day)</div>
+          <table style={{ width: '100%', fontSize: 11, borderCollapse: 'collapse', textAlign: 'right' }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Zone</th>
+                {months.map((m, i) => <th key={i}>{m}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {design.zones.map(z => (
+                <tr key={z.id} title={`Run time (min/day): ${z.runMinutes.join(', ')}`}>
+                  <td style={{ textAlign: 'left' }}>{z.name}</td>
+                  {z.schedule.map((l, i) => <td key={i}>{l}</td>)}
+                </tr>
+              ))}
+              <tr style={{ borderTop: '1px solid #ccc', fontWeight: 600 }}>
+                <td style={{ textAlign: 'left' }}>Total</td>
+                {design.totals.map((l, i) => <td key={i}>{l}</td>)}
+              </tr>
+              {design.coverage && (
+                <tr>
+                  <td style={{ textAlign: 'left' }}>Tank %</td>
+                  {design.coverage.map((pct, i) => (
+                    <td key={i} style={{ color: pct < 100 ? '#e74c3c' : '#27ae60' }}>{pct}</td>
+                  ))}
+                </tr>
+              )}
+            </tbody>
+          </table>
+          {!design.coverage && (
+            <div style={{ color: '#b45309', marginTop: 4 }}>⚠️ No water tank placed — the schedule has no storage to draw on.</div>
+          )}
+          {design.coverage && design.coverage.some(pct => pct < 100) && (
+            <div style={{ color: '#b45309', marginTop: 4 }}>
+              ⚠️ Tanks run short in {design.coverage.filter(pct => pct < 100).length} month(s). Add storage, draw from the pond, or mulch heavily to cut demand.
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+});
+
+/* ----------------- Pond Water Balance Component ----------------- */
+const PondWaterBalance = React.memo(({ analyses }) => {
+  const months = ['J','F','M','A','M','J','J','A','S','O','N','D'];
+  const monthNames = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+
+  if (analyses.length === 0) {
+    return (
+      <div style={{ fontSize: 13, color: '#666' }}>
+        No ponds placed yet. Draw a Pond Area or run Auto Design.
+      </div>
+    );
+  }
+
+  return (
+    <section>
+      {analyses.map(a => (
+        <div key={a.id} style={{ background: 'white', padding: 8, borderRadius: 4, marginBottom: 8, fontSize: 13 }}>
+          <div style={{ fontWeight: 600 }}>{a.name}</div>
+          <div>{a.surfaceArea} m² × {a.depth} m · holds {a.capacity.toLocaleString()} m³</div>
+          {a.depthLimited && (
+            <div style={{ color: '#b45309' }}>Too small to dig deeper with 1:2 sides — modelled at {a.depth} m.</div>
+          )}
+          <div>Catchment {a.catchmentArea.toLocaleString()} m² · Seepage {a.seepageRate} mm/day ({a.soil})</div>
+
+          <div style={{ fontWeight: 600, margin: '8px 0 4px' }}>Fill level by month (%)</div>
+          <div style={{ display: 'flex', height: 50, alignItems: 'flex-end' }}>
+            {a.months.map((m, i) => (
+              <div key={i} style={{ flex: 1, textAlign: 'center' }}>
+                <div
+                  title={`${monthNames[i]}: ${m.storage} m³${m.overflow ? `, ${m.overflow} m³ overflow` : ''}${m.deficit ? `, ${m.deficit} m³ short` : ''}`}
+                  style={{
+                    height: `${m.fillPercent * 0.4}px`,
+                    background: m.deficit > 0 ? '#e74c3c' : m.overflow > 0 ? '#1565c0' : '#29b6f6',
+                    margin: '0 2px'
+                  }}
+                />
+                <div style={{ fontSize: 10 }}>{months[i]}</div>
+              </div>
+            ))}
+          </div>
+
+          {a.overflowMonths.length > 0 && (
+            <div style={{ color: '#1565c0', marginTop: 4 }}>
+              Overflows in {a.overflowMonths.map(m => monthNames[m]).join(', ')} — route the spillway into swales.
+            </div>
+          )}
+          {a.dailyDemand > 0 && (
+            <div style={{ marginTop: 4 }}>
+              Meets {a.reliability}% of the {a.dailyDemand} m³/day dry-season draw
+              {a.deficit > 0 && <span style={{ color: '#e74c3c' }}> ({a.deficit.toLocaleString()} m³ short)</span>}
+            </div>
+          )}
+          {a.deficit > 0 && (
+            <div style={{ color: '#b45309', marginTop: 4 }}>
+              {a.recommended
+                ? `💡 Enlarge to ~${a.recommended.surfaceArea.toLocaleString()} m² × ${a.recommended.depth} m deep (${a.recommended.capacity.toLocaleString()} m³) to cover the dry season.`
+                : '⚠️ The catchment cannot supply this demand — reduce irrigation or add roof water and tanks.'}
+            </div>
+          )}
+        </div>
+      ))}
+    </section>
+  );
+});
+
+/* ----------------- Swale Analysis Component ----------------- */
+const SwaleAnalysis = React.memo(({ analyses }) => {
+  if (analyses.length === 0) {
+    return (
+      <div style={{ fontSize: 13, color: '#666' }}>
+        No swales placed yet. Add swales in the Design tab or run Auto Design.
+      </div>
+    );
+  }
+
+  return (
+    <section>
+      {analyses.map(a => (
+        <div key={a.id} style={{
+          padding: 8,
+          background: a.overtops ? '#fff3cd' : 'white',
+          borderLeft: `4px solid ${a.overtops ? '#ffc107' : '#16a085'}`,
+          marginBottom: 8,
+          borderRadius: 4,
+          fontSize: 13
+        }}>
+          <div style={{ fontWeight: 600 }}>{a.name}</div>
+          {a.partlyOutside && (
+            <div style={{ color: '#b45309' }}>
+              ⚠️ {a.coverage === 0
+                ? 'Outside the terrain model — no hydraulics available.'
+                : `Partly outside the terrain model — figures cover ${Math.round(a.coverage * 100)}% of its length.`}
+            </div>
+          )}
+          {a.coverage > 0 && (<>
+          <div>Length {a.length} m · Cross-section {a.crossSection} m² · Storage {a.volume} m³</div>
+          <div>Catchment {a.catchmentArea.toLocaleString()} m² · Holds a {isFinite(a.holdsMm) ? a.holdsMm : '∞'} mm storm</div>
+          {a.levelDrop > 0.1 && (
+            <div style={{ color: '#666' }}>Ground falls {a.levelDrop} m along the swale — it is off contour.</div>
+          )}
+          {a.overtops && (
+            <div style={{ color: '#b45309', marginTop: 4 }}>
+              ⚠️ Overtops in a {WaterManagementUtils.DESIGN_STORM_MM} mm storm ({a.stormRunoff} m³ runoff).
+              {" "}Build a stone-lined spillway at the berm low point ({a.spillway[0].toFixed(5)}, {a.spillway[1].toFixed(5)}).
+            </div>
+          )}
+          </>)}
+        </div>
+      ))}
+    </section>
+  );
+});
+
 /* ----------------- Soil Health Component ----------------- */
 const SoilHealthComponent = React.memo(({ recommendations }) => {
   if (!recommendations || recommendations.length === 0) return null;
@@ -2492,6 +7218,18 @@ const MapLegend = React.memo(() => {
             <div style={{ width: '20px', height: '3px', background: '#16a085', marginRight: '5px' }}></div>
             <span style={{ fontSize: '12px' }}>Swale</span>
           </div>
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '5px' }}>
+            <div style={{ width: '20px', height: '3px', background: '#6d4c41', marginRight: '5px' }}></div>
+            <span style={{ fontSize: '12px' }}>Keyline</span>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '5px' }}>
+            <div style={{ width: '20px', height: 0, borderTop: '2px dashed #a1887f', marginRight: '5px' }}></div>
+            <span style={{ fontSize: '12px' }}>Ripping Line</span>
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', marginBottom: '5px' }}>
+            <div style={{ width: '20px', height: '4px', background: '#795548', marginRight: '5px' }}></div>
+            <span style={{ fontSize: '12px' }}>Path</span>
+          </div>
           <div style={{ display: 'flex', alignItems: 'center', marginBottom: '5px' }}>
             <div style={{ width: '20px', height: '3px', background: '#3498db', marginRight: '5px', opacity: 0.7, dashArray: '5, 10' }}></div>
             <span style={{ fontSize: '12px' }}>Water Flow</span>
@@ -2511,17 +7249,22 @@ function App() {
     slopeOverride: null,
     floodRisk: 'medium',
     windDirection: 225,
+    sectors: DEFAULT_SECTORS,
     soilType: '',
     existingElements: [],
     waterSourceMode: null,
     roofArea: 100,
+    irrigationDemand: 2,
+    householdDemand: 500,
+    gardenIrrigation: 200,
     soilpH: 6.5,
     organicMatter: 2.5
   });
   
   const [plantFilter, setPlantFilter] = useState({
     function: '',
-    edibility: ''
+    edibility: '',
+    microclimate: ''
   });
   
   const [env, setEnv] = useState({
@@ -2536,7 +7279,7 @@ function App() {
     currentMonth: new Date().getMonth() + 1,
   });
   
-  const [sunArc, setSunArc] = useState([]);
+  const [sunDate, setSunDate] = useState(() => new Date().toISOString().slice(0, 10));
   const [floodRiskMap, setFloodRiskMap] = useState(null);
   const [waterSources, setWaterSources] = useState([]);
   const [currentTemplate, setCurrentTemplate] = useState(null);
@@ -2546,15 +7289,38 @@ function App() {
   const [selectedElementType, setSelectedElementType] = useState(null);
   const [demData, setDemData] = useState([]);
   const [topography, setTopography] = useState([]);
-  const [waterFlow, setWaterFlow] = useState([]);
+  const [demGrid, setDemGrid] = useState(null);
+  const [flowMethod, setFlowMethod] = useState('D8');
+  const [streamThresholdPercent, setStreamThresholdPercent] = useState(2);
+  const [pourPoint, setPourPoint] = useState(null);
+  const [isPickingPourPoint, setIsPickingPourPoint] = useState(false);
+  const [keylineOptions, setKeylineOptions] = useState({ spacingM: 5, count: 6, fallPercent: 0.5 });
+  const [irrigationOptions, setIrrigationOptions] = useState({ pipeId: '20', standHeightM: 2 });
   const [showTopography, setShowTopography] = useState(false);
   const [showWaterFlow, setShowWaterFlow] = useState(false);
   const [showTerrain3D, setShowTerrain3D] = useState(false);
+  const [showSectors, setShowSectors] = useState(true);
+  const [showSunPaths, setShowSunPaths] = useState(true);
+  const [showSunHours, setShowSunHours] = useState(false);
+  const [sunHoursMonth, setSunHoursMonth] = useState('annual');
+  const [sunSpot, setSunSpot] = useState(null);
+  const [isPickingSunSpot, setIsPickingSunSpot] = useState(false);
+  const [showMicroclimate, setShowMicroclimate] = useState(false);
+  const [microclimateTargets, setMicroclimateTargets] = useState({ HERB_SPIRAL: 'WARM_SLOPE', MANDALA_GARDEN: 'SHELTERED' });
   const [isDesigning, setIsDesigning] = useState(false);
+  const [footprintSpecs, setFootprintSpecs] = useState({});
+  const [drawTarget, setDrawTarget] = useState('BOUNDARY');
+  const [layoutAlternatives, setLayoutAlternatives] = useState([]);
+  const [activeAlternative, setActiveAlternative] = useState(null);
   const [activePattern, setActivePattern] = useState(null);
   const [patternPoints, setPatternPoints] = useState([]);
   const [soilRecommendations, setSoilRecommendations] = useState([]);
   const [boundary, setBoundary] = useState(null);
+  const [importedDEM, setImportedDEM] = useState(null);
+  const [demError, setDemError] = useState(null);
+  const [siteImport, setSiteImport] = useState(null);
+  const [fitBounds, setFitBounds] = useState(null);
+  const [designSeed, setDesignSeed] = useState(generateSeed);
   
   // New state for dashboard refinement
   const [activeTab, setActiveTab] = useState("site");
@@ -2588,15 +7354,84 @@ function App() {
       if (!cancelled) {
         setEnv((prev) => ({ ...prev, ...climate, climateSource: climate.source }));
       }
-    })();
-    return () => { cancelled = true; };
-  }, [env.lat, env.lng]);
+    })();
+    return () => { cancelled = true; };
+  }, [env.lat, env.lng]);
+
+  // The house anchors zones, sun paths and windbreaks; the farm marker until one is placed
+  const zoneOrigin = elements.find(e => e && e.type === 'HOUSE')?.position || marker;
+
+  // Seasonal sun paths rebuilt when the house moves or the picked date changes
+  const sunPaths = useMemo(() => {
+    const [year, month, day] = sunDate.split('-').map(Number);
+    const picked = year ? new Date(year, month - 1, day, 12) : new Date();
+    return buildSeasonalSunPaths(zoneOrigin[0], zoneOrigin[1], picked);
+  }, [zoneOrigin, sunDate]);
+
+  // Only orchards, cropped zones and windbreaks cast canopy shade; keying on
+  // them avoids re-tracing the sun every time another element moves
+  const canopyKey = JSON.stringify(elements
+    .filter(e => e && (e.type === 'FRUIT_ORCHARD' || e.type === 'WINDBREAK' || e.crop))
+    .map(e => ({ type: e.type, crop: e.crop, polygon: e.polygon, points: e.points })));
+
+  const shade = useMemo(() => {
+    if (!demGrid || (!showSunHours && !sunSpot && !showMicroclimate && !plantFilter.microclimate)) return null;
+    return ShadeUtils.computeSunHours(demGrid, JSON.parse(canopyKey), marker[0], marker[1]);
+  }, [demGrid, canopyKey, marker, showSunHours, sunSpot, showMicroclimate, plantFilter.microclimate]);
+
+  // Shelter is planned against the storm-wind sector; the slider edits it,
+  // and only sets the bare wind direction when no wind sector exists
+  const shelterWind = SectorUtils.getShelterWind(siteInputs.sectors || [], siteInputs.windDirection);
+  const setShelterWind = useCallback((direction) => {
+    setSiteInputs(prev => {
+      const sector = SectorUtils.getShelterSector(prev.sectors || []);
+      return sector
+        ? { ...prev, sectors: prev.sectors.map(s => (s === sector ? { ...s, direction } : s)) }
+        : { ...prev, windDirection: direction };
+    });
+  }, []);
+
+  // Shade joins the classification once it has been traced; until then
+  // classes come from terrain and wind alone
+  const microclimate = useMemo(() => MicroclimateUtils.classify(
+    demGrid,
+    topography,
+    shade,
+    shelterWind,
+    marker[0]
+  ), [demGrid, topography, shade, shelterWind, marker]);
+
+  const microclimateFeatures = useMemo(
+    () => (showMicroclimate && demGrid ? MicroclimateUtils.toFeatures(microclimate, demGrid, demGrid.cellSizeX * demGrid.cellSizeY) : null),
+    [showMicroclimate, microclimate, demGrid]
+  );
+
+  const sunHourCells = useMemo(() => {
+    if (!shade || !showSunHours) return [];
+    const values = sunHoursMonth === 'annual' ? shade.annual : shade.months[sunHoursMonth];
+    const { rows, cols, latStep, lngStep } = demGrid;
+    const cells = [];
+    for (let row = 0; row < rows; row += shade.stride) {
+      for (let col = 0; col < cols; col += shade.stride) {
+        if (isNaN(demGrid.elevations[row * cols + col])) continue;
+        const [lat, lng] = DEMUtils.getCellLatLng(demGrid, row, col);
+        const span = shade.stride - 0.5;
+        cells.push({
+          key: `${row}-${col}`,
+          hours: values[row * cols + col],
+          bounds: [[lat - latStep / 2, lng - lngStep / 2], [lat + latStep * span, lng + lngStep * span]]
+        });
+      }
+    }
+    return cells;
+  }, [shade, showSunHours, sunHoursMonth, demGrid]);
 
-  // rebuild sun arc when marker changes
-  useEffect(() => {
-    const arc = buildSunArc(marker[0], marker[1], new Date());
-    setSunArc(arc);
-  }, [marker]);
+  const sunSpotInfo = useMemo(() => {
+    if (!shade || !sunSpot) return null;
+    const light = ShadeUtils.sampleAt(shade, demGrid, sunSpot[0], sunSpot[1]);
+    if (!light) return { outside: true };
+    return { ...light, plants: recommendPlantsAt(env, plantFilter, light) };
+  }, [shade, sunSpot, demGrid, env, plantFilter]);
 
   // Update flood risk map
   useEffect(() => {
@@ -2611,17 +7446,47 @@ function App() {
     }
   }, [env]);
 
-  // Generate DEM data when marker or boundary changes
+  // Generate DEM data when marker, boundary or imported raster changes
   useEffect(() => {
-    const dem = DEMUtils.generateDEM(marker[0], marker[1], 0.05, boundary);
+    let dem = null;
+    if (importedDEM) {
+      try {
+        const bounds = DEMImportUtils.getSampleBounds(marker[0], marker[1], 0.05, boundary);
+        dem = DEMImportUtils.resampleToBounds(importedDEM.raster, bounds, 200, boundary);
+        if (dem.every(p => isNaN(p.elevation))) {
+          throw new Error("The elevation raster has no data inside the site");
+        }
+        setDemError(null);
+      } catch (error) {
+        console.warn("Falling back to synthetic terrain:", error);
+        setDemError(error.message);
+      }
+    }
+    if (!dem) {
+      dem = DEMUtils.generateDEM(marker[0], marker[1], 0.05, boundary, createSeededRandom(designSeed));
+    }
     setDemData(dem);
+
+    const grid = DEMUtils.buildGrid(dem);
+    setDemGrid(grid);
     
-    const topo = DEMUtils.calculateTopography(dem);
+    const topo = DEMUtils.calculateTopography(dem, grid);
     setTopography(topo);
-    
-    const flow = DEMUtils.calculateWaterFlow(topo);
-    setWaterFlow(flow);
-  }, [marker, boundary]);
+  }, [marker, boundary, importedDEM, designSeed]);
+
+  const handleDEMUpload = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const raster = await DEMImportUtils.readFile(file);
+      setImportedDEM({ name: file.name, raster });
+      setDemError(null);
+    } catch (error) {
+      console.error("Error reading elevation file:", error);
+      alert(`Could not read elevation file: ${error.message}`);
+    }
+    e.target.value = '';
+  }, []);
 
   // Update soil recommendations when inputs change
   useEffect(() => {
@@ -2629,8 +7494,35 @@ function App() {
     setSoilRecommendations(recommendations);
   }, [env, siteInputs]);
 
+  const moveMarker = useCallback(([lat, lng]) => {
+    setMarker([lat, lng]);
+    
+    const soilType = siteInputs.soilType || sampleSoilAt(lng, lat);
+    
+    setEnv((prev) => ({
+      ...prev,
+      lat,
+      lng,
+      soil: soilType,
+      watershed: sampleWatershedAt(lng, lat),
+      slopePercent: siteInputs.slopeOverride || fallbackSlope(lat),
+    }));
+  }, [siteInputs]);
+
   const onMapClick = useCallback((latlng) => {
     const { lat, lng } = latlng;
+
+    if (isPickingPourPoint) {
+      setPourPoint([lat, lng]);
+      setIsPickingPourPoint(false);
+      return;
+    }
+
+    if (isPickingSunSpot) {
+      setSunSpot([lat, lng]);
+      setIsPickingSunSpot(false);
+      return;
+    }
     
     if (selectedElementType) {
       const elementType = ELEMENT_TYPES[selectedElementType];
@@ -2640,19 +7532,11 @@ function App() {
         return;
       }
 
-      // Check if point is inside boundary
+      // Check if point is inside boundary (any part, outside holes)
       let isInsideBoundary = true;
       if (boundary) {
         try {
-          // Transform boundary for checking
-          let boundaryForUtils = null;
-          if (boundary.type === 'Feature' && boundary.geometry?.type === 'Polygon' && Array.isArray(boundary.geometry.coordinates) && boundary.geometry.coordinates.length > 0) {
-            const latLngCoords = boundary.geometry.coordinates[0].map(coord => [coord[1], coord[0]]);
-            boundaryForUtils = latLngCoords;
-          }
-          if (boundaryForUtils) {
-            isInsideBoundary = BoundaryUtils.isPointInBoundary([lat, lng], boundaryForUtils);
-          }
+          isInsideBoundary = BoundaryUtils.isPointInBoundary([lat, lng], boundary);
         } catch (error) {
           console.error("Error checking boundary:", error);
           alert("Error checking boundary. Please redraw the boundary or check its definition.");
@@ -2674,31 +7558,13 @@ function App() {
           name: elementType.name,
           id: Date.now()
         };
-      } else if (elementType.geometry === "polygon") {
-        // Create a circular polygon around the point
-        const radius = 0.002;
-        const polygonPoints = [];
-        for (let i = 0; i < 36; i++) {
-          const angle = (i * 10) * Math.PI / 180;
-          polygonPoints.push([lat + radius * Math.cos(angle), lng + radius * Math.sin(angle)]);
-        }
-        polygonPoints.push(polygonPoints[0]); // Close the polygon
-        newElement = {
-          type: selectedElementType,
-          polygon: polygonPoints,
-          name: elementType.name,
-          id: Date.now()
-        };
-      } else if (elementType.geometry === "line") {
-        // For line elements like swales, create a short line
-        const length = 0.003;
-        const points = [
-          [lat - length/2, lng - length/2],
-          [lat + length/2, lng + length/2]
-        ];
+      } else if (elementType.geometry === "polygon" || elementType.geometry === "line") {
+        // Shape sized in metres from the footprint chosen in the placement tool
+        const footprint = footprintSpecs[selectedElementType] || FootprintUtils.getDefault(selectedElementType);
         newElement = {
           type: selectedElementType,
-          points: points,
+          ...FootprintUtils.build(selectedElementType, [lat, lng], footprint),
+          footprint,
           name: elementType.name,
           id: Date.now()
         };
@@ -2714,18 +7580,7 @@ function App() {
     }
     
     // If no element selected, move the marker
-    setMarker([lat, lng]);
-    
-    const soilType = siteInputs.soilType || sampleSoilAt(lng, lat);
-    
-    setEnv((prev) => ({
-      ...prev,
-      lat,
-      lng,
-      soil: soilType,
-      watershed: sampleWatershedAt(lng, lat),
-      slopePercent: siteInputs.slopeOverride || fallbackSlope(lat),
-    }));
+    moveMarker([lat, lng]);
     
     if (siteInputs.waterSourceMode) {
       setWaterSources([...waterSources, {
@@ -2733,7 +7588,9 @@ function App() {
         position: [lat, lng]
       }]);
     }
-  }, [siteInputs, waterSources, selectedElementType, boundary]);
+  }, [siteInputs, waterSources, selectedElementType, footprintSpecs, boundary, isPickingPourPoint, isPickingSunSpot, moveMarker]);
+
+  const hydrology = useMemo(() => HydrologyUtils.analyze(demGrid, flowMethod), [demGrid, flowMethod]);
 
   const autoDesignLayout = useCallback(() => {
     if (!boundary) {
@@ -2744,230 +7601,65 @@ function App() {
     setIsDesigning(true);
     
     setTimeout(() => {
-      const newElements = [...elements];
-      const boundarySize = getBoundaryApproximateSize(boundary);
-      const boundaryDiagonal = Math.sqrt(boundarySize.width * boundarySize.width + boundarySize.height * boundarySize.height);
-      const baseElementSize = boundaryDiagonal * 0.1;
-
-      // Define zone areas with proportional sizes
-      const zoneAreas = [
-        { type: 'VEGETABLE_GARDEN', zone: '1', size: baseElementSize },
-        { type: 'FRUIT_ORCHARD', zone: '2', size: baseElementSize * 1.2 },
-        { type: 'GRAIN_FIELD', zone: '3', size: baseElementSize * 1.5 }
-      ];
-
-      // PLACE HOUSE FIRST (if not exists)
-      if (!elements.some(e => e && e.type === 'HOUSE')) {
-        const housePoint = BoundaryUtils.generateRandomPointInBoundary(boundary);
-        newElements.push({
-          type: 'HOUSE',
-          position: housePoint,
-          name: 'House',
-          id: Date.now()
-        });
+      const { elements: newElements, alternatives } = generateAutoDesign({
+        elements,
+        boundary,
+        marker,
+        topography,
+        demData,
+        demGrid,
+        hydrology,
+        env,
+        siteInputs,
+        microclimate,
+        microclimateTargets,
+        seed: designSeed
+      });
+      const house = newElements.find(e => e && e.type === 'HOUSE');
+      if (!elements.some(e => e && e.type === 'HOUSE') && house) {
         // Update marker to house position
-        setMarker(housePoint);
-      }
-
-      const housePos = elements.find(e => e.type === 'HOUSE')?.position || marker;
-
-      // Find high points for water tank placement
-      const highPoints = DEMUtils.findHighPoints(topography, 20);
-      const boundaryHighPoints = BoundaryUtils.filterPointsInBoundary(highPoints, boundary);
-      
-      if (boundaryHighPoints.length > 0 && !elements.some(e => e && e.type === 'WATER_TANK')) {
-        const highestPoint = boundaryHighPoints.reduce((highest, point) => 
-          point.elevation > highest.elevation ? point : highest, boundaryHighPoints[0]);
-        
-        newElements.push({
-          type: 'WATER_TANK',
-          position: [highestPoint.lat, highestPoint.lng],
-          name: 'Water Tank',
-          id: Date.now() + 1
-        });
-      }
-
-      // Find low points for pond placement
-      const lowPoints = DEMUtils.findLowPoints(topography, 20);
-      const boundaryLowPoints = BoundaryUtils.filterPointsInBoundary(lowPoints, boundary);
-      
-      if (boundaryLowPoints.length > 0 && !elements.some(e => e.type === 'POND_AREA')) {
-        const lowestPoint = boundaryLowPoints.reduce((lowest, point) => 
-          point.elevation < lowest.elevation ? point : lowest, boundaryLowPoints[0]);
-        
-        const pondRadius = baseElementSize * 0.8;
-        const pondPoints = [];
-        for (let i = 0; i < 36; i++) {
-          const angle = (i * 10) * Math.PI / 180;
-          pondPoints.push([
-            lowestPoint.lat + pondRadius * Math.cos(angle),
-            lowestPoint.lng + pondRadius * Math.sin(angle)
-          ]);
-        }
-        pondPoints.push(pondPoints[0]);
-        
-        newElements.push({
-          type: 'POND_AREA',
-          polygon: pondPoints,
-          name: 'Pond Area',
-          id: Date.now() + 2
-        });
-      }
-
-      // PLACE COMPOST (Zone 1, near house but not too close)
-      if (!elements.some(e => e && e.type === 'COMPOST')) {
-        const compostOffset = [0.0003, 0.0002]; // About 30-40m from house
-        const compostPos = [housePos[0] + compostOffset[0], housePos[1] + compostOffset[1]];
-        
-        if (BoundaryUtils.isPointInBoundary(compostPos, boundary)) {
-          newElements.push({
-            type: 'COMPOST',
-            position: compostPos,
-            name: 'Compost',
-            id: Date.now() + 3
-          });
-        }
+        setMarker(house.position);
       }
 
-      // PLACE CHICKEN COOP (Zone 1-2, near house for access but not too close)
-      if (!elements.some(e => e && e.type === 'CHICKEN_COOP')) {
-        const coopOffset = [0.0005, 0.0004]; // About 50-60m from house
-        const coopPos = [housePos[0] + coopOffset[0], housePos[1] + coopOffset[1]];
-        
-        if (BoundaryUtils.isPointInBoundary(coopPos, boundary)) {
-          newElements.push({
-            type: 'CHICKEN_COOP',
-            position: coopPos,
-            name: 'Chicken Coop',
-            id: Date.now() + 4
-          });
-        }
-      }
+      setLayoutAlternatives(alternatives);
+      setActiveAlternative(alternatives.length > 0 ? 1 : null);
 
-      // PLACE BEEHIVE (Near flowering areas/gardens)
-      if (!elements.some(e => e && e.type === 'BEEHIVE')) {
-        const beeOffset = [0.0004, -0.0003]; // About 40-50m from house
-        const beePos = [housePos[0] + beeOffset[0], housePos[1] + beeOffset[1]];
-        
-        if (BoundaryUtils.isPointInBoundary(beePos, boundary)) {
-          newElements.push({
-            type: 'BEEHIVE',
-            position: beePos,
-            name: 'Beehive',
-            id: Date.now() + 5
-          });
-        }
-      }
+      setElements(newElements);
+      setIsDesigning(false);
+    }, 2000);
+  }, [topography, siteInputs, marker, boundary, elements, demData, designSeed, demGrid, hydrology, env, microclimate, microclimateTargets]);
 
-      // PLACE TOOL SHED (Zone 0-1, very close to house)
-      if (!elements.some(e => e && e.type === 'SHED')) {
-        const shedOffset = [0.0001, 0.0002]; // About 10-20m from house
-        const shedPos = [housePos[0] + shedOffset[0], housePos[1] + shedOffset[1]];
-        
-        if (BoundaryUtils.isPointInBoundary(shedPos, boundary)) {
-          newElements.push({
-            type: 'SHED',
-            position: shedPos,
-            name: 'Tool Shed',
-            id: Date.now() + 6
-          });
-        }
-      }
+  // Swap the optimizer's elements for another ranked alternative
+  const applyAlternative = useCallback((alternative) => {
+    const ids = alternative.elements.map(e => e.id);
+    setElements(prev => [...prev.filter(e => !e || !ids.includes(e.id)), ...alternative.elements]);
+    setActiveAlternative(alternative.rank);
+  }, []);
 
-      // PLACE SWALES (Based on topography and contours)
-      if (!elements.some(e => e.type === 'SWALE')) {
-        const swaleLines = [];
-        const contours = DEMUtils.generateContours(demData, 1);
-        
-        contours.forEach(contour => {
-          if (contour.points.length > 5) {
-            // Take every 3rd point to create simplified swale lines
-            const simplifiedPoints = contour.points.filter((_, index) => index % 3 === 0);
-            if (simplifiedPoints.length > 2) {
-              // Check if points are within boundary
-              const validPoints = simplifiedPoints.filter(point => 
-                BoundaryUtils.isPointInBoundary([point.lat, point.lng], boundary)
-              );
-              
-              if (validPoints.length > 2) {
-                swaleLines.push({
-                  points: validPoints.map(p => [p.lat, p.lng]),
-                  name: `Swale at ${contour.level}m`,
-                  id: Date.now() + 7 + swaleLines.length
-                });
-              }
-            }
-          }
-        });
-        
-        // Add swales to elements (limit to 3 to avoid clutter)
-        swaleLines.slice(0, 3).forEach(swale => {
-          newElements.push({
-            type: 'SWALE',
-            points: swale.points,
-            name: swale.name,
-            id: swale.id
-          });
-        });
-      }
+  // Alternatives only stay on offer while the applied one is untouched; once
+  // an optimizer element is edited, moved or removed they would undo that work
+  useEffect(() => {
+    const active = layoutAlternatives.find(a => a.rank === activeAlternative);
+    if (active && !active.elements.every(el => elements.includes(el))) {
+      setLayoutAlternatives([]);
+      setActiveAlternative(null);
+    }
+  }, [elements, layoutAlternatives, activeAlternative]);
 
-      // PLACE WINDBREAK (On perimeter, perpendicular to wind direction)
-      if (!elements.some(e => e.type === 'WINDBREAK')) {
-      const windAngle = (siteInputs.windDirection + 90) * Math.PI / 180; // Perpendicular to wind
-      const windbreakLength = boundaryDiagonal * 0.3;
-  
-       const startPoint = BoundaryUtils.generateRandomPointInBoundary(boundary);
-      const endPoint = [
-      startPoint[0] + windbreakLength * Math.cos(windAngle),
-      startPoint[1] + windbreakLength * Math.sin(windAngle)
-      ];
-  
-    // Ensure end point is within boundary - use the new function
-    let adjustedEndPoint = endPoint;
-    if (!BoundaryUtils.isPointInBoundary(endPoint, boundary)) {
-    adjustedEndPoint = BoundaryUtils.findClosestPointOnBoundary(endPoint, boundary);
+  const placeInMicroclimates = useCallback(() => {
+    if (!microclimate) {
+      alert("Generate or import a terrain model first to map microclimates.");
+      return;
     }
-  
-   // Only create windbreak if we have valid points
-   if (BoundaryUtils.isPointInBoundary(startPoint, boundary) && 
-      BoundaryUtils.isPointInBoundary(adjustedEndPoint, boundary)) {
-      newElements.push({
-      type: 'WINDBREAK',
-      points: [startPoint, adjustedEndPoint],
-      name: 'Windbreak',
-      id: Date.now() + 8
-      });
+    const origin = elements.find(e => e && e.type === 'HOUSE')?.position || marker;
+    const { elements: placed, missing } = MicroclimateUtils.placeTargets(
+      elements, microclimate, demGrid, microclimateTargets, origin, boundary, createIdGenerator(`${designSeed}-microclimates`, elementIds(elements))
+    );
+    setElements(placed);
+    if (missing.length > 0) {
+      alert(`No ${missing.map(type => `${MICROCLIMATE_TYPES[microclimateTargets[type]].name.toLowerCase()} ground for the ${ELEMENT_TYPES[type].name}`).join(' or ')} inside the boundary.`);
     }
-  } 
-
-
-      // Add zone areas (gardens, orchards, fields)
-      zoneAreas.forEach(area => {
-        if (!elements.some(e => e && e.type === area.type)) {
-          const randomPoint = BoundaryUtils.generateRandomPointInBoundary(boundary);
-          const polygonPoints = [];
-          for (let i = 0; i < 36; i++) {
-            const angle = (i * 10) * Math.PI / 180;
-            polygonPoints.push([
-              randomPoint[0] + area.size * Math.cos(angle),
-              randomPoint[1] + area.size * Math.sin(angle)
-            ]);
-          }
-          polygonPoints.push(polygonPoints[0]);
-          
-          newElements.push({
-            type: area.type,
-            polygon: polygonPoints,
-            name: ELEMENT_TYPES[area.type].name,
-            id: Date.now() + 20 + Math.random() * 1000
-          });
-        }
-      });
-
-      setElements(newElements);
-      setIsDesigning(false);
-    }, 2000);
-  }, [topography, siteInputs.windDirection, marker, boundary, elements, demData]);
+  }, [elements, microclimate, demGrid, microclimateTargets, marker, boundary, designSeed]);
 
   const applyPattern = useCallback((patternType) => {
     let points;
@@ -2980,18 +7672,90 @@ function App() {
     setActivePattern(patternType);
   }, [marker]);
 
+  // EditControl keeps the first handlers it is given, so they stay stable
+  // and read the current drawing target and boundary through refs
+  const drawTargetRef = useRef(drawTarget);
+  drawTargetRef.current = drawTarget;
+  const boundaryRef = useRef(boundary);
+  boundaryRef.current = boundary;
+  const drawnItemsRef = useRef(null);
+
   const handleCreate = useCallback((e) => {
     const { layerType, layer } = e;
-    if (layerType === 'polygon') {
-      setBoundary(layer.toGeoJSON());
+    const target = drawTargetRef.current;
+
+    if (target.startsWith('BOUNDARY')) {
+      if (layerType !== 'polygon' && layerType !== 'rectangle') {
+        alert("Draw the site boundary with the polygon or rectangle tool.");
+        drawnItemsRef.current?.removeLayer(layer);
+        return;
+      }
+      const current = boundaryRef.current;
+      if (target === 'BOUNDARY' || !current) {
+        layer.isBoundary = true;
+        setBoundary({ ...layer.toGeoJSON(), properties: { drawn: true } });
+        return;
+      }
+
+      // Parts and holes make a multi-part boundary drawn from state instead
+      const ring = layer.toGeoJSON().geometry.coordinates[0];
+      const next = target === 'BOUNDARY_PART'
+        ? BoundaryUtils.addPart(current, ring)
+        : BoundaryUtils.addHole(current, ring);
+      const group = drawnItemsRef.current;
+      group?.removeLayer(layer);
+      if (!next) {
+        alert("Draw the excluded area wholly inside one boundary part, clear of other excluded areas.");
+        return;
+      }
+      group?.eachLayer(l => { if (l.isBoundary) group.removeLayer(l); });
+      setBoundary(next);
+      return;
+    }
+
+    const elementType = ELEMENT_TYPES[target];
+    const geometry = drawnLayerGeometry(layer, elementType.geometry);
+    if (!geometry) {
+      alert(`A ${layerType} can't be used as a ${elementType.name} — it needs a ${elementType.geometry === 'line' ? 'polyline' : elementType.geometry === 'point' ? 'marker' : 'polygon, rectangle or circle'}.`);
+      drawnItemsRef.current?.removeLayer(layer);
+      return;
+    }
+
+    const center = PlacementRuleUtils.getCenter(geometry);
+    if (!BoundaryUtils.isPointInBoundary(center, boundaryRef.current)) {
+      alert("This element would be placed outside your boundary. Please place it inside.");
+      drawnItemsRef.current?.removeLayer(layer);
+      return;
+    }
+
+    const id = Date.now();
+    layer.elementId = id;
+    if (layer instanceof L.Marker) {
+      layer.setIcon(L.divIcon({
+        className: 'element-marker',
+        html: `<div style="background:${elementType.color};color:white;border-radius:50%;width:28px;height:28px;display:flex;align-items:center;justify-content:center;font-size:14px;border:2px solid white;">${elementType.icon}</div>`
+      }));
+    } else {
+      layer.setStyle({ color: elementType.color, fillColor: elementType.color, fillOpacity: 0.4 });
     }
+    layer.bindTooltip(elementType.name, { permanent: true });
+    setElements(prev => [...prev, { type: target, ...geometry, name: elementType.name, id, drawn: true }]);
   }, []);
 
   const handleEdit = useCallback((e) => {
     const layers = e.layers;
     layers.eachLayer((layer) => {
-      if (layer instanceof L.Polygon) {
-        setBoundary(layer.toGeoJSON());
+      if (layer.elementId) {
+        setElements(prev => prev.map(el => {
+          if (!el || el.id !== layer.elementId) return el;
+          const geometry = drawnLayerGeometry(layer, ELEMENT_TYPES[el.type].geometry);
+          if (!geometry) return el;
+          // The drawn shape replaces any generated footprint
+          const { footprint, ...rest } = el;
+          return { ...rest, ...geometry };
+        }));
+      } else if (layer instanceof L.Polygon) {
+        setBoundary({ ...layer.toGeoJSON(), properties: { drawn: true } });
       }
     });
   }, []);
@@ -2999,14 +7763,244 @@ function App() {
   const handleDelete = useCallback((e) => {
     const layers = e.layers;
     layers.eachLayer((layer) => {
-      if (layer instanceof L.Polygon) {
+      if (layer.elementId) {
+        setElements(prev => prev.filter(el => !el || el.id !== layer.elementId));
+      } else if (layer instanceof L.Polygon) {
         setBoundary(null);
       }
     });
   }, []);
 
+  // Boundary edits from the side panel; any drawn boundary layer gives way to state
+  const replaceBoundary = useCallback((next) => {
+    const group = drawnItemsRef.current;
+    group?.eachLayer(l => { if (l.isBoundary) group.removeLayer(l); });
+    setBoundary(next);
+  }, []);
+
+  const handleSiteImport = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const collection = await SiteImportUtils.readFile(file);
+      const result = SiteImportUtils.classify(collection, {
+        boundary,
+        hasHouse: elements.some(el => el && el.type === 'HOUSE'),
+        nextId: createIdGenerator(`${designSeed}-import-${file.name}-${elements.length}`, elementIds(elements))
+      });
+      if (!result.boundary && result.elements.length === 0 && result.existing.length === 0) {
+        throw new Error("No boundary or recognisable site features found. Name features e.g. \"boundary\", \"pond\", \"coconut tree\" or \"house\".");
+      }
+
+      if (result.boundary) {
+        // The imported boundary replaces any drawn one and is rendered from state
+        const group = drawnItemsRef.current;
+        group?.eachLayer(l => { if (l.isBoundary) group.removeLayer(l); });
+        setBoundary(result.boundary);
+        moveMarker(BoundaryUtils.calculateCentroid(result.boundary));
+      }
+      if (result.elements.length) {
+        setElements(prev => [...prev, ...result.elements]);
+      }
+      if (result.boundary || result.elements.length) {
+        // Alternatives were optimised for the site before the import
+        setLayoutAlternatives([]);
+        setActiveAlternative(null);
+      }
+      if (result.existing.length) {
+        setSiteInputs(prev => ({
+          ...prev,
+          existingElements: [...new Set([...prev.existingElements, ...result.existing])]
+        }));
+      }
+      setFitBounds(BoundaryUtils.getBounds(result.boundary || boundary));
+      setSiteImport({ name: file.name, ...result });
+    } catch (error) {
+      console.error("Error importing site file:", error);
+      alert(`Could not import site file: ${error.message}`);
+    }
+    e.target.value = '';
+  }, [boundary, elements, moveMarker, designSeed]);
+
+  // Read an exported design back: its seed regenerates the same terrain, and
+  // Clear + Auto-Design on the restored site regenerates the same layout
+  const loadDesign = useCallback(async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    try {
+      const design = JSON.parse(await file.text());
+      if (typeof design.seed !== 'number') {
+        throw new Error("This is not an exported design (no seed).");
+      }
+      // Shapes come back from state, not as leaflet-draw layers
+      const group = drawnItemsRef.current;
+      group?.eachLayer(l => group.removeLayer(l));
+      const restore = (item) => {
+        if (!item) return item;
+        const { drawn, ...rest } = item;
+        return rest;
+      };
+
+      setDesignSeed(design.seed);
+      if (design.siteInputs) setSiteInputs(prev => ({ ...prev, ...design.siteInputs }));
+      setBoundary(design.boundary ? { ...design.boundary, properties: restore(design.boundary.properties || {}) } : null);
+      setElements((design.elements || []).filter(Boolean).map(restore));
+      setLayoutAlternatives([]);
+      setActiveAlternative(null);
+      const center = design.marker || (design.boundary && BoundaryUtils.calculateCentroid(design.boundary));
+      if (center) moveMarker(center);
+      if (design.boundary) setFitBounds(BoundaryUtils.getBounds(design.boundary));
+    } catch (error) {
+      console.error("Error loading design:", error);
+      alert(`Could not load design: ${error.message}`);
+    }
+    e.target.value = '';
+  }, [moveMarker]);
+
+  // Keep drawn layers in step with state: drop those whose element was removed
+  // elsewhere (clear, auto-design …) and move those whose geometry was changed
+  // by code (microclimate placement …). A layer that can't take the new shape
+  // is dropped and its element is rendered from state instead.
+  useEffect(() => {
+    const group = drawnItemsRef.current;
+    if (!group) return;
+    const byId = new Map(elements.filter(Boolean).map(el => [el.id, el]));
+    const detached = [];
+    group.eachLayer(layer => {
+      if (!layer.elementId) return;
+      const element = byId.get(layer.elementId);
+      if (element && syncDrawnLayer(layer, element)) return;
+      group.removeLayer(layer);
+      if (element) detached.push(element.id);
+    });
+    if (detached.length > 0) {
+      setElements(prev => prev.map(el => {
+        if (!el || !detached.includes(el.id)) return el;
+        const { drawn, ...rest } = el;
+        return rest;
+      }));
+    }
+  }, [elements]);
+
+  // Flow routing and drainage lines from the DEM grid
+  const streamThreshold = hydrology ? hydrology.maxAccumulation * streamThresholdPercent / 100 : 0;
+  const waterFlow = useMemo(
+    () => HydrologyUtils.extractStreams(hydrology, streamThreshold),
+    [hydrology, streamThreshold]
+  );
+  // Re-delineated whenever the terrain or routing method changes
+  const catchment = useMemo(
+    () => (pourPoint ? HydrologyUtils.delineateCatchment(hydrology, pourPoint[0], pourPoint[1]) : null),
+    [hydrology, pourPoint]
+  );
+
+  // Synthetic daily rain is seeded so tank sizes are reproducible
+  const dailyRainfall = useMemo(() => WaterManagementUtils.generateDailyRainfall(
+    env.monthlyRainfall || Array(12).fill((env.avgRainfallMm || 0) / 12),
+    createSeededRandom(designSeed)
+  ), [env.monthlyRainfall, env.avgRainfallMm, designSeed]);
+
+  // Roof area and demand are split evenly between the placed tanks
+  const tankCount = elements.filter(e => e && e.type === 'WATER_TANK').length;
+  const tankSizing = useMemo(() => {
+    const share = Math.max(1, tankCount);
+    return WaterManagementUtils.sizeRainwaterTank({
+      roofArea: siteInputs.roofArea / share,
+      householdLpd: siteInputs.householdDemand / share,
+      irrigationLpd: siteInputs.gardenIrrigation / share
+    }, dailyRainfall);
+  }, [tankCount, siteInputs.roofArea, siteInputs.householdDemand, siteInputs.gardenIrrigation, dailyRainfall]);
+
+  const applyTankSize = useCallback((capacityL) => {
+    setElements(prev => prev.map(e =>
+      e && e.type === 'WATER_TANK' ? { ...e, capacityL } : e
+    ));
+  }, []);
+
+  const irrigationNetwork = useMemo(
+    () => demGrid ? IrrigationUtils.designNetwork(elements, demGrid, irrigationOptions) : { runs: [], billOfMaterials: [] },
+    [elements, demGrid, irrigationOptions]
+  );
+
+  const dripDesign = useMemo(() => {
+    const tanks = elements.filter(e => e && e.type === 'WATER_TANK');
+    const tank = tanks.length > 0 ? {
+      capacityL: tanks.reduce((sum, t) => sum + (t.capacityL || tankSizing.recommended.capacityL), 0),
+      roofArea: siteInputs.roofArea,
+      householdLpd: siteInputs.householdDemand
+    } : null;
+    return DripUtils.designDrip(elements, demGrid, env, tank, dailyRainfall);
+  }, [elements, demGrid, env, tankSizing, siteInputs.roofArea, siteInputs.householdDemand, dailyRainfall]);
+
+  const assignCrop = useCallback((id, crop) => {
+    setElements(prev => prev.map(e => e && e.id === id ? { ...e, crop } : e));
+  }, []);
+
+  const pondAnalyses = useMemo(() => {
+    if (!demGrid || !hydrology) return [];
+    return elements
+      .filter(e => e && e.type === 'POND_AREA' && e.polygon)
+      .map(pond => WaterManagementUtils.analyzePond(pond, demGrid, hydrology, env, siteInputs))
+      .filter(Boolean);
+  }, [elements, demGrid, hydrology, env, siteInputs]);
+
+  const swaleAnalyses = useMemo(() => {
+    if (!demGrid || !hydrology) return [];
+    return elements
+      .filter(e => e && e.type === 'SWALE' && e.points && e.points.length > 1)
+      .map(swale => WaterManagementUtils.analyzeSwale(swale, demGrid, hydrology, env))
+      .filter(Boolean);
+  }, [elements, demGrid, hydrology, env]);
+
+  const generateKeylines = useCallback(() => {
+    const design = KeylineUtils.generateDesign(demGrid, waterFlow, boundary, {
+      ...keylineOptions,
+      nextId: createIdGenerator(`${designSeed}-keylines`,
+        elementIds(elements.filter(e => e && e.type !== 'KEYLINE' && e.type !== 'RIPPING_LINE')))
+    });
+    if (design.elements.length === 0) {
+      alert("No keypoint found. Lower the drainage threshold (Design tab → Water Flow) so more valleys are detected.");
+      return;
+    }
+    setElements(prev => [
+      ...prev.filter(e => e && e.type !== 'KEYLINE' && e.type !== 'RIPPING_LINE'),
+      ...design.elements
+    ]);
+  }, [demGrid, waterFlow, boundary, keylineOptions, designSeed, elements]);
+
+  const generateAccessPaths = useCallback(() => {
+    const others = elements.filter(e => e && e.type !== 'PATH');
+    if (!others.some(e => e.type === 'HOUSE')) {
+      alert("Place a House first — paths are routed from it.");
+      return;
+    }
+    const paths = AccessUtils.generatePaths(demGrid, topography, others, boundary, createIdGenerator(`${designSeed}-paths`, elementIds(others)));
+    if (paths.length === 0) {
+      alert("No paths could be routed. Place elements inside the terrain model and away from ponds.");
+      return;
+    }
+    setElements([...others, ...paths]);
+  }, [elements, demGrid, topography, boundary, designSeed]);
+
   const plantRecs = useMemo(() => recommendPlants(env, plantFilter), [env, plantFilter]);
-  const waterPlans = useMemo(() => waterManagement(env, siteInputs), [env, siteInputs]);
+
+  const placementResults = useMemo(
+    () => PlacementRuleUtils.evaluate(elements, demGrid, marker),
+    [elements, demGrid, marker]
+  );
+
+  // Elements failing a placement rule, with their messages, for the map
+  const placementViolations = useMemo(() => {
+    const byElement = new Map();
+    placementResults.filter(r => !r.pass).forEach(r => {
+      const element = elements.find(e => e && e.id === r.elementId);
+      if (!element) return;
+      if (!byElement.has(element)) byElement.set(element, []);
+      byElement.get(element).push(r);
+    });
+    return [...byElement.entries()].map(([element, results]) => ({ element, results }));
+  }, [placementResults, elements]);
+  const waterPlans = useMemo(() => waterManagement(env, siteInputs, catchment), [env, siteInputs, catchment]);
   const monsoonAdvisory = useMemo(() => 
     env.monthlyRainfall ? getMonsoonAdvisory(env.monthlyRainfall) : null,
     [env.monthlyRainfall]
@@ -3014,6 +8008,16 @@ function App() {
 
   const zones = currentTemplate?.zones || ZONES;
 
+  // Zones as walking-time isochrones from the house (or the farm marker)
+  // Only paths and ponds change walking times, so other edits keep the zones
+  const walkKey = JSON.stringify(elements
+    .filter(e => e && ((e.type === 'PATH' && e.points) || ((e.type === 'POND_AREA' || e.type === 'POND') && e.polygon)))
+    .map(e => ({ type: e.type, polygon: e.polygon, points: e.points })));
+  const zoneIsochrones = useMemo(
+    () => ZoneUtils.generateZones(demGrid, zoneOrigin, JSON.parse(walkKey), boundary, zones),
+    [demGrid, zoneOrigin, walkKey, boundary, zones]
+  );
+
   const soilStyle = (f) => ({
     color: f.properties.soil.includes("lateritic") ? "#B5651D" : "#2E8B57",
     weight: 2,
@@ -3023,6 +8027,8 @@ function App() {
 
   const exportJSON = useCallback(() => {
     const payload = {
+      seed: designSeed,
+      marker,
       env,
       plantRecommendations: plantRecs,
       waterPlans,
@@ -3032,14 +8038,32 @@ function App() {
       boundary
     };
     const txt = JSON.stringify(payload, null, 2);
-    const blob = new Blob([txt], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "kerala-perma-design.json";
-    a.click();
-    URL.revokeObjectURL(url);
-  }, [env, plantRecs, waterPlans, siteInputs, elements, topography, boundary]);
+    DesignExportUtils.download(txt, "kerala-perma-design.json", "application/json");
+  }, [env, plantRecs, waterPlans, siteInputs, elements, topography, boundary, designSeed, marker]);
+
+  // The same design as GeoJSON (QGIS), KML (Google Earth) or DXF (CAD)
+  const exportDesign = useCallback((format) => {
+    const collection = DesignExportUtils.toFeatureCollection(elements, {
+      boundary,
+      zoneIsochrones,
+      origin: zoneOrigin,
+      zones,
+      seed: designSeed,
+      recommendations: plantRecs
+    });
+    if (collection.features.length === 0) {
+      alert("Nothing to export yet. Draw a boundary or place elements first.");
+      return;
+    }
+    if (format === 'geojson') {
+      DesignExportUtils.download(JSON.stringify(collection, null, 2), "kerala-perma-design.geojson", "application/geo+json");
+    } else if (format === 'kml') {
+      DesignExportUtils.download(DesignExportUtils.toKML(collection), "kerala-perma-design.kml", "application/vnd.google-earth.kml+xml");
+    } else if (format === 'dxf') {
+      const origin = boundary ? BoundaryUtils.calculateCentroid(boundary) : marker;
+      DesignExportUtils.download(DesignExportUtils.toDXF(collection, origin), "kerala-perma-design.dxf", "application/dxf");
+    }
+  }, [elements, boundary, zoneIsochrones, zoneOrigin, zones, designSeed, marker, plantRecs]);
 
   const onElementDrag = useCallback((id, newPosition) => {
     // Only point elements can be dragged
@@ -3186,17 +8210,57 @@ function App() {
         </div>
 
         <div style={{ marginBottom: "10px" }}>
-          <label><strong>Wind Direction: {siteInputs.windDirection}°</strong></label>
+          <label><strong>Design Seed:</strong></label>
+          <div style={{ display: "flex", gap: "5px" }}>
+            <input
+              type="number"
+              value={designSeed}
+              onChange={e => setDesignSeed(parseInt(e.target.value) || 0)}
+              style={{ flex: 1, padding: "5px" }}
+            />
+            <button
+              onClick={() => setDesignSeed(generateSeed())}
+              title="New random seed"
+              style={{ border: "1px solid #ccc", background: "white", borderRadius: "4px", cursor: "pointer" }}
+            >
+              🎲
+            </button>
+          </div>
+          <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
+            Same seed + boundary regenerates the same terrain and auto-design. Saved in the export.
+          </div>
+          <label style={{ display: "block", fontSize: "12px", marginTop: "6px" }}>
+            Load exported design (.json):
+            <input
+              type="file"
+              accept=".json"
+              onChange={loadDesign}
+              style={{ width: "100%", fontSize: "12px" }}
+            />
+          </label>
+        </div>
+
+        <div style={{ marginBottom: "10px" }}>
+          {/* Edits the wind sector that windbreaks and shelter are planned against */}
+          <label><strong>Storm Wind Direction: {shelterWind}°</strong></label>
           <input
             type="range"
             min="0"
             max="360"
-            value={siteInputs.windDirection}
-            onChange={e => setSiteInputs({...siteInputs, windDirection: parseInt(e.target.value)})}
+            value={shelterWind}
+            onChange={e => setShelterWind(parseInt(e.target.value))}
             style={{ width: "100%" }}
           />
         </div>
 
+        <div style={{ marginBottom: "10px" }}>
+          <label><strong>🧭 Sectors</strong> (wind, fire, flood, views, noise)</label>
+          <SectorEditor
+            sectors={siteInputs.sectors}
+            onChange={sectors => setSiteInputs({...siteInputs, sectors})}
+          />
+        </div>
+
         <div style={{ marginBottom: "10px" }}>
           <label><strong>Soil Type:</strong></label>
           <select
@@ -3222,6 +8286,40 @@ function App() {
           />
         </div>
 
+        <div style={{ marginBottom: "10px" }}>
+          <label><strong>Household Water Use (L/day):</strong></label>
+          <input 
+            type="number" 
+            min="0"
+            value={siteInputs.householdDemand}
+            onChange={e => setSiteInputs({...siteInputs, householdDemand: parseInt(e.target.value) || 0})}
+            style={{ width: "100%", padding: "5px" }}
+          />
+        </div>
+
+        <div style={{ marginBottom: "10px" }}>
+          <label><strong>Garden Watering from Tank (L/day):</strong></label>
+          <input 
+            type="number" 
+            min="0"
+            value={siteInputs.gardenIrrigation}
+            onChange={e => setSiteInputs({...siteInputs, gardenIrrigation: parseInt(e.target.value) || 0})}
+            style={{ width: "100%", padding: "5px" }}
+          />
+        </div>
+
+        <div style={{ marginBottom: "10px" }}>
+          <label><strong>Dry-season Irrigation (m³/day):</strong></label>
+          <input 
+            type="number" 
+            step="0.5"
+            min="0"
+            value={siteInputs.irrigationDemand}
+            onChange={e => setSiteInputs({...siteInputs, irrigationDemand: parseFloat(e.target.value) || 0})}
+            style={{ width: "100%", padding: "5px" }}
+          />
+        </div>
+
         <div style={{ marginBottom: "10px" }}>
           <label><strong>Soil pH:</strong></label>
           <input 
@@ -3277,6 +8375,93 @@ function App() {
         </div>
       </div>
 
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>📂 Import Site Survey</h4>
+        <input
+          type="file"
+          accept=".kml,.gpx,.zip,.geojson,.json"
+          onChange={handleSiteImport}
+          style={{ width: "100%", fontSize: "12px" }}
+        />
+        {siteImport && (
+          <div style={{ fontSize: "12px", marginTop: "8px", padding: "6px", background: "#e8f5e9", borderRadius: "4px" }}>
+            <div><strong>{siteImport.name}</strong></div>
+            {siteImport.boundary && (
+              <div>
+                Boundary: {(BoundaryUtils.calculateArea(siteImport.boundary) / 10000).toFixed(2)} ha
+                {BoundaryUtils.getPolygons(siteImport.boundary).length > 1 && ` in ${BoundaryUtils.getPolygons(siteImport.boundary).length} parts`}
+              </div>
+            )}
+            {siteImport.elements.length > 0 && (
+              <div>
+                Elements:{" "}
+                {Object.entries(siteImport.elements.reduce((counts, el) => ({ ...counts, [el.type]: (counts[el.type] || 0) + 1 }), {}))
+                  .map(([type, count]) => `${ELEMENT_TYPES[type].icon} ${ELEMENT_TYPES[type].name} ×${count}`)
+                  .join(", ")}
+              </div>
+            )}
+            {siteImport.existing.length > 0 && (
+              <div>Existing: {siteImport.existing.join(", ")}</div>
+            )}
+            {(siteImport.outside > 0 || siteImport.skipped > 0) && (
+              <div style={{ color: "#666" }}>
+                {siteImport.outside > 0 && `${siteImport.outside} outside the boundary. `}
+                {siteImport.skipped > 0 && `${siteImport.skipped} unrecognised.`}
+              </div>
+            )}
+          </div>
+        )}
+        <div style={{ fontSize: "12px", color: "#666", marginTop: "6px" }}>
+          KML (Google Earth), GPX walks, zipped shapefiles or GeoJSON. Features are
+          recognised by name, e.g. "boundary", "pond", "coconut tree", "house", "shed", "path".
+        </div>
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>⛰️ Elevation Data</h4>
+        <div style={{ fontSize: "14px", marginBottom: "8px" }}>
+          <strong>Terrain Source:</strong> {importedDEM ? importedDEM.name : "Synthetic (no DEM loaded)"}
+        </div>
+        {importedDEM && (
+          <div style={{ fontSize: "12px", color: "#666", marginBottom: "8px" }}>
+            {importedDEM.raster.width} × {importedDEM.raster.height} cells,
+            {" "}{(importedDEM.raster.cellSizeLat * 3600).toFixed(1)}″ resolution
+          </div>
+        )}
+        {demError && (
+          <div style={{ fontSize: "12px", color: "#e74c3c", marginBottom: "8px", padding: "6px", background: "#ffeaea", borderRadius: "4px" }}>
+            {demError} — using synthetic terrain instead.
+          </div>
+        )}
+        <input
+          type="file"
+          accept=".tif,.tiff,.asc,.txt"
+          onChange={handleDEMUpload}
+          style={{ width: "100%", fontSize: "12px" }}
+        />
+        {importedDEM && (
+          <button
+            onClick={() => { setImportedDEM(null); setDemError(null); }}
+            style={{ marginTop: "8px", fontSize: "12px", background: "none", border: "1px solid #e74c3c", color: "#e74c3c", padding: "4px", width: "100%", borderRadius: "4px", cursor: "pointer" }}
+          >
+            Remove DEM (use synthetic terrain)
+          </button>
+        )}
+        <div style={{ fontSize: "12px", color: "#666", marginTop: "6px" }}>
+          GeoTIFF or ESRI ASCII grid (SRTM / Cartosat) in WGS84. Clipped and resampled to your boundary.
+        </div>
+      </div>
+
       <div style={{ 
         background: "#f8f9fa", 
         padding: "12px", 
@@ -3308,13 +8493,140 @@ function App() {
       <ElementPlacementTool 
         selectedElementType={selectedElementType}
         onSelectElementType={setSelectedElementType}
-        onClearElements={() => setElements([])}
+        onClearElements={() => {
+          setElements([]);
+          setLayoutAlternatives([]);
+          setActiveAlternative(null);
+        }}
         onAutoDesign={autoDesignLayout}
         isDesigning={isDesigning}
         onApplyPattern={applyPattern}
         boundary={boundary}
+        footprint={selectedElementType ? (footprintSpecs[selectedElementType] || FootprintUtils.getDefault(selectedElementType)) : null}
+        onFootprintChange={(spec) => setFootprintSpecs({ ...footprintSpecs, [selectedElementType]: spec })}
+        drawTarget={drawTarget}
+        onDrawTargetChange={setDrawTarget}
+        onBoundaryChange={replaceBoundary}
+      />
+
+      <LayoutAlternatives
+        alternatives={layoutAlternatives}
+        activeRank={activeAlternative}
+        onApply={applyAlternative}
       />
 
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🚶 Access Paths</h4>
+        <p style={{ fontSize: "12px", color: "#666", margin: "0 0 8px 0" }}>
+          Least-cost routes from the house to every element, avoiding steep ground and ponds.
+          Daily-visit zones are routed first and later paths join them.
+        </p>
+        <button
+          onClick={generateAccessPaths}
+          style={{
+            background: "#795548",
+            color: "white",
+            border: "none",
+            padding: "8px 12px",
+            borderRadius: "4px",
+            width: "100%",
+            cursor: "pointer"
+          }}
+        >
+          Generate Access Paths
+        </button>
+        {elements.filter(e => e && e.type === 'PATH').map(path => (
+          <div key={path.id} style={{ fontSize: "12px", marginTop: "6px" }}>
+            <strong>{path.name}</strong>: {path.length} m, max gradient {path.maxGradient}%
+            {path.maxGradient > 15 && <span style={{ color: "#e74c3c" }}> — needs steps or switchbacks</span>}
+          </div>
+        ))}
+      </div>
+
+      <div style={{ background: "#f8f9fa", padding: "12px", borderRadius: "8px", marginBottom: "12px" }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🌡️ Microclimates</h4>
+        {!microclimate ? (
+          <div style={{ fontSize: "12px", color: "#666" }}>
+            Generate or import a terrain model to classify slopes, hollows, ridges and shade.
+          </div>
+        ) : (
+          <>
+            {Object.entries(MICROCLIMATE_TYPES).filter(([key]) => microclimate.share[key] > 0).map(([key, type]) => (
+              <div key={key} style={{ fontSize: "12px", display: "flex", justifyContent: "space-between" }} title={type.description}>
+                <span>
+                  <span style={{ display: "inline-block", width: "10px", height: "10px", background: type.color, marginRight: "6px" }} />
+                  {type.icon} {type.name}
+                </span>
+                <span>{Math.round(microclimate.share[key] * 100)}%</span>
+              </div>
+            ))}
+            {!shade && (
+              <div style={{ fontSize: "11px", color: "#666", marginTop: "4px" }}>
+                Shaded ground appears once the map layer or a plant microclimate filter is on.
+              </div>
+            )}
+            {Object.keys(microclimateTargets).map(type => (
+              <div key={type} style={{ display: "flex", alignItems: "center", gap: "6px", fontSize: "13px", marginTop: "6px" }}>
+                <label style={{ flex: "0 0 110px" }}>{ELEMENT_TYPES[type].icon} {ELEMENT_TYPES[type].name}:</label>
+                <select
+                  value={microclimateTargets[type]}
+                  onChange={e => setMicroclimateTargets({ ...microclimateTargets, [type]: e.target.value })}
+                  style={{ flex: 1, padding: "3px" }}
+                >
+                  {Object.entries(MICROCLIMATE_TYPES).map(([key, climate]) => (
+                    <option key={key} value={key}>{climate.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+            <div style={{ display: "flex", gap: "6px", marginTop: "8px" }}>
+              <button
+                onClick={placeInMicroclimates}
+                style={{ flex: 1, background: "#8e44ad", color: "white", border: "none", padding: "8px 12px", borderRadius: "4px", cursor: "pointer" }}
+              >
+                Place in Target Microclimates
+              </button>
+              <button
+                onClick={() => setShowMicroclimate(!showMicroclimate)}
+                style={{
+                  flex: 1,
+                  background: showMicroclimate ? "#00897b" : "#e0e0e0",
+                  color: showMicroclimate ? "white" : "black",
+                  border: "none",
+                  padding: "8px 12px",
+                  borderRadius: "4px",
+                  cursor: "pointer"
+                }}
+              >
+                {showMicroclimate ? 'Hide' : 'Show'} on Map
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {zoneIsochrones && (
+        <div style={{ 
+          background: "#f8f9fa", 
+          padding: "12px", 
+          borderRadius: "8px", 
+          marginBottom: "12px" 
+        }}>
+          <h4 style={{ margin: "0 0 8px 0" }}>🎯 Zones by Walking Time</h4>
+          {zoneIsochrones.features.map(f => (
+            <div key={f.properties.zone} style={{ fontSize: "12px", display: "flex", justifyContent: "space-between" }}>
+              <span style={{ color: f.properties.color, fontWeight: 600 }}>{f.properties.zone}</span>
+              <span>≤ {f.properties.minutes} min · {(f.properties.areaM2 / 10000).toFixed(2)} ha</span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div style={{ 
         background: "#f8f9fa", 
         padding: "12px", 
@@ -3378,14 +8690,127 @@ function App() {
               >
                 {showTerrain3D ? 'Hide' : 'Show'} 3D Terrain
               </button>
+              <button
+                onClick={() => setShowSectors(!showSectors)}
+                style={{
+                  background: showSectors ? "#5c6bc0" : "#e0e0e0",
+                  color: showSectors ? "white" : "black",
+                  border: "none",
+                  padding: "8px 12px",
+                  borderRadius: "4px",
+                  flex: "1",
+                  cursor: "pointer",
+                  minWidth: "120px"
+                }}
+              >
+                {showSectors ? 'Hide' : 'Show'} Sectors
+              </button>
+              <button
+                onClick={() => setShowSunPaths(!showSunPaths)}
+                style={{
+                  background: showSunPaths ? "#ffa000" : "#e0e0e0",
+                  color: showSunPaths ? "white" : "black",
+                  border: "none",
+                  padding: "8px 12px",
+                  borderRadius: "4px",
+                  flex: "1",
+                  cursor: "pointer",
+                  minWidth: "120px"
+                }}
+              >
+                {showSunPaths ? 'Hide' : 'Show'} Sun Paths
+              </button>
+              <button
+                onClick={() => setShowSunHours(!showSunHours)}
+                disabled={!demGrid}
+                title={demGrid ? '' : 'Generate or import a terrain model first'}
+                style={{
+                  background: showSunHours ? "#f9a825" : "#e0e0e0",
+                  color: showSunHours ? "white" : "black",
+                  border: "none",
+                  padding: "8px 12px",
+                  borderRadius: "4px",
+                  flex: "1",
+                  cursor: demGrid ? "pointer" : "not-allowed",
+                  minWidth: "120px"
+                }}
+              >
+                {showSunHours ? 'Hide' : 'Show'} Sun Hours
+              </button>
             </div>
+
+            {showSunHours && shade && (
+              <div style={{ marginBottom: "10px", fontSize: "13px" }}>
+                <label><strong>Sun hours for:</strong></label>
+                <select
+                  value={sunHoursMonth}
+                  onChange={e => setSunHoursMonth(e.target.value === 'annual' ? 'annual' : Number(e.target.value))}
+                  style={{ marginLeft: "8px", padding: "3px" }}
+                >
+                  <option value="annual">Year average</option>
+                  {['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'].map((name, i) => (
+                    <option key={name} value={i}>{name}</option>
+                  ))}
+                </select>
+                <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
+                  Hours of direct sun per day after terrain, orchard and windbreak shade (clear sky). Dark cells get under 3 h, bright yellow over 6 h.
+                </div>
+              </div>
+            )}
+
+            {showSunPaths && (
+              <div style={{ marginBottom: "10px", fontSize: "13px" }}>
+                <label><strong>Sun path date:</strong></label>
+                <input
+                  type="date"
+                  value={sunDate}
+                  onChange={e => setSunDate(e.target.value)}
+                  style={{ marginLeft: "8px", padding: "3px" }}
+                />
+                <div style={{ fontSize: "12px", color: "#666", marginTop: "4px" }}>
+                  Solstice and equinox arcs are always shown. The closer an arc runs to the house, the higher the sun; red is low sun, yellow is high.
+                </div>
+              </div>
+            )}
+
+            {showWaterFlow && (
+              <div style={{ marginBottom: "10px", fontSize: "13px" }}>
+                <div style={{ display: "flex", gap: "10px", alignItems: "center", marginBottom: "6px" }}>
+                  <label><strong>Flow routing:</strong></label>
+                  <select
+                    value={flowMethod}
+                    onChange={e => setFlowMethod(e.target.value)}
+                    style={{ flex: 1, padding: "4px" }}
+                  >
+                    {Object.entries(FLOW_METHODS).map(([key, method]) => (
+                      <option key={key} value={key}>{method.name} — {method.description}</option>
+                    ))}
+                  </select>
+                </div>
+                <label>
+                  <strong>Drainage threshold:</strong> {streamThresholdPercent}% of max accumulation
+                  {" "}({Math.round(streamThreshold)} m² upslope)
+                </label>
+                <input
+                  type="range"
+                  min="0.5"
+                  max="25"
+                  step="0.5"
+                  value={streamThresholdPercent}
+                  onChange={e => setStreamThresholdPercent(parseFloat(e.target.value))}
+                  style={{ width: "100%" }}
+                />
+                <div style={{ fontSize: "12px", color: "#666" }}>
+                  {waterFlow.length} drainage lines. Lower the threshold to show smaller rills.
+                </div>
+              </div>
+            )}
             
             <ElementPlacementFeedback 
               elements={elements}
               marker={marker}
-              zones={zones}
               siteInputs={siteInputs}
-              topography={topography}
+              ruleResults={placementResults}
             />
           </div>
         )}
@@ -3433,6 +8858,19 @@ function App() {
                 <option value="">All Plants</option>
                 <option value="edible">Edible Only</option>
               </select>
+
+              <select
+                value={plantFilter.microclimate}
+                onChange={e => setPlantFilter({...plantFilter, microclimate: e.target.value})}
+                style={{ flex: "1 1 100%", minWidth: "120px", padding: "5px" }}
+              >
+                <option value="">Whole site</option>
+                {Object.entries(MICROCLIMATE_TYPES).map(([key, type]) => (
+                  <option key={key} value={key}>
+                    {type.icon} {type.name}{microclimate ? ` (${Math.round(microclimate.share[key] * 100)}% of site)` : ''}
+                  </option>
+                ))}
+              </select>
             </div>
 
             <div style={{ fontSize: "14px", marginBottom: "10px" }}>
@@ -3533,6 +8971,64 @@ function App() {
         {expandedSections.native && <NativePlantEncyclopedia />}
       </div>
 
+      <div style={{ background: "#f8f9fa", padding: "12px", borderRadius: "8px", marginBottom: "12px" }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🌤️ Plants for a Spot</h4>
+        {!demGrid ? (
+          <div style={{ fontSize: "12px", color: "#666" }}>
+            Generate or import a terrain model to see how much sun each spot gets after terrain and tree shade.
+          </div>
+        ) : (
+          <>
+            <button
+              onClick={() => setIsPickingSunSpot(!isPickingSunSpot)}
+              style={{
+                background: isPickingSunSpot ? "#f57f17" : "#e0e0e0",
+                color: isPickingSunSpot ? "white" : "black",
+                border: "none",
+                padding: "6px 10px",
+                borderRadius: "4px",
+                cursor: "pointer",
+                marginBottom: "8px"
+              }}
+            >
+              {isPickingSunSpot ? 'Click the map…' : sunSpot ? 'Pick another spot' : 'Pick a spot on the map'}
+            </button>
+            {sunSpotInfo && sunSpotInfo.outside && (
+              <div style={{ fontSize: "12px", color: "#c62828" }}>That spot is outside the terrain model.</div>
+            )}
+            {sunSpotInfo && !sunSpotInfo.outside && (
+              <div style={{ fontSize: "13px" }}>
+                <div>
+                  <strong>{sunSpotInfo.annual} h</strong> direct sun a day on average — {ShadeUtils.classify(sunSpotInfo.annual)}
+                  {' '}({Math.round(sunSpotInfo.fraction * 100)}% of open-sky daylight)
+                </div>
+                <div style={{ display: "flex", gap: "2px", alignItems: "flex-end", height: "40px", margin: "6px 0" }}>
+                  {sunSpotInfo.monthly.map((hours, i) => (
+                    <div
+                      key={i}
+                      title={`${['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'][i]}: ${hours} h`}
+                      style={{ flex: 1, height: `${Math.max(2, (hours / 13) * 100)}%`, background: sunHoursColor(hours) }}
+                    />
+                  ))}
+                </div>
+                <div style={{ marginBottom: "4px" }}><strong>Suited to this spot:</strong></div>
+                {sunSpotInfo.plants.length === 0 ? (
+                  <div style={{ fontSize: "12px", color: "#666" }}>No plants in the current filter suit this light.</div>
+                ) : (
+                  <div style={{ display: "flex", flexWrap: "wrap", gap: "4px" }}>
+                    {sunSpotInfo.plants.map(p => (
+                      <span key={p.name} title={p.sunlight} style={{ background: "#e8f5e9", padding: "2px 6px", borderRadius: "10px", fontSize: "12px" }}>
+                        {p.name}
+                      </span>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
       <CarbonSequestrationComponent plants={plantRecs} />
     </div>
   );
@@ -3568,6 +9064,139 @@ function App() {
           </div>
         )}
       </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🛢️ Rainwater Tank Sizing</h4>
+        <RainwaterTankSizing sizing={tankSizing} tankCount={tankCount} onApply={applyTankSize} />
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🚰 Gravity Irrigation</h4>
+        <IrrigationNetwork
+          network={irrigationNetwork}
+          options={irrigationOptions}
+          onOptionsChange={setIrrigationOptions}
+        />
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>💧 Drip Irrigation</h4>
+        <DripIrrigation
+          zones={elements.filter(e => e && (e.type === 'VEGETABLE_GARDEN' || e.type === 'FRUIT_ORCHARD') && e.polygon)}
+          design={dripDesign}
+          onAssignCrop={assignCrop}
+        />
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🏊 Pond Water Balance</h4>
+        <PondWaterBalance analyses={pondAnalyses} />
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🔻 Swale Analysis</h4>
+        <SwaleAnalysis analyses={swaleAnalyses} />
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>〰️ Keyline Design</h4>
+        <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: "8px", fontSize: "13px", marginBottom: "8px" }}>
+          <label>
+            Spacing (m)
+            <input
+              type="number"
+              min="1"
+              value={keylineOptions.spacingM}
+              onChange={e => setKeylineOptions({ ...keylineOptions, spacingM: parseFloat(e.target.value) || 5 })}
+              style={{ width: "100%", padding: "4px" }}
+            />
+          </label>
+          <label>
+            Lines each side
+            <input
+              type="number"
+              min="0"
+              max="30"
+              value={keylineOptions.count}
+              onChange={e => setKeylineOptions({ ...keylineOptions, count: parseInt(e.target.value) || 0 })}
+              style={{ width: "100%", padding: "4px" }}
+            />
+          </label>
+          <label>
+            Fall (%)
+            <input
+              type="number"
+              min="0.1"
+              max="2"
+              step="0.1"
+              value={keylineOptions.fallPercent}
+              onChange={e => setKeylineOptions({ ...keylineOptions, fallPercent: parseFloat(e.target.value) || 0.5 })}
+              style={{ width: "100%", padding: "4px" }}
+            />
+          </label>
+        </div>
+        <button
+          onClick={generateKeylines}
+          disabled={!demGrid}
+          style={{ background: "#6d4c41", color: "white", border: "none", padding: "8px 12px", borderRadius: "4px", width: "100%", cursor: "pointer" }}
+        >
+          Generate Keyline & Ripping Lines
+        </button>
+        <div style={{ fontSize: "12px", color: "#666", marginTop: "6px" }}>
+          Finds the keypoint of the main valley and traces the keyline falling gently towards the ridges.
+        </div>
+      </div>
+
+      <div style={{ 
+        background: "#f8f9fa", 
+        padding: "12px", 
+        borderRadius: "8px", 
+        marginBottom: "12px" 
+      }}>
+        <h4 style={{ margin: "0 0 8px 0" }}>🏞️ Catchment Analysis</h4>
+        <CatchmentAnalysis
+          catchment={catchment}
+          pourPoint={pourPoint}
+          env={env}
+          ponds={elements
+            .filter(e => e && (e.type === 'POND_AREA' || e.type === 'POND') && e.polygon)
+            .map(e => ({ ...e, center: polygonCentroid(e.polygon) }))}
+          isPicking={isPickingPourPoint}
+          onStartPicking={() => setIsPickingPourPoint(!isPickingPourPoint)}
+          onSelectPourPoint={setPourPoint}
+          onClear={() => setPourPoint(null)}
+        />
+      </div>
     </div>
   );
 
@@ -3681,6 +9310,27 @@ function App() {
           >
             Export Design JSON
           </button>
+          <div style={{ display: "flex", gap: "6px", marginTop: "6px" }}>
+            {[['geojson', 'GeoJSON'], ['kml', 'KML'], ['dxf', 'DXF']].map(([format, label]) => (
+              <button
+                key={format}
+                onClick={() => exportDesign(format)}
+                title={format === 'dxf' ? 'CAD drawing in metres, one layer per element type' : `${label} for GIS with type, zone, area and plants`}
+                style={{
+                  flex: 1,
+                  padding: "8px",
+                  background: "#fff",
+                  color: "#2d7a2d",
+                  border: "1px solid #2d7a2d",
+                  borderRadius: "6px",
+                  fontWeight: "bold",
+                  cursor: "pointer"
+                }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
 
           <div style={{ marginTop: "10px", fontSize: "12px", color: "#666" }}>
             Click the map to move your farm center. Zones, sun arc, soil & watershed update automatically.
@@ -3705,7 +9355,7 @@ function App() {
               maxZoom={22}
             />
             
-            <FeatureGroup>
+            <FeatureGroup ref={drawnItemsRef}>
               <EditControl
                 position="topright"
                 onCreated={handleCreate}
@@ -3722,11 +9372,82 @@ function App() {
               />
             </FeatureGroup>
 
+            {/* Multi-part boundaries and boundaries with holes */}
+            {boundary && !boundary.properties?.drawn && (
+              <GeoJSON
+                key={`boundary-${BoundaryUtils.calculateArea(boundary).toFixed(1)}-${BoundaryUtils.getPolygons(boundary).length}`}
+                data={boundary}
+                style={() => ({ color: '#3388ff', weight: 3, fillOpacity: 0.1 })}
+              />
+            )}
+
             {/* Enhanced Visualization Layers */}
             <TopographyLayer topography={topography} visible={showTopography} />
-            <WaterFlowLayer waterFlow={waterFlow} visible={showWaterFlow} />
+            <WaterFlowLayer waterFlow={waterFlow} threshold={streamThreshold} visible={showWaterFlow} />
             <Terrain3DLayer demData={demData} visible={showTerrain3D} />
 
+            {/* Delineated catchment */}
+            {catchment && (
+              <>
+                <GeoJSON
+                  key={`catchment-${catchment.properties.pourPoint.join(',')}-${catchment.properties.method}`}
+                  data={catchment}
+                  style={() => ({ color: '#0d47a1', weight: 2, fillColor: '#64b5f6', fillOpacity: 0.25 })}
+                />
+                <Circle
+                  center={catchment.properties.pourPoint}
+                  radius={4}
+                  pathOptions={{ color: '#0d47a1', fillColor: '#0d47a1', fillOpacity: 1 }}
+                >
+                  <Tooltip>Pour point — {(catchment.properties.areaM2 / 10000).toFixed(2)} ha catchment</Tooltip>
+                </Circle>
+              </>
+            )}
+
+            {/* Irrigation pipe runs */}
+            {irrigationNetwork.runs.map(run => (
+              <Polyline
+                key={`pipe-${run.id}`}
+                positions={run.points}
+                pathOptions={{ color: run.adequate ? '#2980b9' : '#e74c3c', weight: 2, dashArray: '2, 4' }}
+              >
+                <Tooltip sticky>{run.tank} → {run.garden}: {run.residualHead} m at outlet</Tooltip>
+              </Polyline>
+            ))}
+
+            {/* Drip laterals and emitters */}
+            {dripDesign.zones.map(zone => (
+              <React.Fragment key={`drip-${zone.id}`}>
+                {zone.layout.laterals.map((line, i) => (
+                  <Polyline
+                    key={`lateral-${zone.id}-${i}`}
+                    positions={line}
+                    pathOptions={{ color: '#1b5e20', weight: 1, opacity: 0.8 }}
+                  />
+                ))}
+                {zone.layout.emitters.map((point, i) => (
+                  <Circle
+                    key={`emitter-${zone.id}-${i}`}
+                    center={point}
+                    radius={0.3}
+                    pathOptions={{ color: '#0277bd', weight: 1, fillOpacity: 0.8 }}
+                  />
+                ))}
+              </React.Fragment>
+            ))}
+
+            {/* Swale spillways (only where the swale will overtop) */}
+            {swaleAnalyses.filter(a => a.overtops).map(a => (
+              <Circle
+                key={`spillway-${a.id}`}
+                center={a.spillway}
+                radius={3}
+                pathOptions={{ color: '#f39c12', fillColor: '#f39c12', fillOpacity: 0.9 }}
+              >
+                <Tooltip>Spillway for {a.name}</Tooltip>
+              </Circle>
+            ))}
+
             {/* Natural Patterns */}
             {activePattern && patternPoints.length > 0 && (
               <Polygon 
@@ -3765,8 +9486,21 @@ function App() {
               </GeoJSON>
             )}
 
-            {/* Zone rings with descriptions */}
-            {zones.map((z) => (
+            {/* Travel-time zones; plain rings until the terrain model is ready */}
+            {zoneIsochrones ? zoneIsochrones.features.map(f => (
+              <GeoJSON
+                key={`${f.properties.zone}-${f.properties.cumulativeAreaM2}-${zoneOrigin.join(',')}`}
+                data={f}
+                style={{ color: f.properties.color, weight: 2, fillOpacity: 0.1, fillColor: f.properties.color }}
+              >
+                <Tooltip sticky>
+                  <div style={{ fontWeight: 'bold' }}>{f.properties.zone}</div>
+                  <div style={{ fontSize: '10px' }}>
+                    {f.properties.description} · ≤ {f.properties.minutes} min walk · {(f.properties.areaM2 / 10000).toFixed(2)} ha
+                  </div>
+                </Tooltip>
+              </GeoJSON>
+            )) : zones.map((z) => (
               <Circle 
                 key={z.z} 
                 center={marker} 
@@ -3787,23 +9521,37 @@ function App() {
               </Circle>
             ))}
 
-            {/* Windbreak visualization */}
-            <Polyline 
-              positions={[
-                marker,
-                [
-                  marker[0] + 0.03 * Math.cos((siteInputs.windDirection - 90) * Math.PI / 180),
-                  marker[1] + 0.03 * Math.sin((siteInputs.windDirection - 90) * Math.PI / 180)
-                ],
-                [
-                  marker[0] + 0.03 * Math.cos((siteInputs.windDirection + 90) * Math.PI / 180),
-                  marker[1] + 0.03 * Math.sin((siteInputs.windDirection + 90) * Math.PI / 180)
-                ]
-              ]}
-              pathOptions={{ color: "#3f51b5", weight: 3 }}
-            >
-              <Tooltip>Windbreak Placement</Tooltip>
-            </Polyline>
+            {/* Sector wedges around the house */}
+            {showSectors && (siteInputs.sectors || []).map(sector => (
+              <Polygon
+                key={`sector-${sector.id}`}
+                positions={SectorUtils.buildWedge(zoneOrigin, sector)}
+                pathOptions={{
+                  color: SECTOR_TYPES[sector.type].color,
+                  fillColor: SECTOR_TYPES[sector.type].color,
+                  fillOpacity: 0.15,
+                  weight: 1
+                }}
+              >
+                <Tooltip permanent direction="center">
+                  {SECTOR_TYPES[sector.type].icon} {SECTOR_TYPES[sector.type].name}
+                  {sector.season && sector.type.startsWith('WIND') && sector.season !== SECTOR_SEASONS[0] ? ` · ${sector.season}` : ''}
+                </Tooltip>
+              </Polygon>
+            ))}
+
+            {/* Suggested windbreak: upwind of the house, square across the storm wind */}
+            {showSectors && (
+              <Polyline
+                positions={SectorUtils.suggestWindbreak(
+                  zoneOrigin,
+                  shelterWind
+                )}
+                pathOptions={{ color: "#3f51b5", weight: 3, dashArray: "8, 6" }}
+              >
+                <Tooltip>Windbreak Placement</Tooltip>
+              </Polyline>
+            )}
 
             {/* Water Sources */}
             {waterSources.map((source, i) => (
@@ -3838,7 +9586,8 @@ function App() {
 
             {/* Design Elements */}
             {elements.map((element, i) => {
-              if (!element) return null;
+              // Drawn shapes are shown (and edited) by the draw layer itself
+              if (!element || element.drawn) return null;
               
               if (element.position) {
                 // Render Marker for point elements
@@ -3867,6 +9616,12 @@ function App() {
                     <Popup>
                       <div style={{ fontWeight: 'bold' }}>{element.name}</div>
                       <div>{ELEMENT_TYPES[element.type]?.description || 'No description available'}</div>
+                      {element.type === 'WATER_TANK' && (
+                        <div style={{ marginTop: 4 }}>
+                          {element.capacityL && <div>Capacity: {element.capacityL.toLocaleString()} L</div>}
+                          <div>Recommended: {tankSizing.recommended.capacityL.toLocaleString()} L ({tankSizing.recommended.reliability}% of days)</div>
+                        </div>
+                      )}
                     </Popup>
                   </Marker>
                 );
@@ -3889,6 +9644,13 @@ function App() {
                     }}
                   >
                     <Tooltip permanent>{element.name}</Tooltip>
+                    <Popup>
+                      <div style={{ fontWeight: 'bold' }}>{element.name}</div>
+                      <div>{ELEMENT_TYPES[element.type]?.description || 'No description available'}</div>
+                      <div style={{ marginTop: 4 }}>
+                        {element.footprint && element.footprint.shape ? FootprintUtils.describe(element.footprint) : `${Math.round(calculatePolygonArea(element.polygon)).toLocaleString()} m²`}
+                      </div>
+                    </Popup>
                   </Polygon>
                 );
               } else if (element.points) {
@@ -3904,24 +9666,99 @@ function App() {
                     positions={element.points}
                     pathOptions={{
                       color: ELEMENT_TYPES[element.type]?.color || '#ccc',
-                      weight: element.type === 'SWALE' ? 4 : 3,
+                      weight: element.type === 'SWALE' ? 4 :
+                              element.type === 'RIPPING_LINE' ? 2 :
+                              element.type === 'PATH' ? 2 + element.width * 2 : 3,
+                      dashArray: element.type === 'RIPPING_LINE' ? '4, 6' : undefined,
                       opacity: 0.7
                     }}
                   >
-                    <Tooltip permanent>{element.name}</Tooltip>
+                    {/* Ripping lines and paths come in sets; label them on hover only */}
+                    {element.type === 'RIPPING_LINE' || element.type === 'PATH' ? (
+                      <Tooltip sticky>
+                        {element.name}
+                        {element.type === 'PATH' && ` — ${element.length} m, max ${element.maxGradient}%`}
+                      </Tooltip>
+                    ) : (
+                      <Tooltip permanent>{element.name}</Tooltip>
+                    )}
                   </Polyline>
                 );
               }
               return null;
             })}
 
-            {/* Sun arc (today) */}
-            {sunArc.length > 0 && (
-              <Polyline positions={sunArc} pathOptions={{ color: "#ffa000", weight: 2, dashArray: "6" }}>
-                <Tooltip permanent>Sun path (today)</Tooltip>
-              </Polyline>
+            {/* Elements breaking a placement rule */}
+            {placementViolations.map(({ element, results }) => {
+              const order = Object.keys(PLACEMENT_SEVERITIES);
+              const worst = results.reduce((a, b) => (order.indexOf(b.severity) < order.indexOf(a.severity) ? b : a));
+              const pathOptions = { color: PLACEMENT_SEVERITIES[worst.severity].border, weight: 3, dashArray: "4, 4", fill: false };
+              const tooltip = (
+                <Tooltip sticky>
+                  {results.map(r => <div key={r.ruleId} style={{ maxWidth: '240px', whiteSpace: 'normal' }}>⚠️ {r.message}</div>)}
+                </Tooltip>
+              );
+              if (element.position) {
+                return <Circle key={`rule-${element.id}`} center={element.position} radius={12} pathOptions={pathOptions}>{tooltip}</Circle>;
+              }
+              if (element.polygon) {
+                return <Polygon key={`rule-${element.id}`} positions={element.polygon} pathOptions={pathOptions}>{tooltip}</Polygon>;
+              }
+              return element.points ? <Polyline key={`rule-${element.id}`} positions={element.points} pathOptions={pathOptions}>{tooltip}</Polyline> : null;
+            })}
+
+            {/* Microclimate classes */}
+            {microclimateFeatures && microclimateFeatures.features.map(f => (
+              <GeoJSON
+                key={`mc-${f.properties.key}-${f.properties.areaM2}-${shade ? "shade" : "terrain"}`}
+                data={f}
+                style={{ stroke: false, fillColor: f.properties.color, fillOpacity: 0.45 }}
+              >
+                <Tooltip sticky>
+                  {MICROCLIMATE_TYPES[f.properties.key].icon} {f.properties.name} · {(f.properties.areaM2 / 10000).toFixed(2)} ha
+                </Tooltip>
+              </GeoJSON>
+            ))}
+
+            {/* Sun hours per cell from the shade model */}
+            {sunHourCells.map(cell => (
+              <Rectangle
+                key={`sunh-${cell.key}`}
+                bounds={cell.bounds}
+                pathOptions={{ stroke: false, fillColor: sunHoursColor(cell.hours), fillOpacity: 0.45 }}
+              >
+                <Tooltip sticky>☀️ {cell.hours.toFixed(1)} h/day · {ShadeUtils.classify(cell.hours)}</Tooltip>
+              </Rectangle>
+            ))}
+
+            {sunSpot && (
+              <Circle center={sunSpot} radius={4} pathOptions={{ color: "#f57f17", weight: 2, fillOpacity: 0.8 }}>
+                <Tooltip>Plant spot</Tooltip>
+              </Circle>
             )}
 
+            {/* Sun paths: radius and colour follow solar altitude */}
+            {showSunPaths && sunPaths.map(path => {
+              const formatTime = (d) => d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+              return path.points.slice(1).map((point, i) => (
+                <Polyline
+                  key={`sun-${path.label}-${i}`}
+                  positions={[path.points[i].position, point.position]}
+                  pathOptions={{
+                    color: sunAltitudeColor((path.points[i].altitude + point.altitude) / 2),
+                    weight: path.picked ? 4 : 3,
+                    dashArray: path.picked ? "6" : undefined
+                  }}
+                >
+                  <Tooltip sticky>
+                    <div style={{ fontWeight: 'bold' }}>☀️ {path.label}</div>
+                    <div>Sunrise {formatTime(path.sunrise)} · Noon {formatTime(path.solarNoon)} ({Math.round(path.noonAltitude)}°) · Sunset {formatTime(path.sunset)}</div>
+                    <div style={{ fontSize: '10px' }}>{formatTime(point.time)}: {Math.round(point.altitude)}° above horizon</div>
+                  </Tooltip>
+                </Polyline>
+              ));
+            })}
+
             {/* Farm marker */}
             <Marker position={marker}>
               <Popup>
@@ -3934,6 +9771,7 @@ function App() {
 
             {/* Click handler */}
             <MapClickHandler onClick={onMapClick} />
+            <MapFitBounds bounds={fitBounds} />
             <MapLegend />
           </MapContainer>
         </main>
@@ -3942,4 +9780,25 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+// Pure utilities, exported for tests
+export {
+  createSeededRandom,
+  createIdGenerator,
+  generateAutoDesign,
+  AccessUtils,
+  BoundaryUtils,
+  DEMUtils,
+  DesignExportUtils,
+  DripUtils,
+  HydrologyUtils,
+  IrrigationUtils,
+  KeylineUtils,
+  MicroclimateUtils,
+  PlacementRuleUtils,
+  ShadeUtils,
+  SiteImportUtils,
+  WaterManagementUtils,
+  DEFAULT_SECTORS
+};
+
+export default App;
@@ -1,8 +1,589 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import {
+  createSeededRandom,
+  createIdGenerator,
+  generateAutoDesign,
+  AccessUtils,
+  BoundaryUtils,
+  DEMUtils,
+  DesignExportUtils,
+  DripUtils,
+  HydrologyUtils,
+  IrrigationUtils,
+  KeylineUtils,
+  MicroclimateUtils,
+  PlacementRuleUtils,
+  ShadeUtils,
+  SiteImportUtils,
+  WaterManagementUtils,
+  DEFAULT_SECTORS
+} from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The map and file-format libraries ship ES modules Jest can't load; the utilities don't need them
+jest.mock('react-leaflet', () => ({ useMap: jest.fn(), useMapEvent: jest.fn() }));
+jest.mock('react-leaflet-draw', () => ({ EditControl: () => null }));
+jest.mock('shpjs', () => ({ parseZip: jest.fn() }));
+jest.mock('geotiff', () => ({ fromArrayBuffer: jest.fn() }));
+
+// ~0.8 ha square site near Thrissur; GeoJSON rings are [lng, lat]
+const SITE = {
+  type: 'Feature',
+  properties: {},
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[[76.27, 10.85], [76.271, 10.85], [76.271, 10.8508], [76.27, 10.8508], [76.27, 10.85]]]
+  }
+};
+
+describe('seeded reproducibility', () => {
+  test('createSeededRandom repeats its sequence for a seed', () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const c = createSeededRandom(43);
+    const seqA = Array.from({ length: 5 }, a);
+    expect(Array.from({ length: 5 }, b)).toEqual(seqA);
+    expect(Array.from({ length: 5 }, c)).not.toEqual(seqA);
+    seqA.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+  });
+
+  test('createIdGenerator gives the same ids for a seed', () => {
+    const a = createIdGenerator(7);
+    const b = createIdGenerator(7);
+    const ids = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(ids);
+    expect(new Set(ids).size).toBe(3);
+  });
+
+  test('generateDEM is identical for the same seed', () => {
+    const dem = (seed) => DEMUtils.generateDEM(10.85, 76.27, 0.05, SITE, createSeededRandom(seed));
+    expect(dem(1234)).toEqual(dem(1234));
+    expect(dem(1234)).not.toEqual(dem(4321));
+  });
+
+  test('createIdGenerator skips ids already on the site', () => {
+    const [first, second] = [createIdGenerator(7)(), createIdGenerator(7, [])()];
+    expect(second).toBe(first);
+    expect(createIdGenerator(7, [first])()).not.toBe(first);
+  });
+
+  const design = (seed, elements = []) => {
+    const demData = DEMUtils.generateDEM(10.85, 76.27, 0.05, SITE, createSeededRandom(seed));
+    const demGrid = DEMUtils.buildGrid(demData);
+    const topography = DEMUtils.calculateTopography(demData, demGrid);
+    return generateAutoDesign({
+      elements,
+      boundary: SITE,
+      marker: [10.8504, 76.2705],
+      topography,
+      demData,
+      demGrid,
+      hydrology: HydrologyUtils.analyze(demGrid),
+      env: { lat: 10.85, lng: 76.27, avgRainfallMm: 3000, soil: 'lateritic loam' },
+      siteInputs: { sectors: DEFAULT_SECTORS, windDirection: 225, irrigationDemand: 0, soilType: '' },
+      microclimate: MicroclimateUtils.classify(demGrid, topography, null, 225, 10.85),
+      microclimateTargets: { HERB_SPIRAL: 'WARM_SLOPE', MANDALA_GARDEN: 'SHELTERED' },
+      seed
+    });
+  };
+
+  test('generateAutoDesign is identical for the same seed', () => {
+    const first = design(99);
+    expect(first.elements.map(e => e.type)).toEqual(expect.arrayContaining(['HOUSE', 'WATER_TANK', 'COMPOST', 'VEGETABLE_GARDEN']));
+    expect(first.alternatives.length).toBeGreaterThan(0);
+    expect(design(99)).toEqual(first);
+  }, 60000);
+
+  test('rerunning generateAutoDesign after a deletion reuses no id', () => {
+    const first = design(99);
+    const kept = first.elements.filter(e => e.type !== 'COMPOST');
+    const rerun = design(99, kept);
+    const ids = rerun.elements.map(e => e.id);
+    expect(rerun.elements.some(e => e.type === 'COMPOST')).toBe(true);
+    expect(new Set(ids).size).toBe(ids.length);
+    rerun.alternatives.forEach(alt => alt.elements.forEach(e =>
+      expect(kept.some(k => k.id === e.id)).toBe(false)));
+  }, 60000);
+});
+
+// Regular DEM point list over an n × n grid with `step` degrees between points
+const makeDEM = (n, step, elevationAt) => {
+  const demData = [];
+  for (let row = 0; row < n; row++) {
+    for (let col = 0; col < n; col++) {
+      demData.push({ lat: 10 + row * step, lng: 76 + col * step, elevation: elevationAt(row, col) });
+    }
+  }
+  return demData;
+};
+
+describe('DEMUtils.calculateTopography', () => {
+  test('a plane rising north has uniform slope facing south', () => {
+    const demData = makeDEM(7, 0.0001, (row) => row * 0.0001 * 110574 * 0.09);
+    const topography = DEMUtils.calculateTopography(demData);
+    expect(topography).toHaveLength(49);
+    const centre = topography.find(t => t.row === 3 && t.col === 3);
+    expect(centre.slope).toBeCloseTo(9, 1);
+    expect(centre.aspect).toBeCloseTo(180, 0);
+  });
+
+  test('a cone slopes away from its peak on every side', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(21, 0.0001, () => 0));
+    const demData = makeDEM(21, 0.0001, (row, col) =>
+      50 - 0.1 * Math.hypot((col - 10) * grid.cellSizeX, (row - 10) * grid.cellSizeY));
+    const at = (row, col) => DEMUtils.calculateTopography(demData).find(t => t.row === row && t.col === col);
+
+    expect(at(10, 15).slope).toBeCloseTo(10, 0);
+    expect(at(10, 15).aspect).toBeCloseTo(90, 0); // east flank faces east
+    expect(at(15, 10).aspect).toBeCloseTo(0, 0); // north flank faces north
+    expect(at(10, 5).aspect).toBeCloseTo(270, 0);
+    expect(at(5, 10).aspect).toBeCloseTo(180, 0);
+    expect(at(10, 10).slope).toBeCloseTo(0, 1); // symmetric peak is flat
+  });
+});
+
+describe('DEMUtils.generateContours', () => {
+  test('lines stop at NoData instead of ringing the hole', () => {
+    const demData = makeDEM(21, 0.0001, (row, col) =>
+      (row >= 8 && row <= 12 && col >= 3 && col <= 7) ? NaN : 50 - 0.5 * Math.hypot(col - 10, row - 10));
+    const contours = DEMUtils.generateContours(demData, 1);
+    expect(contours.length).toBeGreaterThan(0);
+
+    // Cells touching the hole span cols 2–8, rows 7–13; nothing may cross them
+    const insideHole = ([lat, lng]) => {
+      const col = (lng - 76) / 0.0001;
+      const row = (lat - 10) / 0.0001;
+      return col > 2.001 && col < 7.999 && row > 7.001 && row < 12.999;
+    };
+    contours.forEach(({ lines }) => lines.forEach(line => {
+      expect(line.points.some(insideHole)).toBe(false);
+    }));
+  });
+});
+
+describe('HydrologyUtils', () => {
+  const cellIndex = (grid, row, col) => row * grid.cols + col;
+
+  test.each(['D8', 'DINF'])('%s routes a plane straight downhill', (method) => {
+    const grid = DEMUtils.buildGrid(makeDEM(9, 0.0001, (row) => row * 1.5));
+    const flow = HydrologyUtils.analyze(grid, method);
+    const cellArea = grid.cellSizeX * grid.cellSizeY;
+
+    // Every column drains to its own cell on the southern edge
+    for (let col = 1; col < grid.cols - 1; col++) {
+      expect(flow.accumulation[cellIndex(grid, 0, col)]).toBeCloseTo(9 * cellArea, 6);
+      expect(flow.accumulation[cellIndex(grid, 8, col)]).toBeCloseTo(cellArea, 6);
+    }
+  });
+
+  test.each(['D8', 'DINF'])('%s gathers a V-shaped valley at its outlet', (method) => {
+    const grid = DEMUtils.buildGrid(makeDEM(11, 0.0001, (row, col) => Math.abs(col - 5) * 2 + row * 0.5));
+    const flow = HydrologyUtils.analyze(grid, method);
+    const total = grid.rows * grid.cols * grid.cellSizeX * grid.cellSizeY;
+
+    expect(flow.accumulation[cellIndex(grid, 0, 5)]).toBeCloseTo(total, 3);
+    expect(flow.maxAccumulation).toBeCloseTo(total, 3);
+  });
+
+  test('a pit is filled so it drains instead of trapping flow', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(9, 0.0001, (row, col) => (row === 4 && col === 4 ? 0 : row * 1.5)));
+    const flow = HydrologyUtils.analyze(grid, 'D8');
+    expect(flow.filled[cellIndex(grid, 4, 4)]).toBeGreaterThan(grid.elevations[cellIndex(grid, 3, 4)]);
+    expect(flow.directions.receiverA[cellIndex(grid, 4, 4)]).toBeGreaterThanOrEqual(0);
+
+    // All the rain still leaves across the southern edge
+    const outflow = Array.from({ length: grid.cols }, (_, col) => flow.accumulation[cellIndex(grid, 0, col)])
+      .reduce((sum, a) => sum + a, 0);
+    expect(outflow).toBeCloseTo(grid.rows * grid.cols * grid.cellSizeX * grid.cellSizeY, 3);
+  });
+});
+
+describe('WaterManagementUtils.calculatePondSizing', () => {
+  test('the dug frustum holds the design volume, not more', () => {
+    const env = { soil: 'lateritic loam', avgRainfallMm: 3000 };
+    const pond = WaterManagementUtils.calculatePondSizing(20000, env, 2);
+    const bottomSide = Math.sqrt(pond.surfaceArea) - 4 * pond.depth;
+    const dug = WaterManagementUtils.pondVolumeAt(bottomSide, pond.depth);
+    expect(dug / pond.volume).toBeCloseTo(1, 2);
+  });
+});
+
+describe('HydrologyUtils.delineateCatchment', () => {
+  test('the valley outlet drains the whole grid', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(11, 0.0001, (row, col) => Math.abs(col - 5) * 2 + row * 0.5));
+    const flow = HydrologyUtils.analyze(grid, 'D8');
+    const catchment = HydrologyUtils.delineateCatchment(flow, 10, 76.0005);
+    expect(catchment.geometry.type).toBe('Polygon');
+    expect(catchment.properties.cellCount).toBe(121);
+  });
+
+  test('under D-infinity the reported area is the drawn cells', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(15, 0.0001, (row, col) => Math.abs(col - 7) * 2 + row * 0.5));
+    const flow = HydrologyUtils.analyze(grid, 'DINF');
+    const catchment = HydrologyUtils.delineateCatchment(flow, 10.0003, 76.0007, 0);
+    const { areaM2, cellCount, pourPoint } = catchment.properties;
+    const pour = DEMUtils.getGridCell(grid, pourPoint[0], pourPoint[1]).index;
+    expect(areaM2).toBe(Math.round(cellCount * flow.cellArea));
+    // Cells that only leak a sliver of flow towards the outlet are not drawn
+    const anyShare = HydrologyUtils.getUpslopeMask(flow, [pour]).reduce((sum, v) => sum + v, 0);
+    expect(cellCount).toBeLessThan(anyShare);
+    expect(Math.abs(areaM2 - flow.accumulation[pour]) / flow.accumulation[pour]).toBeLessThan(0.25);
+  });
+});
+
+describe('WaterManagementUtils.analyzeSwale', () => {
+  test('a swale running off the DEM is analysed over the covered stretch', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(11, 0.0001, (row) => row * 0.5));
+    const flow = HydrologyUtils.analyze(grid, 'D8');
+    const env = { slopePercent: 5, avgRainfallMm: 3000, soil: 'lateritic loam' };
+    const swale = { id: 1, name: 'Swale', points: [[10.0005, 76.0005], [10.0005, 76.0015]] };
+    const result = WaterManagementUtils.analyzeSwale(swale, grid, flow, env);
+    expect(result.partlyOutside).toBe(true);
+    expect(result.coverage).toBeGreaterThan(0.4);
+    expect(result.coverage).toBeLessThan(0.6);
+    expect(result.volume).toBeGreaterThan(0);
+  });
+});
+
+describe('WaterManagementUtils.simulateTank', () => {
+  const year = (mm) => Array(365).fill(mm);
+
+  test('steady rain above demand meets every day and spills the surplus', () => {
+    // 10 m² × 5 mm × 0.8 = 40 L/day in, 30 L/day out
+    const result = WaterManagementUtils.simulateTank(
+      { roofArea: 10, capacityL: 1000, householdLpd: 30, irrigationLpd: 50 }, year(5));
+    expect(result.reliability).toBe(100);
+    expect(result.volumetricReliability).toBe(100);
+    expect(result.overflowL).toBe(365 * 10);
+    expect(result.minLevelL).toBe(1000 - 30);
+  });
+
+  test('a rainless year empties the tank after the warm-up year', () => {
+    const result = WaterManagementUtils.simulateTank(
+      { roofArea: 100, capacityL: 5000, householdLpd: 100, irrigationLpd: 0 }, year(0));
+    expect(result.reliability).toBe(0);
+    expect(result.volumetricReliability).toBe(0);
+    expect(result.overflowL).toBe(0);
+    expect(result.minLevelL).toBe(0);
+  });
+
+  test('irrigation is only drawn on days under 2 mm of rain', () => {
+    // 1 mm days add irrigation demand the 8 L/day inflow cannot cover
+    const drizzle = WaterManagementUtils.simulateTank(
+      { roofArea: 10, capacityL: 1000, householdLpd: 5, irrigationLpd: 20 }, year(1));
+    const rain = WaterManagementUtils.simulateTank(
+      { roofArea: 10, capacityL: 1000, householdLpd: 5, irrigationLpd: 20 }, year(2));
+    expect(drizzle.reliability).toBe(0);
+    expect(rain.reliability).toBe(100);
+  });
+});
+
+describe('IrrigationUtils.designNetwork', () => {
+  const step = 0.0001;
+  const at = (row, col) => [10 + row * step, 76 + col * step];
+  const square = (row, col) => [at(row - 0.5, col - 0.5), at(row - 0.5, col + 0.5), at(row + 0.5, col + 0.5), at(row + 0.5, col - 0.5)];
+  const garden = { id: 'g', type: 'VEGETABLE_GARDEN', name: 'Garden', polygon: square(16, 10) };
+  const options = { pipeId: '20', standHeightM: 2 };
+
+  test('each garden is fed once, from the tank with the most head', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(21, step, (row) => 20 - row * 0.5));
+    const tanks = [
+      { id: 'low', type: 'WATER_TANK', name: 'Low tank', position: at(12, 10) },
+      { id: 'high', type: 'WATER_TANK', name: 'High tank', position: at(2, 10) }
+    ];
+    const network = IrrigationUtils.designNetwork([...tanks, garden], grid, options);
+    expect(network.runs).toHaveLength(1);
+    expect(network.runs[0].tankId).toBe('high');
+    const connectors = network.billOfMaterials.find(row => row.item === 'Tank outlet connector');
+    expect(connectors.quantity).toBe(1);
+  });
+
+  test('the pipe is routed around a ridge above the supply level', () => {
+    const ridge = (row, col) => row === 8 && col >= 4 && col <= 16;
+    const grid = DEMUtils.buildGrid(makeDEM(21, step, (row, col) => 20 - row * 0.5 + (ridge(row, col) ? 10 : 0)));
+    const tank = { id: 't', type: 'WATER_TANK', name: 'Tank', position: at(2, 10) };
+    const [run] = IrrigationUtils.designNetwork([tank, garden], grid, options).runs;
+    expect(run.blocked).toBe(false);
+    expect(run.points.length).toBeGreaterThan(2);
+    run.points.forEach(([lat, lng]) => {
+      const cell = DEMUtils.getGridCell(grid, lat, lng);
+      expect(ridge(cell.row, cell.col)).toBe(false);
+    });
+  });
+});
+
+describe('PlacementRuleUtils.evaluate', () => {
+  test('a rule with an unknown relation fails with a clear message', () => {
+    const elements = [
+      { id: 1, type: 'HOUSE', name: 'House', position: [10.85, 76.27] },
+      { id: 2, type: 'COMPOST', name: 'Compost', position: [10.8502, 76.27] }
+    ];
+    const rule = { id: 'typo', subject: 'COMPOST', target: 'HOUSE', relation: 'nearby', severity: 'warning', message: { en: '', ml: '' } };
+    const [result] = PlacementRuleUtils.evaluate(elements, null, null, [rule]);
+    expect(result.pass).toBe(false);
+    expect(result.message).toMatch(/unknown relation "nearby"/);
+  });
+});
+
+describe('BoundaryUtils', () => {
+  const ring = (x0, y0, x1, y1) => [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+
+  test('a hole must lie wholly inside one part', () => {
+    expect(BoundaryUtils.addHole(SITE, ring(76.2702, 10.8502, 76.2704, 10.8504)).geometry.coordinates).toHaveLength(2);
+    // Starts inside but runs out across the east edge
+    expect(BoundaryUtils.addHole(SITE, ring(76.2708, 10.8502, 76.2712, 10.8504))).toBeNull();
+    // Every vertex inside a U-shaped part, but an edge crosses its notch
+    const u = { type: 'Polygon', coordinates: [[[0, 0], [3, 0], [3, 3], [2, 3], [2, 1], [1, 1], [1, 3], [0, 3], [0, 0]]] };
+    expect(BoundaryUtils.addHole(u, [[0.5, 2], [2.5, 2], [2.5, 2.5], [0.5, 2.5], [0.5, 2]])).toBeNull();
+  });
+
+  test('parts and holes can be removed again', () => {
+    const holed = BoundaryUtils.addHole(SITE, ring(76.2702, 10.8502, 76.2704, 10.8504));
+    const twoParts = BoundaryUtils.addPart(holed, ring(76.272, 10.85, 76.273, 10.851));
+    expect(BoundaryUtils.removeRing(twoParts, 0, 0).geometry.coordinates[0]).toHaveLength(1);
+    expect(BoundaryUtils.removeRing(twoParts, 1).geometry.type).toBe('Polygon');
+    expect(BoundaryUtils.removeRing(SITE, 0)).toBeNull();
+  });
+});
+
+describe('DEMUtils.generateDEM', () => {
+  test('synthetic terrain is NoData away from an L-shaped site', () => {
+    const site = { type: 'Polygon', coordinates: [[[76, 10], [76.002, 10], [76.002, 10.001], [76.001, 10.001], [76.001, 10.002], [76, 10.002], [76, 10]]] };
+    const dem = DEMUtils.generateDEM(10.001, 76.001, 0.05, site, createSeededRandom(1));
+    const farCorner = dem.filter(p => p.lat > 10.0017 && p.lng > 76.0017);
+    expect(farCorner.length).toBeGreaterThan(0);
+    expect(farCorner.every(p => isNaN(p.elevation))).toBe(true);
+    expect(dem.filter(p => p.lat < 10.0005 && p.lng < 76.0005).every(p => !isNaN(p.elevation))).toBe(true);
+  });
+});
+
+describe('SiteImportUtils.classify', () => {
+  const feature = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+  const square = (lng, lat, d) => ({
+    type: 'Polygon',
+    coordinates: [[[lng, lat], [lng + d, lat], [lng + d, lat + d], [lng, lat + d], [lng, lat]]]
+  });
+
+  test('names decide first, specific kinds beat boundary and only kept features are tagged', () => {
+    const collection = {
+      type: 'FeatureCollection',
+      features: [
+        feature({ name: 'Boundary' }, SITE.geometry),
+        feature({ name: 'Fish pond', description: 'Pond near fence' }, square(76.2702, 10.8502, 0.0001)),
+        feature({ name: 'Plot 2', description: 'Pond near fence' }, square(76.2705, 10.8502, 0.0001)),
+        feature({ name: 'Old well' }, { type: 'Point', coordinates: [76.2703, 10.8505] }),
+        feature({ name: 'Coconut tree' }, { type: 'Point', coordinates: [76.275, 10.86] })
+      ]
+    };
+    const result = SiteImportUtils.classify(collection, { nextId: createIdGenerator(1) });
+    expect(result.boundary.geometry.coordinates).toEqual(SITE.geometry.coordinates);
+    expect(result.elements.map(e => e.type)).toEqual(['POND', 'POND']);
+    expect(result.existing).toEqual(['water bodies']);
+    expect(result.outside).toBe(1);
+  });
+});
+
+describe('DesignExportUtils.toFeatureCollection', () => {
+  test('planted elements export their guild or their zone\'s recommended plants', () => {
+    const origin = [10.85, 76.27];
+    const square = [[10.8501, 76.2701], [10.8501, 76.2702], [10.8502, 76.2702], [10.8502, 76.2701]];
+    const elements = [
+      { id: 1, type: 'FRUIT_ORCHARD', name: 'Orchard', polygon: square, crop: 'Coconut' },
+      { id: 2, type: 'VEGETABLE_GARDEN', name: 'Garden', polygon: square },
+      { id: 3, type: 'WATER_TANK', name: 'Tank', position: origin }
+    ];
+    const recommendations = [
+      { name: 'Okra', plantingLocation: 'Zone 1, near kitchen' },
+      { name: 'Teak', plantingLocation: 'Zone 4-5, large areas' }
+    ];
+    const zones = [{ z: 'Zone 1', r: 100 }, { z: 'Zone 4', r: 800 }];
+    const { features } = DesignExportUtils.toFeatureCollection(elements, { origin, zones, seed: 1, recommendations });
+    const plants = Object.fromEntries(features.map(f => [f.properties.name, f.properties.plants]));
+    expect(plants.Orchard[0]).toBe('Coconut');
+    expect(plants.Orchard).toContain('Black Pepper');
+    expect(plants.Garden).toEqual(['Okra']);
+    expect(plants.Tank).toEqual([]);
+  });
+});
+
+describe('MicroclimateUtils', () => {
+  const classAt = (demData, lat, row, col, windBearing = 90) => {
+    const grid = DEMUtils.buildGrid(demData);
+    const microclimate = MicroclimateUtils.classify(grid, DEMUtils.calculateTopography(demData, grid), null, windBearing, lat);
+    return microclimate.keys[microclimate.classes[row * grid.cols + col]];
+  };
+  // Flat-topped (or flat-bottomed) mound 3 cells across, sides falling 2 m per cell
+  const mound = (sign) => makeDEM(21, 0.0001, (row, col) => {
+    const d = Math.hypot(row - 10, col - 10);
+    return sign * Math.max(0, 10 - Math.max(0, d - 2) * 2);
+  });
+
+  test('a flat hollow is a frost pocket and a flat hilltop an exposed ridge', () => {
+    expect(classAt(mound(-1), 10, 10, 10)).toBe('FROST_POCKET');
+    expect(classAt(mound(1), 10, 10, 10)).toBe('EXPOSED_RIDGE');
+  });
+
+  test('the warm slope faces the equator in each hemisphere', () => {
+    const southFacing = makeDEM(11, 0.0001, (row) => row * 0.0001 * 110574 * 0.1);
+    expect(classAt(southFacing, 10, 5, 5)).toBe('WARM_SLOPE');
+    expect(classAt(southFacing, -10, 5, 5)).toBe('COOL_SLOPE');
+  });
+
+  test('placing a target moves one element of the type and keeps the others', () => {
+    const demData = makeDEM(11, 0.0001, (row) => row * 0.0001 * 110574 * 0.1);
+    const grid = DEMUtils.buildGrid(demData);
+    const microclimate = MicroclimateUtils.classify(grid, DEMUtils.calculateTopography(demData, grid), null, 90, 10);
+    const spirals = [
+      { id: 1, type: 'HERB_SPIRAL', name: 'Herb Spiral', position: [10.0001, 76.0001] },
+      { id: 2, type: 'HERB_SPIRAL', name: 'Herb Spiral', position: [10.0009, 76.0009] }
+    ];
+    const { elements } = MicroclimateUtils.placeTargets(
+      spirals, microclimate, grid, { HERB_SPIRAL: 'WARM_SLOPE' }, [10.0005, 76.0005], null, createIdGenerator(1));
+    expect(elements).toHaveLength(2);
+    expect(elements[0].microclimate).toBe('WARM_SLOPE');
+    expect(elements[1]).toBe(spirals[1]);
+  });
+});
+
+describe('ShadeUtils.computeSunHours', () => {
+  const at = (grid, row, col) => row * grid.cols + col;
+
+  test('a cell just north of an east-west ridge gets fewer winter sun hours', () => {
+    // 50 m wall along row 7; December sun at 10° N stays in the southern sky
+    const grid = DEMUtils.buildGrid(makeDEM(15, 0.0001, (row) => (row === 7 ? 50 : 0)));
+    const shade = ShadeUtils.computeSunHours(grid, [], 10, 76, 2025);
+    const december = shade.months[11];
+    expect(december[at(grid, 9, 7)]).toBeLessThan(december[at(grid, 5, 7)] - 1);
+    expect(december[at(grid, 5, 7)]).toBeCloseTo(shade.daylight[11], 5);
+  });
+
+  test('a cell under an orchard canopy scores lower than open ground', () => {
+    const grid = DEMUtils.buildGrid(makeDEM(15, 0.0001, () => 0));
+    const orchard = {
+      id: 1,
+      type: 'FRUIT_ORCHARD',
+      polygon: [[10.00035, 76.00035], [10.00035, 76.00065], [10.00065, 76.00065], [10.00065, 76.00035]]
+    };
+    const open = ShadeUtils.computeSunHours(grid, [], 10, 76, 2025);
+    const planted = ShadeUtils.computeSunHours(grid, [orchard], 10, 76, 2025);
+    expect(planted.annual[at(grid, 5, 5)]).toBeLessThan(open.annual[at(grid, 5, 5)] * 0.5);
+    expect(planted.annual[at(grid, 0, 14)]).toBeGreaterThan(open.annual[at(grid, 0, 14)] * 0.95);
+  });
+});
+
+describe('AccessUtils.generatePaths', () => {
+  const cellPoint = (row, col) => [10 + row * 0.0001, 76 + col * 0.0001];
+  const paths = (demData, elements) => {
+    const grid = DEMUtils.buildGrid(demData);
+    return AccessUtils.generatePaths(grid, DEMUtils.calculateTopography(demData, grid), elements, null, createIdGenerator(1));
+  };
+  const house = { id: 'h', type: 'HOUSE', name: 'House', position: cellPoint(7, 1) };
+  const flat = makeDEM(15, 0.0001, () => 0);
+
+  test('A* routes around a pond to the target', () => {
+    const pond = {
+      id: 'p',
+      type: 'POND',
+      name: 'Pond',
+      polygon: [[10.00015, 76.00055], [10.00015, 76.00085], [10.00125, 76.00085], [10.00125, 76.00055]]
+    };
+    const shed = { id: 's', type: 'TOOL_SHED', name: 'Shed', zone: 1, position: cellPoint(7, 13) };
+    const [path] = paths(flat, [house, pond, shed]);
+    expect(path.targetId).toBe('s');
+    expect(path.points[0]).toEqual(house.position);
+    expect(path.points[path.points.length - 1]).toEqual(shed.position);
+    expect(path.points.some(([lat, lng]) => lat > 10.00015 && lat < 10.00125 && lng > 76.00055 && lng < 76.00085)).toBe(false);
+    expect(path.length).toBeGreaterThan(12 * DEMUtils.buildGrid(flat).cellSizeX * 1.2);
+  });
+
+  test('the slope penalty takes the path round a steep hill', () => {
+    const hill = makeDEM(15, 0.0001, (row, col) => Math.max(0, 30 - Math.hypot(row - 7, col - 7) * 6));
+    const shed = { id: 's', type: 'TOOL_SHED', name: 'Shed', zone: 1, position: cellPoint(7, 13) };
+    const [path] = paths(hill, [house, shed]);
+    expect(path.maxGradient).toBeLessThan(AccessUtils.MAX_SLOPE);
+    expect(path.points.every(([lat, lng]) => Math.hypot(lat - 10.0007, lng - 76.0007) > 0.0002)).toBe(true);
+  });
+
+  test('later paths join the trunk an earlier one laid down', () => {
+    const garden = { id: 'g', type: 'VEGETABLE_GARDEN', name: 'Garden', zone: 1, position: cellPoint(7, 13) };
+    const shed = { id: 's', type: 'TOOL_SHED', name: 'Shed', zone: 4, position: cellPoint(1, 13) };
+    const cellKeys = (path) => path.points.map(([lat, lng]) => `${Math.round((lat - 10) / 0.0001)},${Math.round((lng - 76) / 0.0001)}`);
+    const trunk = new Set(cellKeys(paths(flat, [house, garden])[0]));
+    const onTrunk = (path) => cellKeys(path).filter(key => trunk.has(key)).length;
+    const alone = paths(flat, [house, shed])[0];
+    const joined = paths(flat, [house, garden, shed]).find(p => p.targetId === 's');
+    expect(onTrunk(joined)).toBeGreaterThan(onTrunk(alone) + 3);
+  });
+
+  test('a house on a NoData cell still gets a finite gradient', () => {
+    const holed = makeDEM(15, 0.0001, (row, col) => (row === 7 && col === 1 ? NaN : col * 0.5));
+    const shed = { id: 's', type: 'TOOL_SHED', name: 'Shed', zone: 1, position: cellPoint(7, 13) };
+    const [path] = paths(holed, [house, shed]);
+    expect(Number.isFinite(path.maxGradient)).toBe(true);
+    expect(path.maxGradient).toBeCloseTo(0.5 / DEMUtils.buildGrid(holed).cellSizeX * 100, 0);
+  });
+});
+
+describe('KeylineUtils.generateDesign', () => {
+  test('the keypoint sits where the valley floor turns from steepening to flattening', () => {
+    // Floor falls south as an S-curve, steepest at row 15; sides rise 3 m per cell
+    const demData = makeDEM(31, 0.0001, (row, col) => 20 * (1 + Math.tanh((row - 15) / 4)) + Math.abs(col - 15) * 3);
+    const grid = DEMUtils.buildGrid(demData);
+    const flow = HydrologyUtils.analyze(grid);
+    const streams = HydrologyUtils.extractStreams(flow, 10 * flow.cellArea);
+    const { keypoints, elements } = KeylineUtils.generateDesign(grid, streams, null, { nextId: createIdGenerator(1) });
+
+    const cell = DEMUtils.getGridCell(grid, keypoints[0].lat, keypoints[0].lng);
+    expect(cell.col).toBe(15);
+    expect(Math.abs(cell.row - 15)).toBeLessThanOrEqual(1);
+    expect(elements[0].type).toBe('KEYLINE');
+    expect(elements[0].keypoint).toEqual([keypoints[0].lat, keypoints[0].lng]);
+  });
+});
+
+describe('DripUtils', () => {
+  test('spacing text gives metres between rows and plants', () => {
+    expect(DripUtils.parseSpacing('7–8 m')).toEqual({ row: 7.5, plant: 7.5 });
+    expect(DripUtils.parseSpacing('2.7 x 2.7 m')).toEqual({ row: 2.7, plant: 2.7 });
+    expect(DripUtils.parseSpacing('30-45 cm')).toEqual({ row: 0.375, plant: 0.375 });
+    expect(DripUtils.parseSpacing('')).toBeNull();
+    expect(DripUtils.parseSpacing(undefined)).toBeNull();
+  });
+
+  test('the schedule waters dry months and rests in the monsoon', () => {
+    const env = { sunHours: 6, monthlyRainfall: [0, 0, 0, 0, 0, 700, 700, 700, 700, 0, 0, 0] };
+    const schedule = DripUtils.scheduleZone(100, { water: 'moderate' }, 1, env);
+    // January: 0.85 × 0.75 × 133 mm pan ET0, over 90% efficiency, on 100 m² for 31 days
+    expect(schedule[0]).toBe(Math.round(0.85 * 0.75 * 133 / 0.9 * 100 / 31));
+    expect(schedule.slice(5, 9)).toEqual([0, 0, 0, 0]);
+    expect(DripUtils.scheduleZone(100, { water: 'moderate' }, 0.5, env)[0]).toBeCloseTo(schedule[0] / 2, -1);
+  });
+
+  test('the tank covers drip until the stored monsoon water runs out', () => {
+    const dailyRainfall = Array.from({ length: 365 }, (_, d) => (d >= 151 && d < 273 ? 20 : 0));
+    const covered = DripUtils.reconcileWithTank(Array(12).fill(200), { capacityL: 10000, roofArea: 100, householdLpd: 0 }, dailyRainfall);
+    // A full 10 kL tank less September 30's draw lasts through October and 18 days of November
+    expect(covered).toEqual([0, 0, 0, 0, 0, 100, 100, 100, 100, 100, 60, 0]);
+    expect(DripUtils.reconcileWithTank(Array(12).fill(0), { capacityL: 0, roofArea: 0, householdLpd: 0 }, dailyRainfall))
+      .toEqual(Array(12).fill(100));
+  });
+});
+
+describe('WaterManagementUtils pond sizes', () => {
+  const env = { avgRainfallMm: 3000, sunHours: 6, soil: 'lateritic loam' };
+
+  test('a surface too small for the depth is rejected, not modelled larger', () => {
+    const pond = { surfaceArea: 50, depth: 3, catchmentArea: 1000, soil: 'lateritic loam', dailyDemand: 1 };
+    expect(WaterManagementUtils.simulatePondBalance(pond, env)).toBeNull();
+    const dug = WaterManagementUtils.simulatePondBalance({ ...pond, depth: 1.5 }, env);
+    expect(dug.capacity).toBeLessThan(50 * 1.5);
+  });
+
+  test('recommended ponds can be dug to their depth', () => {
+    const best = WaterManagementUtils.recommendPondSize({ catchmentArea: 20000, soil: 'lateritic loam', dailyDemand: 1 }, env);
+    expect(best).not.toBeNull();
+    expect(Math.sqrt(best.surfaceArea) - 4 * best.depth).toBeGreaterThanOrEqual(WaterManagementUtils.MIN_BED_SIDE_M);
+    expect(best.capacity).toBeLessThan(best.surfaceArea * best.depth);
+  });
 });